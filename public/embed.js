@@ -0,0 +1,34 @@
+/* embed.js — stable-URL loader for the <fairway-library> widget (src/embed.js)
+ * Bundle file names change on every build, so this reads the build's
+ * asset-manifest.json from its own origin and loads the current entry
+ * scripts. Partners only ever paste:
+ *
+ *   <script src="https://<library>/embed.js" async></script>
+ *   <fairway-library filters="topics=Zero+Trust" hero="off"></fairway-library>
+ *
+ * Cross-origin use needs CORS on asset-manifest.json (see _headers) and on
+ * the catalogue's index.json. Plain ES5: this file is served as-is.
+ */
+(function () {
+  if (window.FAIRWAY_EMBED_BASE) return; // already loading or loaded
+  var script = document.currentScript;
+  var base = script ? script.src.replace(/[^/]*$/, "") : "/";
+  window.FAIRWAY_EMBED_BASE = base;
+
+  fetch(base + "asset-manifest.json")
+    .then(function (res) {
+      if (!res.ok) throw new Error("HTTP " + res.status);
+      return res.json();
+    })
+    .then(function (manifest) {
+      manifest.entrypoints.forEach(function (path) {
+        if (!/\.js$/.test(path)) return;
+        var s = document.createElement("script");
+        s.src = base + path;
+        document.head.appendChild(s);
+      });
+    })
+    .catch(function (e) {
+      console.error("Fairway library widget failed to load:", e);
+    });
+})();
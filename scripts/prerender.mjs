@@ -0,0 +1,312 @@
+// prerender.mjs — static, crawlable pages for the client-rendered library
+// Runs after `react-scripts build` (npm "postbuild"): reads the catalogue with
+// the app's own schema.js/federation.js, then writes into build/
+//   content/<slug>/index.html  the app shell plus title, meta description,
+//                              canonical, Open Graph/Twitter tags, JSON-LD and
+//                              a plain summary; the app takes over on load
+//   sitemap.xml, feed.xml (RSS 2.0, newest dated releases) and robots.txt
+// Real files win over the _redirects fallback, so /content/<slug> serves its
+// page while every other path still gets index.html.
+// Only what visitors can see is written (publishing.js): drafts, embargoed
+// and expired items are left out, archived ones keep their page but leave the
+// sitemap and the feed. Embargoes lift in the app on time; their pages come
+// with the next build.
+//
+//   node scripts/prerender.mjs [index.json path or URL …]  (default: SOURCES)
+//   SITE_URL=https://staging.example.com npm run build
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { register } from "node:module";
+
+register("./srcHooks.mjs", import.meta.url);
+const { SITE_NAME, SITE_URL, SOURCES } = await import("../src/siteConfig.js");
+const { normalizeCatalogue } = await import("../src/schema.js");
+const { mergeSources } = await import("../src/federation.js");
+const { isArchived, isAvailable } = await import("../src/publishing.js");
+
+const BUILD = new URL("../build/", import.meta.url);
+const FEED_SIZE = 20; // newest releases in feed.xml
+const DESCRIPTION_MAX = 160; // search snippets cut off around here
+
+const site = (process.env.SITE_URL || SITE_URL).replace(/\/+$/, "");
+// Same path as router.js itemPath()
+const pageUrl = (slug) => `${site}/content/${encodeURIComponent(slug)}`;
+
+/* ---------- Helpers ---------- */
+
+const esc = (s) =>
+  String(s).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
+// Whole words up to max characters
+function clip(text, max) {
+  const s = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (s.length <= max) return s;
+  return s.slice(0, s.lastIndexOf(" ", max - 1)).replace(/[,.;:]$/, "") + "…";
+}
+
+// 125 -> "PT2M5S" (ISO 8601, as schema.org expects)
+function isoDuration(sec) {
+  const s = Math.round(sec);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  return `PT${h ? `${h}H` : ""}${m ? `${m}M` : ""}${s % 60}S`;
+}
+
+// Undated items (release_date: null after schema.js) get no dates at all
+const day = (iso) => new Date(iso).toISOString().slice(0, 10);
+const modified = (p) => p.updated_at || p.release_date || null;
+const byNewest = (a, b) => new Date(b.release_date) - new Date(a.release_date);
+
+/* ---------- Catalogue ---------- */
+
+async function readSource(src) {
+  if (!/^https?:/.test(src.url)) return JSON.parse(await readFile(src.url));
+  const res = await fetch(src.url, { headers: { accept: "application/json" } });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
+
+async function loadCatalogue(sources) {
+  const feeds = {};
+  await Promise.all(
+    sources.map(async (src) => {
+      try {
+        const { items, stats } = normalizeCatalogue(await readSource(src));
+        if (stats.quarantined)
+          console.warn(
+            `prerender: ${src.label}: ${stats.quarantined} invalid items skipped`
+          );
+        feeds[src.id] = { items };
+      } catch (e) {
+        console.warn(`prerender: ${src.label}: ${e.message}`);
+      }
+    })
+  );
+  return Object.keys(feeds).length ? mergeSources(sources, feeds) : null;
+}
+
+/* ---------- Pages ---------- */
+
+// schema.org VideoObject for videos, Article for everything else. Gated
+// files stay behind the lead form, so their URLs are left out.
+function structuredData(p) {
+  const shared = {
+    "@context": "https://schema.org",
+    description: p.summary,
+    url: pageUrl(p.slug),
+    inLanguage: p.language,
+    isAccessibleForFree: !p.gated,
+    keywords: [...(p.topics || []), ...(p.tags || [])].join(", ") || undefined,
+    publisher: { "@type": "Organization", name: SITE_NAME },
+  };
+  if (p.content_type === "video") {
+    return {
+      ...shared,
+      "@type": "VideoObject",
+      name: p.title,
+      thumbnailUrl: p.cover_url,
+      uploadDate: p.release_date || undefined,
+      duration: p.duration_sec ? isoDuration(p.duration_sec) : undefined,
+      contentUrl: p.gated ? undefined : p.file_url,
+    };
+  }
+  return {
+    ...shared,
+    "@type": "Article",
+    headline: p.title,
+    image: p.cover_url,
+    datePublished: p.release_date || undefined,
+    dateModified: modified(p) || undefined,
+  };
+}
+
+function headTags(p, siblings) {
+  const url = pageUrl(p.slug);
+  const title = `${p.title} — ${SITE_NAME}`;
+  const description = clip(p.summary, DESCRIPTION_MAX);
+  const video = p.content_type === "video";
+  const meta = (attr, key, value) =>
+    value ? `<meta ${attr}="${key}" content="${esc(value)}">` : "";
+  // "<" can't appear inside the script element, whatever the strings contain
+  const json = JSON.stringify(structuredData(p)).replace(/</g, "\\u003c");
+  return [
+    `<title>${esc(title)}</title>`,
+    meta("name", "description", description),
+    `<link rel="canonical" href="${esc(url)}">`,
+    ...siblings.map(
+      (s) =>
+        `<link rel="alternate" hreflang="${esc(s.language)}" href="${esc(
+          pageUrl(s.slug)
+        )}">`
+    ),
+    `<link rel="alternate" type="application/rss+xml" title="${esc(
+      SITE_NAME
+    )}" href="${site}/feed.xml">`,
+    meta("property", "og:site_name", SITE_NAME),
+    meta("property", "og:type", video ? "video.other" : "article"),
+    meta("property", "og:title", p.title),
+    meta("property", "og:description", description),
+    meta("property", "og:url", url),
+    meta("property", "og:image", p.cover_url),
+    video ? "" : meta("property", "article:published_time", p.release_date),
+    video ? "" : meta("property", "article:modified_time", modified(p)),
+    meta(
+      "name",
+      "twitter:card",
+      p.cover_url ? "summary_large_image" : "summary"
+    ),
+    meta("name", "twitter:title", p.title),
+    meta("name", "twitter:description", description),
+    meta("name", "twitter:image", p.cover_url),
+    `<script type="application/ld+json">${json}</script>`,
+  ]
+    .filter(Boolean)
+    .join("");
+}
+
+// What crawlers (and visitors without JavaScript) read; React replaces it
+function bodyContent(p) {
+  const topics = p.topics || [];
+  return [
+    "<main><article>",
+    `<h1>${esc(p.title)}</h1>`,
+    `<p>${esc(p.content_type)}${
+      p.release_date ? ` · ${esc(day(p.release_date))}` : ""
+    }</p>`,
+    `<p>${esc(p.summary)}</p>`,
+    topics.length
+      ? `<ul>${topics.map((t) => `<li>${esc(t)}</li>`).join("")}</ul>`
+      : "",
+    `<p><a href="/">Browse the ${esc(SITE_NAME)}</a></p>`,
+    "</article></main>",
+  ].join("");
+}
+
+function renderPage(shell, p, siblings) {
+  let html = shell
+    .replace(/<title>[\s\S]*?<\/title>/, "")
+    .replace(/<meta name="description"[^>]*>/, "")
+    .replace(/<link rel="alternate"[^>]*>/, "");
+  const swaps = [
+    [/<html[^>]*>/, `<html lang="${esc(p.language || "en")}">`],
+    ["</head>", `${headTags(p, siblings)}</head>`],
+    ['<div id="root"></div>', `<div id="root">${bodyContent(p)}</div>`],
+  ];
+  for (const [from, to] of swaps) {
+    if (!html.match(from)) throw new Error(`index.html has no ${from}`);
+    html = html.replace(from, () => to); // no "$&" surprises from content
+  }
+  return html;
+}
+
+/* ---------- Site files ---------- */
+
+function sitemap(items) {
+  const urls = [
+    `<url><loc>${site}/</loc></url>`,
+    ...items.map(
+      (p) =>
+        `<url><loc>${esc(pageUrl(p.slug))}</loc>${
+          modified(p) ? `<lastmod>${day(modified(p))}</lastmod>` : ""
+        }</url>`
+    ),
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+function rss(items) {
+  const newest = items
+    .filter((p) => p.release_date)
+    .sort(byNewest)
+    .slice(0, FEED_SIZE);
+  const entries = newest.map((p) =>
+    [
+      "<item>",
+      `<title>${esc(p.title)}</title>`,
+      `<link>${esc(pageUrl(p.slug))}</link>`,
+      `<guid isPermaLink="true">${esc(pageUrl(p.slug))}</guid>`,
+      `<pubDate>${new Date(p.release_date).toUTCString()}</pubDate>`,
+      `<description>${esc(p.summary)}</description>`,
+      ...(p.topics || []).map((t) => `<category>${esc(t)}</category>`),
+      "</item>",
+    ].join("")
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+<title>${esc(SITE_NAME)}</title>
+<link>${site}/</link>
+<description>Newest releases from the ${esc(SITE_NAME)}</description>
+<atom:link href="${site}/feed.xml" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${entries.join("\n")}
+</channel>
+</rss>
+`;
+}
+
+const robots = () => `User-agent: *
+Disallow: /editor
+Sitemap: ${site}/sitemap.xml
+`;
+
+/* ---------- Main ---------- */
+
+const args = process.argv.slice(2);
+const sources = args.length
+  ? args.map((url, i) => ({ id: `arg${i}`, label: url, url }))
+  : SOURCES;
+
+let shell;
+try {
+  shell = await readFile(new URL("index.html", BUILD), "utf8");
+} catch {
+  console.error("prerender: build/index.html not found — run the build first");
+  process.exit(1);
+}
+
+const catalogue = await loadCatalogue(sources);
+if (!catalogue) {
+  // The app itself still works; only the SEO files are missing
+  console.warn("prerender: no catalogue could be read, nothing prerendered");
+  process.exit(0);
+}
+
+const items = catalogue.filter((p) => isAvailable(p));
+const listed = items.filter((p) => !isArchived(p));
+
+// Translations of one asset point at each other (hreflang)
+const groups = new Map();
+for (const p of items) {
+  if (!p.language_group) continue;
+  if (!groups.has(p.language_group)) groups.set(p.language_group, []);
+  groups.get(p.language_group).push(p);
+}
+
+for (const p of items) {
+  const group = groups.get(p.language_group) || [];
+  const dir = new URL(`content/${p.slug}/`, BUILD);
+  await mkdir(dir, { recursive: true });
+  await writeFile(
+    new URL("index.html", dir),
+    renderPage(shell, p, group.length > 1 ? group : [])
+  );
+}
+await writeFile(new URL("sitemap.xml", BUILD), sitemap(listed));
+await writeFile(new URL("feed.xml", BUILD), rss(listed));
+await writeFile(new URL("robots.txt", BUILD), robots());
+console.log(
+  `prerender: ${items.length} pages, sitemap.xml, feed.xml and robots.txt for ${site}`
+);
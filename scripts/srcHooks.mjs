@@ -0,0 +1,21 @@
+// srcHooks.mjs — Node module hooks for importing framework-free src/ modules
+// (schema.js, federation.js, siteConfig.js, …) from build scripts. CRA
+// compiles src/ as ES modules with extensionless imports; Node needs both
+// spelled out. Registered by the scripts themselves via module.register().
+
+const SRC = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (e) {
+    if (!specifier.startsWith(".") || /\.[a-z]+$/i.test(specifier)) throw e;
+    return next(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith(SRC) && url.endsWith(".js"))
+    return next(url, { ...context, format: "module" });
+  return next(url, context);
+}
@@ -1,22 +1,147 @@
 // App.js — Fairway Content Library (single-file, PDFs + Videos)
-// Drop into Codesandbox or CRA. Point DATA_URL at your R2-hosted index.json.
-// Features: full-text search, facets (type/industries/personas/topics/tags/year/stage),
-// relevance & recency sort, pagination, responsive cards, video playback.
+// Drop into Codesandbox or CRA. Point SOURCES (siteConfig.js) at your R2-hosted
+// index.json files.
+// Features: ranked, typo-tolerant search (phrases, -exclusions, field:filters,
+// "did you mean"; see search.js), autocomplete (titles + facet values),
+// disjunctive facets with per-facet ANY/ALL matching
+// (type/industries/personas/topics/tags/year/stage/source/language),
+// relevance & recency sort, pagination, responsive cards, video playback,
+// shareable URLs (all UI state mirrored into the query string),
+// per-asset detail pages at /content/:slug, in-app PDF reader at /content/:slug/read,
+// video player with captions/chapters/transcript at /content/:slug/watch,
+// multi-source catalogue federation, lead-capture gating for `gated` items,
+// batched engagement analytics, on-device "Recommended for you" rail,
+// saved collections with share links and export at /collections, saved
+// searches with "new since last visit" counts and New/Updated badges,
+// UI locales with RTL support and localized catalogue content (i18n.js),
+// an in-browser catalogue editor for content ops at /editor, an
+// embeddable <fairway-library> widget for partner sites (embed.js), and
+// publishing schedules with archived items and a reviewers' preview
+// (publishing.js).
 
-import React, { useEffect, useMemo, useState } from "react";
+import React, {
+  Suspense,
+  lazy,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import Card from "./Card";
+import Diagnostics from "./Diagnostics";
+import CollectionsPage, { SharedCollection } from "./CollectionsPage";
+import ItemDetail from "./ItemDetail";
+import RangeFilters from "./RangeFilters";
+import SavedSearches from "./SavedSearches";
+import SearchBox from "./SearchBox";
+import Recommendations from "./Recommendations";
+import { GateGuard, GateProvider } from "./LeadGate";
+import VideoPlayer from "./VideoPlayer";
+import { useCollections } from "./CollectionsContext";
+import { useI18n } from "./I18nContext";
+import {
+  Link,
+  collectionsPath,
+  itemPath,
+  matchRoute,
+  useRoute,
+} from "./router";
+import {
+  DEFAULT_STATE,
+  PAGE_SIZES,
+  SORTS,
+  historyMode,
+  parseQuery,
+  serializeQuery,
+  writeQuery,
+} from "./urlState";
+import { fetchCatalogue, readCache, writeCache } from "./catalogueCache";
+import { mergeSources } from "./federation";
+import { normalizeCatalogue } from "./schema";
+import { buildIndex, search, suggest } from "./search";
+import { buildRelated, relatedTo } from "./related";
+import { FACETS, facetCounts, facetMode, matchesFacet } from "./facets";
+import { hasTimeRange, matchesRanges, timeBound } from "./ranges";
+import {
+  exitPreview,
+  isArchived,
+  isAvailable,
+  nextChange,
+  readPreview,
+} from "./publishing";
+import { installSinglePlayback } from "./media";
+import { localLeadAdapter } from "./leads";
+import {
+  clearProfile,
+  loadProfile,
+  recordFilter,
+  recordView,
+  setIdentity,
+} from "./profile";
+import { recommend } from "./recommend";
+import {
+  deleteSearch,
+  isFiltered,
+  loadSearches,
+  saveSearch,
+} from "./searchStore";
+import { recordVisit } from "./visits";
+import { LOCALES, collapseSiblings, localize } from "./i18n";
+import {
+  analytics,
+  configureAnalytics,
+  consoleSink,
+  localStorageSink,
+} from "./analytics";
+import { minutesOf } from "./contentTypes";
+import { SITE_NAME, SOURCES } from "./siteConfig";
+import { clamp, opensInReader } from "./utils";
+
+// pdf.js is large: only fetch the reader when someone opens a document
+const PdfViewer = lazy(() => import("./PdfViewer"));
+// Only content ops use the editor; keep it out of the main bundle
+const Editor = lazy(() => import("./Editor"));
 
 /* =========================
    1) Configuration
 ========================= */
-// Set this to your custom domain once SSL is live
-// e.g. https://learning.the.fairway.fairwaydigitalmedia.com/index.json
-const DATA_URL = "https://pub-9d76e1d511764457a42a4f9797dbe836.r2.dev/index.json?v=20251119";
+// Catalogue sources and the public site URL live in siteConfig.js, which the
+// build-time prerender (scripts/prerender.mjs) reads as well.
+
+// Lead capture for items with `gated: true` (see LeadGate.js / leads.js).
+// Swap the adapter for webhookLeadAdapter("https://…") to post leads to a
+// CRM/automation hook; localLeadAdapter just logs and keeps them in localStorage.
+const LEAD_CAPTURE = {
+  adapter: localLeadAdapter(),
+  requireWorkEmail: true, // rejects gmail.com, outlook.com, …
+  // title: "…", intro: "…", submitLabel: "…", // override the translated copy
+  // privacyUrl: "https://…/privacy",
+};
+
+// Engagement analytics (see analytics.js). Add
+// beaconSink("https://…/collect") to ship batches to your collector.
+configureAnalytics({
+  sinks:
+    process.env.NODE_ENV === "production"
+      ? [localStorageSink()]
+      : [consoleSink(), localStorageSink()],
+});
+const SEARCH_SETTLE_MS = 1000; // typing pause before a query is "submitted"
+
+// "Recommended for you" rail size (on-device, see recommend.js)
+const RECS_N = 4;
+// Related links under each card (the detail page shows its own strip)
+const CARD_RELATED_N = 3;
+// setTimeout's longest wait (~24.8 days); later schedules re-arm from there
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
 
 // Optional hero image (Fairway golf background)
 const HERO_URL =
   "https://framerusercontent.com/images/hJsp2OrtaOC5U4KCLCvlXMRo8E.png?width=2400&height=1200";
 
-// Content item shape expected from DATA_URL
+// Content item shape expected from each source
+// (validated and normalized on load by schema.js; bad rows are quarantined)
 // {
 //   id: number|string,
 //   slug: string,
@@ -25,10 +150,24 @@ const HERO_URL =
 //   industries: string[], personas: string[], topics: string[], tags: string[],
 //   funnel_stage: "Awareness"|"Consideration"|"Decision"|"Retention",
 //   release_date: ISO string, version: number, read_time_min?: number, words?: number,
-//   content_type: "whitepaper"|"video"|"slide"|"infographic",
-//   file_url: string,            // PDF or MP4 URL
+//   content_type: "whitepaper"|"video"|"slide"|"infographic",  // others render generically
+//   file_url: string,            // PDF, MP4, deck or image URL
 //   cover_url?: string,          // optional image thumbnail/poster
-//   duration_sec?: number        // for videos
+//   duration_sec?: number,       // for videos
+//   captions_url?: string,       // WebVTT captions for videos
+//   chapters?: [{ start_sec, title }],
+//   transcript?: [{ start_sec, text }] | string, // "0:42 line" per row
+//   slides?: string[],           // slide images for the deck carousel
+//   slide_count?: number,        // defaults to slides.length
+//   gated?: boolean,             // lead form before the file/player/reader
+//   versions?: [{ version, date, file_url?, notes: string | string[] }]
+//                                // edition history; adds `updated_at`
+//   language?: string,           // BCP 47, default "en"
+//   localized?: { [language]: { title?, summary? } },
+//   language_group?: string,     // shared by translations of one asset
+//   status?: "draft"|"published"|"archived", // default "published"
+//   publish_at?: ISO string,     // hidden until then (embargo)
+//   expires_at?: ISO string      // hidden from then on
 // }
 
 // Fallback demo data if fetch fails
@@ -52,6 +191,13 @@ const SAMPLE = {
       content_type: "whitepaper",
       file_url: "https://example.com/zero-trust.pdf",
       cover_url: "https://picsum.photos/seed/zt/640/360",
+      localized: {
+        es: {
+          title: "Zero Trust para 2025: hoja de ruta práctica",
+          summary:
+            "Una guía pragmática para secuenciar identidad, postura de dispositivos y microsegmentación en empresas medianas.",
+        },
+      },
     },
     {
       id: 2,
@@ -83,6 +229,20 @@ const SAMPLE = {
       funnel_stage: "Decision",
       release_date: "2025-09-20",
       version: 3,
+      versions: [
+        {
+          version: 3,
+          date: "2025-11-04",
+          file_url: "https://example.com/dev-intent.pdf",
+          notes: ["Added a scoring worksheet", "Refreshed 2025 benchmarks"],
+        },
+        {
+          version: 2,
+          date: "2025-10-01",
+          file_url: "https://example.com/dev-intent-v2.pdf",
+          notes: "Expanded the ABM playbook section",
+        },
+      ],
       read_time_min: 13,
       words: 3100,
       content_type: "whitepaper",
@@ -93,142 +253,450 @@ const SAMPLE = {
 };
 
 /* =========================
-   2) Small utilities
-========================= */
-const fmtDate = (iso) => new Date(iso).toLocaleDateString();
-const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-const secsToMin = (s) => Math.round((s || 0) / 60);
-
-function includesI(haystack, needle) {
-  return haystack.toLowerCase().includes(needle.toLowerCase());
-}
-
-function fullTextMatch(p, q) {
-  if (!q) return true;
-  const fields = [
-    p.title || "",
-    p.summary || "",
-    ...(p.topics || []),
-    ...(p.tags || []),
-    ...(p.personas || []),
-    ...(p.industries || []),
-  ].join(" \n ");
-  return includesI(fields, q);
-}
-
-function computeYear(iso) {
-  try {
-    return String(new Date(iso).getFullYear());
-  } catch {
-    return "";
-  }
-}
-
-function tally(arr) {
-  const m = {};
-  for (const k of arr) m[k] = (m[k] || 0) + 1;
-  return m;
-}
-
-/* =========================
-   3) Hero component
+   2) Hero component
 ========================= */
 function Hero() {
+  const { t } = useI18n();
   return (
     <div
       className="fairway-hero"
       role="img"
-      aria-label="Rolling golf fairway at sunrise"
+      aria-label={t("hero.alt")}
       style={{ backgroundImage: `url(${HERO_URL})` }}
     >
       <div className="fairway-hero__overlay" />
       <div className="fairway-hero__content">
-        <h1>Fairway Content Library</h1>
-        <p>See more. Know sooner. Decide faster.</p>
+        <h1>{SITE_NAME}</h1>
+        <p>{t("hero.tagline")}</p>
       </div>
     </div>
   );
 }
 
 /* =========================
-   4) Main App
+   3) Main App
 ========================= */
-export default function App() {
-  const [items, setItems] = useState([]);
+// The embeddable widget is always the library view
+const EMBED_ROUTE = { name: "library" };
+const NOTHING_LOCKED = [];
+
+// embed: settings of an embedded widget (see embed.js) — { root, sources,
+// preset, locked, pageSize, layout, hero }. It shows a fixed slice of the
+// library without routing, URL state or the visitor's personal features.
+export default function App({ embed = null }) {
+  const appRoute = useRoute();
+  const route = embed ? EMBED_ROUTE : appRoute;
+  const sources = embed && embed.sources ? embed.sources : SOURCES;
+  const { locale, setLocale, t, number, date } = useI18n();
+  // source id -> { items, report, stats, savedAt, failed } (see load effect)
+  const [feeds, setFeeds] = useState({});
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState("");
-
-  // UI state
-  const [q, setQ] = useState("");
-  const [ctype, setCtype] = useState([]); // content types
-  const [industries, setIndustries] = useState([]);
-  const [personas, setPersonas] = useState([]);
-  const [topics, setTopics] = useState([]);
-  const [tags, setTags] = useState([]);
-  const [stage, setStage] = useState([]);
-  const [year, setYear] = useState([]);
-  const [sort, setSort] = useState("relevance");
-  const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(12);
-
-  // Fetch data once
+  const [notice, setNotice] = useState(""); // source whose catalogue updated
+  const [profile, setProfile] = useState(loadProfile); // see profile.js
+  const [savedSearches, setSavedSearches] = useState(loadSearches);
+  // Reviewers' view with drafts and scheduled items (publishing.js)
+  const [preview, setPreview] = useState(() => !embed && readPreview());
+
+  // UI state (seeded from the query string so shared links restore on load;
+  // an embed starts from its preset instead)
+  const [initial] = useState(() =>
+    embed
+      ? { ...embed.preset, pageSize: embed.pageSize }
+      : parseQuery(window.location.search)
+  );
+  const [q, setQ] = useState(initial.q);
+  const [ctype, setCtype] = useState(initial.ctype); // content types
+  const [industries, setIndustries] = useState(initial.industries);
+  const [personas, setPersonas] = useState(initial.personas);
+  const [topics, setTopics] = useState(initial.topics);
+  const [tags, setTags] = useState(initial.tags);
+  const [stage, setStage] = useState(initial.stage);
+  const [year, setYear] = useState(initial.year);
+  const [source, setSource] = useState(initial.source);
+  const [language, setLanguage] = useState(initial.language); // content languages
+  const [facetAnd, setFacetAnd] = useState(initial.facetAnd); // facets set to "match all"
+  const [timeMin, setTimeMin] = useState(initial.timeMin); // minutes, see ranges.js
+  const [timeMax, setTimeMax] = useState(initial.timeMax);
+  const [released, setReleased] = useState(initial.released); // date preset
+  const [from, setFrom] = useState(initial.from); // "YYYY-MM-DD" days
+  const [to, setTo] = useState(initial.to);
+  const [archived, setArchived] = useState(initial.archived);
+  const [sort, setSort] = useState(initial.sort);
+  const [page, setPage] = useState(initial.page);
+  const [pageSize, setPageSize] = useState(initial.pageSize);
+
+  // Mirror UI state into the URL; back/forward restores it via popstate
+  const urlState = useMemo(
+    () => ({
+      q,
+      ctype,
+      industries,
+      personas,
+      topics,
+      tags,
+      stage,
+      year,
+      source,
+      language,
+      facetAnd,
+      timeMin,
+      timeMax,
+      released,
+      from,
+      to,
+      archived,
+      sort,
+      page,
+      pageSize,
+    }),
+    [
+      q,
+      ctype,
+      industries,
+      personas,
+      topics,
+      tags,
+      stage,
+      year,
+      source,
+      language,
+      facetAnd,
+      timeMin,
+      timeMax,
+      released,
+      from,
+      to,
+      archived,
+      sort,
+      page,
+      pageSize,
+    ]
+  );
+  const lastWritten = useRef(null);
+  const onLibrary = route.name === "library";
+  const embedded = !!embed;
+  // null inside the embed, which has no collections
+  const saved = useCollections();
+  useEffect(() => {
+    if (!onLibrary || embedded) return;
+    writeQuery(urlState, historyMode(lastWritten.current, urlState));
+    lastWritten.current = urlState;
+  }, [urlState, onLibrary, embedded]);
+
+  // Replace every piece of UI state at once (back/forward, saved searches)
+  const restore = useCallback((s) => {
+    setQ(s.q);
+    setCtype(s.ctype);
+    setIndustries(s.industries);
+    setPersonas(s.personas);
+    setTopics(s.topics);
+    setTags(s.tags);
+    setStage(s.stage);
+    setYear(s.year);
+    setSource(s.source);
+    setLanguage(s.language);
+    setFacetAnd(s.facetAnd);
+    setTimeMin(s.timeMin);
+    setTimeMax(s.timeMax);
+    setReleased(s.released);
+    setFrom(s.from);
+    setTo(s.to);
+    setArchived(s.archived);
+    setSort(s.sort);
+    setPage(s.page);
+    setPageSize(s.pageSize);
+  }, []);
+
+  useEffect(() => {
+    if (embedded) return;
+    const onPop = () => {
+      // Detail pages carry no library state; keep filters for the way back
+      if (matchRoute(window.location.pathname).name !== "library") return;
+      const s = parseQuery(window.location.search);
+      lastWritten.current = s;
+      restore(s);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [restore, embedded]);
+
+  // Starting any video (cards, detail, player) pauses the others
+  const playbackRoot = embed ? embed.root : document;
+  useEffect(() => installSinglePlayback(playbackRoot), [playbackRoot]);
+
+  // Load every source: cached copies first, then revalidate all in parallel.
+  // A failing source only marks its own feed as failed.
   useEffect(() => {
     let cancelled = false;
-    async function run() {
-      setLoading(true);
-      setError("");
+    const update = (id, patch) => {
+      if (!cancelled) setFeeds((f) => ({ ...f, [id]: { ...f[id], ...patch } }));
+    };
+
+    // Normalize a feed; throws if it has no usable items array
+    const normalize = (json) => {
+      const normalized = normalizeCatalogue(json);
+      if (normalized.stats.total === 0 && normalized.report.length)
+        throw new Error(normalized.report[0].issues[0].message);
+      return normalized;
+    };
+
+    async function revalidate(src) {
+      const cached = readCache(src.url);
       try {
-        if (DATA_URL) {
-          const r = await fetch(DATA_URL, { mode: "cors" });
-          if (!r.ok) throw new Error(`HTTP ${r.status}`);
-          const json = await r.json();
-          const arr = Array.isArray(json) ? json : json.items || [];
-          if (!cancelled) setItems(arr);
-        } else {
-          if (!cancelled) setItems(SAMPLE.items);
-        }
+        const { changed, entry } = await fetchCatalogue(src.url, cached);
+        if (changed) {
+          update(src.id, {
+            ...normalize(entry.json),
+            savedAt: entry.savedAt,
+            failed: false,
+          });
+          if (cached && !cancelled) setNotice(src.label);
+        } else update(src.id, { failed: false });
+        writeCache(src.url, entry);
       } catch (e) {
-        console.error(e);
-        if (!cancelled) {
-          setItems(SAMPLE.items);
-          setError("Using fallback sample data.");
-        }
-      } finally {
+        console.error(`${src.label}:`, e);
+        update(src.id, { failed: true });
+      }
+    }
+    const revalidateAll = () =>
+      Promise.all(sources.map(revalidate)).then(() => {
         if (!cancelled) setLoading(false);
+      });
+
+    const initialFeeds = {};
+    for (const src of sources) {
+      const cached = readCache(src.url);
+      if (!cached) continue;
+      try {
+        initialFeeds[src.id] = {
+          ...normalize(cached.json),
+          savedAt: cached.savedAt,
+        };
+      } catch (e) {
+        console.error(e); // corrupt cache: the network copy replaces it
       }
     }
-    run();
+    setFeeds(initialFeeds);
+    if (Object.keys(initialFeeds).length) setLoading(false);
+
+    revalidateAll();
+    window.addEventListener("online", revalidateAll);
     return () => {
       cancelled = true;
+      window.removeEventListener("online", revalidateAll);
     };
-  }, []);
+  }, [sources]);
+
+  // SAMPLE only when no source produced anything (no network, no cache)
+  const allFailed =
+    !loading && sources.every((s) => !(feeds[s.id] && feeds[s.id].items));
+  const catalogue = useMemo(
+    () =>
+      allFailed
+        ? normalizeCatalogue(SAMPLE).items
+        : mergeSources(sources, feeds),
+    [allFailed, sources, feeds]
+  );
+  // Embargoes lift and items expire while the page is open: re-check at the
+  // next scheduled time (capped to what setTimeout can wait)
+  const [now, setNow] = useState(Date.now);
+  useEffect(() => {
+    const next = nextChange(catalogue, now);
+    if (next === null) return;
+    const id = setTimeout(
+      () => setNow(Date.now()),
+      Math.min(next - now, MAX_TIMEOUT_MS)
+    );
+    return () => clearTimeout(id);
+  }, [catalogue, now]);
+  // What this visitor may see (publishing.js), with titles/summaries in the
+  // UI locale where the item offers them (i18n.js)
+  const items = useMemo(
+    () =>
+      catalogue
+        .filter((p) => isAvailable(p, preview, now))
+        .map((p) => localize(p, locale)),
+    [catalogue, locale, preview, now]
+  );
+  const hasArchived = useMemo(() => items.some(isArchived), [items]);
+
+  // One warning per failed source; stale cached copies say how old they are
+  const why = t(navigator.onLine === false ? "warn.offline" : "warn.down");
+  const warnings =
+    allFailed && sources.length
+      ? [t("warn.sample", { why })]
+      : sources
+          .filter((s) => feeds[s.id] && feeds[s.id].failed)
+          .map((s) => {
+            const f = feeds[s.id];
+            return f.items
+              ? t("warn.stale", {
+                  source: s.label,
+                  why,
+                  date: new Date(f.savedAt).toLocaleString(locale),
+                })
+              : t("warn.missing", { source: s.label, why });
+          });
+
+  // schema.js reports for the dev panel, one per loaded source
+  const diagnostics = useMemo(
+    () =>
+      sources
+        .filter((s) => feeds[s.id] && feeds[s.id].report)
+        .map((s) => ({
+          label: s.label,
+          ...feeds[s.id],
+        })),
+    [sources, feeds]
+  );
+
+  // Remember what this visit saw; the next one badges what changed (visits.js).
+  // A preview shows what visitors haven't seen yet, so it isn't recorded.
+  useEffect(() => {
+    if (!loading && items.length && !preview) recordVisit(items);
+  }, [loading, items, preview]);
+
+  // Role/industry options for the lead form and the "I am a…" picker
+  const allPersonas = useMemo(
+    () => [...new Set(items.flatMap((p) => p.personas || []))].sort(),
+    [items]
+  );
+  const allIndustries = useMemo(
+    () => [...new Set(items.flatMap((p) => p.industries || []))].sort(),
+    [items]
+  );
+
+  const routeItem = route.slug
+    ? items.find((p) => p.slug === route.slug)
+    : null;
+
+  // Opening an asset (detail, reader or player) teaches the recommender
+  const recordedSlug = useRef(null);
+  useEffect(() => {
+    if (!routeItem) {
+      recordedSlug.current = null;
+      return;
+    }
+    if (recordedSlug.current === routeItem.slug) return;
+    recordedSlug.current = routeItem.slug;
+    setProfile(recordView(routeItem));
+  }, [routeItem]);
+  const recs = useMemo(
+    () =>
+      recommend(
+        items.filter((p) => !isArchived(p)),
+        profile,
+        RECS_N
+      ),
+    [items, profile]
+  );
+
+  // Search and similarity indexes are rebuilt only when the catalogue changes;
+  // the similarity one from the raw catalogue, so neither the locale, the
+  // preview switch nor a publishing tick rebuilds it
+  const index = useMemo(() => buildIndex(items), [items]);
+  const relatedIndex = useMemo(() => buildRelated(catalogue), [catalogue]);
+  // null = no query (everything matches); else Map(item -> relevance score)
+  const hits = useMemo(() => search(index, q), [index, q]);
+  // Only spend time on spelling suggestions when the query found nothing
+  const didYouMean = useMemo(
+    () => (hits && hits.size === 0 ? suggest(index, q) : null),
+    [index, hits, q]
+  );
+
+  // Facet selections keyed like FACETS
+  const selections = useMemo(
+    () => ({
+      type: ctype,
+      industries,
+      personas,
+      topics,
+      tags,
+      stage,
+      year,
+      source,
+      language,
+    }),
+    [ctype, industries, personas, topics, tags, stage, year, source, language]
+  );
+  const setters = {
+    type: setCtype,
+    industries: setIndustries,
+    personas: setPersonas,
+    topics: setTopics,
+    tags: setTags,
+    stage: setStage,
+    year: setYear,
+    source: setSource,
+    language: setLanguage,
+  };
 
   // Derived / filtering
+  const ranges = useMemo(
+    () => ({ timeMin, timeMax, released, from, to }),
+    [timeMin, timeMax, released, from, to]
+  );
+  // Facets an embed locked to its preset are neither shown nor removable
+  const locked = embed ? embed.locked : NOTHING_LOCKED;
+  // What an embed may show at all, its locked filters applied: autocomplete
+  // draws from this so it never reaches past the slice
+  const slice = useMemo(() => {
+    if (!locked.length) return items;
+    const time = locked.includes("time");
+    const days = locked.includes("released");
+    const lockedRanges = {
+      timeMin: time ? ranges.timeMin : null,
+      timeMax: time ? ranges.timeMax : null,
+      released: days ? ranges.released : "",
+      from: days ? ranges.from : "",
+      to: days ? ranges.to : "",
+    };
+    return items.filter(
+      (p) =>
+        matchesRanges(p, lockedRanges) &&
+        FACETS.every(
+          (f) =>
+            !locked.includes(f.key) ||
+            matchesFacet(p, f, selections[f.key], facetMode(f, facetAnd))
+        )
+    );
+  }, [items, locked, ranges, selections, facetAnd]);
+  // Related content is drawn from what's shown: the slice, and archived
+  // items only with "Show archived"
+  const relatedShown = useMemo(
+    () =>
+      new Map(
+        slice.filter((p) => archived || !isArchived(p)).map((p) => [p.slug, p])
+      ),
+    [slice, archived]
+  );
+  const relatedOf = useCallback(
+    (slug, n) => relatedTo(relatedIndex, slug, n, relatedShown),
+    [relatedIndex, relatedShown]
+  );
+  // Text search, the archive switch and the range filters narrow the pool
+  // every facet counts in
+  const searched = useMemo(
+    () =>
+      items.filter(
+        (p) =>
+          (archived || !isArchived(p)) &&
+          (!hits || hits.has(p)) &&
+          matchesRanges(p, ranges)
+      ),
+    [items, archived, hits, ranges]
+  );
+  const timeLimit = useMemo(() => timeBound(items), [items]);
+  // Translations of one asset show once, in the best language for the UI,
+  // unless the visitor picked languages themselves
   const filtered = useMemo(() => {
-    const qTrim = q.trim();
-    return items.filter((p) => {
-      if (!fullTextMatch(p, qTrim)) return false;
-      if (ctype.length && !ctype.includes(p.content_type)) return false;
-      if (
-        industries.length &&
-        !industries.every((v) => (p.industries || []).includes(v))
+    const matched = searched.filter((p) =>
+      FACETS.every((f) =>
+        matchesFacet(p, f, selections[f.key], facetMode(f, facetAnd))
       )
-        return false;
-      if (
-        personas.length &&
-        !personas.every((v) => (p.personas || []).includes(v))
-      )
-        return false;
-      if (topics.length && !topics.every((v) => (p.topics || []).includes(v)))
-        return false;
-      if (tags.length && !tags.every((v) => (p.tags || []).includes(v)))
-        return false;
-      if (stage.length && !stage.includes(p.funnel_stage)) return false;
-      if (year.length && !year.includes(computeYear(p.release_date)))
-        return false;
-      return true;
-    });
-  }, [items, q, ctype, industries, personas, topics, tags, stage, year]);
+    );
+    return language.length ? matched : collapseSiblings(matched, locale);
+  }, [searched, selections, facetAnd, language, locale]);
 
   const sorted = useMemo(() => {
     const arr = [...filtered];
@@ -237,54 +705,36 @@ export default function App() {
       case "newest":
         arr.sort((a, b) => new Date(b.release_date) - new Date(a.release_date));
         break;
+      case "updated":
+        arr.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+        break;
       case "oldest":
         arr.sort((a, b) => new Date(a.release_date) - new Date(b.release_date));
         break;
+      // Unknown time to consume goes last either way
       case "shortest":
         arr.sort(
           (a, b) =>
-            (a.read_time_min || 0) - (b.read_time_min || 0) ||
+            (minutesOf(a) || Infinity) - (minutesOf(b) || Infinity) ||
             new Date(b.release_date) - new Date(a.release_date)
         );
         break;
       case "longest":
         arr.sort(
           (a, b) =>
-            (b.read_time_min || 0) - (a.read_time_min || 0) ||
+            (minutesOf(b) || -Infinity) - (minutesOf(a) || -Infinity) ||
             new Date(b.release_date) - new Date(a.release_date)
         );
         break;
       default: {
         // relevance (if q) else newest
-        if (q.trim()) {
-          const terms = q.trim().toLowerCase().split(/\s+/);
+        if (hits) {
+          // small recency boost keeps fresh assets ahead on near-ties
           const score = (p) => {
-            const text =
-              (p.title || "") +
-              "\n" +
-              (p.summary || "") +
-              "\n" +
-              (Array.isArray(p.topics) ? p.topics.join(" ") : "") +
-              "\n" +
-              (Array.isArray(p.tags) ? p.tags.join(" ") : "") +
-              "\n" +
-              (Array.isArray(p.personas) ? p.personas.join(" ") : "") +
-              "\n" +
-              (Array.isArray(p.industries) ? p.industries.join(" ") : "");
-            const lower = text.toLowerCase();
-
-            let s = 0;
-            for (const w of terms) {
-              if (!w) continue;
-              if ((p.title || "").toLowerCase().includes(w)) s += 5;
-              if ((p.summary || "").toLowerCase().includes(w)) s += 2;
-              if (lower.includes(w)) s += 1; // catch tag/topic/persona/industry hits
-            }
             const yearsOld =
               (Date.now() - new Date(p.release_date).getTime()) /
               (1000 * 60 * 60 * 24 * 365);
-            s += Math.max(0, 2 - yearsOld); // small recency boost
-            return s;
+            return hits.get(p) + Math.max(0, 2 - yearsOld) * 0.1;
           };
           arr.sort((a, b) => score(b) - score(a));
         } else {
@@ -296,7 +746,7 @@ export default function App() {
     }
 
     return arr;
-  }, [filtered, sort, q]);
+  }, [filtered, sort, hits]);
 
   const total = sorted.length;
   const pageCount = Math.max(1, Math.ceil(total / pageSize));
@@ -306,50 +756,118 @@ export default function App() {
     [sorted, safePage, pageSize]
   );
 
-  // Facets from *current* filtered universe (except the facet itself — simple approach)
-  const facets = useMemo(() => {
-    const yrs = filtered.map((p) => computeYear(p.release_date));
-    const typ = filtered.map((p) => p.content_type || "content");
-    const ind = filtered.flatMap((p) => p.industries || []);
-    const per = filtered.flatMap((p) => p.personas || []);
-    const top = filtered.flatMap((p) => p.topics || []);
-    const tag = filtered.flatMap((p) => p.tags || []);
-    const stg = filtered.map((p) => p.funnel_stage);
-    return {
-      type: tally(typ),
-      year: tally(yrs),
-      industries: tally(ind),
-      personas: tally(per),
-      topics: tally(top),
-      tags: tally(tag),
-      stage: tally(stg),
+  // Facet counts: each facet sees every filter except its own (see facets.js)
+  const facets = useMemo(
+    () => facetCounts(items, searched, selections, facetAnd),
+    [items, searched, selections, facetAnd]
+  );
+
+  // Toggle helpers. Any filter change goes back to page 1 in the same update,
+  // so the URL gets a single history entry per click.
+  const toggle = (k, v, via = "rail") => {
+    const arr = selections[k];
+    setters[k](arr.includes(v) ? arr.filter((x) => x !== v) : [...arr, v]);
+    setPage(1);
+    analytics.facetToggled(k, v, !arr.includes(v), via);
+    if (!arr.includes(v)) setProfile(recordFilter(k, v));
+  };
+  const toggleMode = (k) => {
+    setFacetAnd(
+      facetAnd.includes(k) ? facetAnd.filter((x) => x !== k) : [...facetAnd, k]
+    );
+    setPage(1);
+  };
+
+  // Autocomplete picked a facet value: filter by it instead of searching text
+  const applyFacet = (k, v) => {
+    if (locked.includes(k)) return;
+    if (!selections[k].includes(v)) setters[k]([...selections[k], v]);
+    setQ("");
+    setPage(1);
+    analytics.facetToggled(k, v, true, "autocomplete");
+    setProfile(recordFilter(k, v));
+  };
+  // patch: some of { timeMin, timeMax, released, from, to }
+  const changeRanges = (patch) => {
+    const rangeSetters = {
+      timeMin: setTimeMin,
+      timeMax: setTimeMax,
+      released: setReleased,
+      from: setFrom,
+      to: setTo,
     };
-  }, [filtered]);
+    Object.keys(patch).forEach((k) => rangeSetters[k](patch[k]));
+    setPage(1);
+    const next = { ...ranges, ...patch };
+    if ("timeMin" in patch || "timeMax" in patch) {
+      analytics.rangeChanged("time", next.timeMin, next.timeMax);
+    } else {
+      analytics.rangeChanged("released", next.from, next.to, next.released);
+    }
+  };
+  const changePage = (n) => {
+    setPage(n);
+    analytics.pageChanged(n, pageSize);
+  };
 
-  // Toggle helpers
-  const toggle = (setter, arr, v) =>
-    setter(arr.includes(v) ? arr.filter((x) => x !== v) : [...arr, v]);
+  // A query counts as submitted once typing pauses (once per distinct query;
+  // zero-result queries are the interesting ones for content gaps)
+  const lastSearch = useRef("");
+  useEffect(() => {
+    const query = q.trim();
+    if (!query || loading || query === lastSearch.current) return;
+    const timer = setTimeout(() => {
+      lastSearch.current = query;
+      analytics.searchSubmitted(query, total);
+    }, SEARCH_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [q, total, loading]);
 
   // UI bits
+  // Zero-count values stay listed but greyed out (still removable if selected)
   const Pill = ({ label, count, selected, onClick }) => (
     <button
       onClick={onClick}
-      className={"pill " + (selected ? "pill--on" : "")}
+      disabled={!count && !selected}
+      aria-pressed={selected}
+      className={
+        "pill " + (selected ? "pill--on" : "") + (count ? "" : " pill--zero")
+      }
     >
-      {label} <span className="pill__n">({count})</span>
+      {label} <span className="pill__n">({number(count)})</span>
     </button>
   );
 
-  const Facet = ({ title, map, selected, onToggle }) => (
+  const Facet = ({ title, map, format, selected, onToggle, mode, onMode }) => (
     <section className="facet">
-      <h3>{title}</h3>
+      <div className="facet__hdr">
+        <h3>{title}</h3>
+        {onMode && (
+          <div
+            className="facet__mode"
+            role="group"
+            aria-label={t("facet.match", { title })}
+          >
+            {["or", "and"].map((m) => (
+              <button
+                key={m}
+                aria-pressed={mode === m}
+                className={mode === m ? "on" : ""}
+                onClick={() => mode !== m && onMode()}
+              >
+                {m === "or" ? t("facet.any") : t("facet.all")}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
       <div className="facet__wrap">
         {Object.entries(map)
           .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
           .map(([k, n]) => (
             <Pill
               key={k}
-              label={k}
+              label={format ? format(k) : k}
               count={n}
               selected={selected.includes(k)}
               onClick={() => onToggle(k)}
@@ -359,243 +877,360 @@ export default function App() {
     </section>
   );
 
+  const openFacets = FACETS.filter((f) => !locked.includes(f.key));
+  const railFacets = openFacets.filter(
+    (f) =>
+      (f.key !== "source" || sources.length > 1) &&
+      (f.key !== "language" || Object.keys(facets.language || {}).length > 1)
+  );
+  const showTime = !locked.includes("time");
+  const showReleased = !locked.includes("released");
+  const hasRail =
+    !embedded || railFacets.length > 0 || showTime || showReleased;
+
   const ActiveChips = () => {
-    const chips = [];
-    const pushChips = (k, arr) => arr.forEach((v) => chips.push({ k, v }));
-    pushChips("type", ctype);
-    pushChips("industries", industries);
-    pushChips("personas", personas);
-    pushChips("topics", topics);
-    pushChips("tags", tags);
-    pushChips("stage", stage);
-    pushChips("year", year);
-    if (!chips.length) return null;
+    const chips = openFacets.flatMap((f) =>
+      selections[f.key].map((v) => ({
+        k: f.key,
+        v,
+        label: `${t(`facet.${f.key}`)}: ${f.format ? f.format(v) : v}`,
+      }))
+    );
+    const rangeChips = [];
+    if (showTime && hasTimeRange(ranges)) {
+      const min = (n) => t("meta.minutes", { n });
+      rangeChips.push({
+        key: "time",
+        label: `${t("range.time")}: ${
+          timeMin == null
+            ? `≤ ${min(timeMax)}`
+            : timeMax == null
+            ? `≥ ${min(timeMin)}`
+            : `${number(timeMin)}–${min(timeMax)}`
+        }`,
+        clear: { timeMin: null, timeMax: null },
+      });
+    }
+    if (showReleased && (released || from || to)) {
+      // "T00:00" reads the day as local midnight rather than UTC
+      const day = (d) => date(`${d}T00:00`);
+      rangeChips.push({
+        key: "released",
+        label: `${t("range.released")}: ${
+          released
+            ? t(`range.preset.${released}`)
+            : `${from ? day(from) : "…"} – ${to ? day(to) : "…"}`
+        }`,
+        clear: { released: "", from: "", to: "" },
+      });
+    }
+    if (!chips.length && !rangeChips.length) return null;
     return (
       <div className="chips">
+        {rangeChips.map((c) => (
+          <button
+            key={c.key}
+            className="chip"
+            onClick={() => changeRanges(c.clear)}
+          >
+            {c.label} ×
+          </button>
+        ))}
         {chips.map((c) => (
           <button
             key={c.k + "/" + c.v}
             className="chip"
-            onClick={() => {
-              if (c.k === "type") toggle(setCtype, ctype, c.v);
-              else if (c.k === "industries")
-                toggle(setIndustries, industries, c.v);
-              else if (c.k === "personas") toggle(setPersonas, personas, c.v);
-              else if (c.k === "topics") toggle(setTopics, topics, c.v);
-              else if (c.k === "tags") toggle(setTags, tags, c.v);
-              else if (c.k === "stage") toggle(setStage, stage, c.v);
-              else if (c.k === "year") toggle(setYear, year, c.v);
-            }}
+            onClick={() => toggle(c.k, c.v, "chip")}
           >
-            {c.k}: {c.v} ×
+            {c.label} ×
           </button>
         ))}
       </div>
     );
   };
 
-  // Reset to page 1 when filters change
-  useEffect(() => {
-    setPage(1);
-  }, [q, ctype, industries, personas, topics, tags, stage, year, pageSize]);
-
   return (
     <div className="wrap">
-      <Hero />
-
-      <header className="hdr">
-        <div className="hdr__row">
-          <input
-            className="input"
-            placeholder="Search titles, summaries, topics, tags…"
-            value={q}
-            onChange={(e) => setQ(e.target.value)}
-          />
-          <label className="lbl">
-            Sort
-            <select
-              className="select"
-              value={sort}
-              onChange={(e) => setSort(e.target.value)}
-            >
-              <option value="relevance">Relevance</option>
-              <option value="newest">Newest</option>
-              <option value="oldest">Oldest</option>
-              <option value="shortest">Shortest read</option>
-              <option value="longest">Longest read</option>
-            </select>
-          </label>
-          <label className="lbl">
-            Page size
-            <select
-              className="select"
-              value={pageSize}
-              onChange={(e) => setPageSize(Number(e.target.value))}
-            >
-              {[6, 12, 24, 48].map((n) => (
-                <option key={n} value={n}>
-                  {n}
-                </option>
-              ))}
-            </select>
-          </label>
+      {preview && (
+        <div className="note note--preview" role="status">
+          {t("preview.banner")}{" "}
+          <button
+            className="note__x"
+            onClick={() => {
+              exitPreview();
+              setPreview(false);
+            }}
+          >
+            {t("preview.exit")}
+          </button>
         </div>
-        <ActiveChips />
-      </header>
-
-      <div className="grid">
-        <aside className="rail">
-          <Facet
-            title="Type"
-            map={facets.type || {}}
-            selected={ctype}
-            onToggle={(v) => toggle(setCtype, ctype, v)}
-          />
-          <Facet
-            title="Industries"
-            map={facets.industries || {}}
-            selected={industries}
-            onToggle={(v) => toggle(setIndustries, industries, v)}
-          />
-          <Facet
-            title="Personas"
-            map={facets.personas || {}}
-            selected={personas}
-            onToggle={(v) => toggle(setPersonas, personas, v)}
-          />
-          <Facet
-            title="Topics"
-            map={facets.topics || {}}
-            selected={topics}
-            onToggle={(v) => toggle(setTopics, topics, v)}
-          />
-          <Facet
-            title="Tags"
-            map={facets.tags || {}}
-            selected={tags}
-            onToggle={(v) => toggle(setTags, tags, v)}
-          />
-          <Facet
-            title="Year"
-            map={facets.year || {}}
-            selected={year}
-            onToggle={(v) => toggle(setYear, year, v)}
-          />
-          <Facet
-            title="Funnel Stage"
-            map={facets.stage || {}}
-            selected={stage}
-            onToggle={(v) => toggle(setStage, stage, v)}
-          />
-        </aside>
-
-        <main className="main">
-          {loading ? (
-            <div className="muted">Loading…</div>
-          ) : error ? (
-            <div className="warn">{error}</div>
-          ) : null}
-          <div className="muted small">{total} results</div>
-          <div className="cards">
-            {pageItems.map((p) => (
-              <article key={p.id} className="card">
-                {/* Media */}
-                {p.content_type === "video" ? (
-                  <div className="media">
-                    <video
-                      controls
-                      preload="metadata"
-                      poster={p.cover_url || undefined}
-                      src={p.file_url}
-                      width="100%"
+      )}
+      {(!embed || embed.hero) && <Hero />}
+
+      <GateProvider config={LEAD_CAPTURE} personas={allPersonas}>
+        {onLibrary ? (
+          <>
+            <header className="hdr">
+              <div className="hdr__row">
+                <SearchBox
+                  items={slice}
+                  locked={locked}
+                  placeholder={t("search.placeholder")}
+                  title={t("search.tip")}
+                  aria-label={t("search.label")}
+                  value={q}
+                  onChange={(v) => {
+                    setQ(v);
+                    setPage(1);
+                  }}
+                  onFacet={applyFacet}
+                />
+                <label className="lbl">
+                  {t("sort.label")}
+                  <select
+                    className="select"
+                    value={sort}
+                    onChange={(e) => {
+                      setSort(e.target.value);
+                      analytics.sortChanged(e.target.value);
+                    }}
+                  >
+                    {SORTS.map((s) => (
+                      <option key={s} value={s}>
+                        {t(`sort.${s}`)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {!embedded && (
+                  <label className="lbl">
+                    {t("pageSize.label")}
+                    <select
+                      className="select"
+                      value={pageSize}
+                      onChange={(e) => {
+                        setPageSize(Number(e.target.value));
+                        setPage(1);
+                        analytics.pageChanged(1, Number(e.target.value));
+                      }}
+                    >
+                      {PAGE_SIZES.map((n) => (
+                        <option key={n} value={n}>
+                          {number(n)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {(hasArchived || archived) && (
+                  <label className="lbl">
+                    <input
+                      type="checkbox"
+                      checked={archived}
+                      onChange={(e) => {
+                        setArchived(e.target.checked);
+                        setPage(1);
+                      }}
+                    />
+                    {t("publish.showArchived")}
+                  </label>
+                )}
+                {saved && (
+                  <Link className="btn" to={collectionsPath()}>
+                    {t("collections.link", { n: saved.collections.length })}
+                  </Link>
+                )}
+                {!embedded && (
+                  <label className="lbl">
+                    {t("locale.label")}
+                    <select
+                      className="select"
+                      value={locale}
+                      onChange={(e) => setLocale(e.target.value)}
+                    >
+                      {LOCALES.map((l) => (
+                        <option key={l.code} value={l.code} lang={l.code}>
+                          {l.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+              <ActiveChips />
+            </header>
+
+            <div className={"grid" + (hasRail ? "" : " grid--full")}>
+              {hasRail && (
+                <aside className="rail">
+                  {!embedded && (
+                    <SavedSearches
+                      searches={savedSearches}
+                      index={index}
+                      items={items}
+                      canSave={isFiltered(urlState)}
+                      onSave={(name) =>
+                        setSavedSearches(saveSearch(name, urlState))
+                      }
+                      onApply={(s) =>
+                        restore({ ...DEFAULT_STATE, ...s.state, pageSize })
+                      }
+                      onDelete={(id) => setSavedSearches(deleteSearch(id))}
                     />
+                  )}
+                  <RangeFilters
+                    value={ranges}
+                    bound={timeLimit}
+                    onChange={changeRanges}
+                    showTime={showTime}
+                    showReleased={showReleased}
+                  />
+                  {railFacets.map((f) => (
+                    <Facet
+                      key={f.key}
+                      title={t(`facet.${f.key}`)}
+                      map={facets[f.key] || {}}
+                      format={f.format}
+                      selected={selections[f.key]}
+                      onToggle={(v) => toggle(f.key, v)}
+                      mode={facetMode(f, facetAnd)}
+                      onMode={f.multi ? () => toggleMode(f.key) : undefined}
+                    />
+                  ))}
+                </aside>
+              )}
+
+              <main className="main">
+                {loading ? <div className="muted">{t("loading")}</div> : null}
+                {warnings.map((w) => (
+                  <div key={w} className="warn" role="status">
+                    {w}
                   </div>
-                ) : p.cover_url ? (
-                  <div className="media">
-                    <img className="cover" src={p.cover_url} alt="cover" />
+                ))}
+                {notice && (
+                  <div className="note" role="status">
+                    {t("notice.updated", { source: notice })}{" "}
+                    <button className="note__x" onClick={() => setNotice("")}>
+                      {t("dismiss")}
+                    </button>
                   </div>
-                ) : null}
-
-                {/* Header */}
-                <div className="card__hdr">
-                  <h3 className="card__title">{p.title}</h3>
-                  <div className="card__meta">
-                    {fmtDate(p.release_date)} •{" "}
-                    {p.content_type === "video"
-                      ? `${secsToMin(p.duration_sec)} min`
-                      : `${
-                          p.read_time_min || Math.round((p.words || 1200) / 200)
-                        } min`}{" "}
-                    • v{p.version}
+                )}
+                {!embedded && <Diagnostics feeds={diagnostics} />}
+                {!embedded && !q && safePage === 1 && (
+                  <Recommendations
+                    recs={recs}
+                    identity={profile.identity}
+                    personas={allPersonas}
+                    industries={allIndustries}
+                    onIdentity={(patch) => setProfile(setIdentity(patch))}
+                    onReset={() => setProfile(clearProfile())}
+                  />
+                )}
+                <div className="muted small">{t("results", { n: total })}</div>
+                {didYouMean && (
+                  <div className="dym">
+                    {t("dym.prefix")}{" "}
+                    <button
+                      className="dym__btn"
+                      onClick={() => {
+                        setQ(didYouMean);
+                        setPage(1);
+                      }}
+                    >
+                      {didYouMean}
+                    </button>
+                    {t("dym.suffix")}
                   </div>
-                </div>
-
-                {/* Summary */}
-                <p className="card__sum">{p.summary}</p>
-
-                {/* Tags */}
-                <div className="tags">
-                  <span className="tag tag--kind">{p.content_type}</span>
-                  {(p.topics || []).slice(0, 3).map((t) => (
-                    <span key={t} className="tag">
-                      {t}
-                    </span>
+                )}
+                <div
+                  className={"cards" + (embed ? ` cards--${embed.layout}` : "")}
+                >
+                  {pageItems.map((p, i) => (
+                    <Card
+                      key={p.id}
+                      item={p}
+                      list={embedded ? "embed" : "results"}
+                      position={(safePage - 1) * pageSize + i + 1}
+                      related={relatedOf(p.slug, CARD_RELATED_N)}
+                    />
                   ))}
                 </div>
 
-                {/* CTA */}
-                <div className="cta">
-                  {p.content_type === "video" ? (
-                    <a
+                {pageCount > 1 && (
+                  <div className="pager">
+                    <button
                       className="btn"
-                      href={p.file_url}
-                      target="_blank"
-                      rel="noreferrer"
+                      disabled={safePage <= 1}
+                      onClick={() => changePage(safePage - 1)}
                     >
-                      Open Video
-                    </a>
-                  ) : (
-                    <a
+                      {t("pager.prev")}
+                    </button>
+                    <span>
+                      {t("pager.status", { page: safePage, pages: pageCount })}
+                    </span>
+                    <button
                       className="btn"
-                      href={p.file_url}
-                      target="_blank"
-                      rel="noreferrer"
+                      disabled={safePage >= pageCount}
+                      onClick={() => changePage(safePage + 1)}
                     >
-                      View PDF
-                    </a>
-                  )}
-                </div>
-              </article>
-            ))}
-          </div>
-
-          {pageCount > 1 && (
-            <div className="pager">
-              <button
-                className="btn"
-                disabled={safePage <= 1}
-                onClick={() => setPage(safePage - 1)}
-              >
-                Prev
-              </button>
-              <span>
-                Page {safePage} of {pageCount}
-              </span>
-              <button
-                className="btn"
-                disabled={safePage >= pageCount}
-                onClick={() => setPage(safePage + 1)}
-              >
-                Next
-              </button>
+                      {t("pager.next")}
+                    </button>
+                  </div>
+                )}
+              </main>
             </div>
-          )}
-        </main>
-      </div>
+          </>
+        ) : route.name === "collections" ? (
+          <CollectionsPage
+            items={items}
+            selectedId={route.id}
+            backTo={"/" + serializeQuery(urlState)}
+          />
+        ) : route.name === "shared" ? (
+          <SharedCollection
+            items={items}
+            loading={loading}
+            backTo={"/" + serializeQuery(urlState)}
+          />
+        ) : route.name === "editor" ? (
+          <Suspense
+            fallback={<div className="muted">{t("loading.editor")}</div>}
+          >
+            <Editor sources={SOURCES} backTo={"/" + serializeQuery(urlState)} />
+          </Suspense>
+        ) : route.name === "reader" && routeItem && opensInReader(routeItem) ? (
+          <GateGuard item={routeItem}>
+            <Suspense
+              fallback={<div className="muted">{t("loading.reader")}</div>}
+            >
+              <PdfViewer item={routeItem} backTo={itemPath(routeItem.slug)} />
+            </Suspense>
+          </GateGuard>
+        ) : route.name === "watch" &&
+          routeItem &&
+          routeItem.content_type === "video" ? (
+          <GateGuard item={routeItem}>
+            <VideoPlayer
+              key={routeItem.slug}
+              item={routeItem}
+              backTo={itemPath(routeItem.slug)}
+            />
+          </GateGuard>
+        ) : (
+          <ItemDetail
+            key={route.slug}
+            slug={route.slug}
+            items={items}
+            relatedOf={relatedOf}
+            loading={loading}
+            backTo={"/" + serializeQuery(urlState)}
+          />
+        )}
+      </GateProvider>
 
       {/* Styles */}
       <style>{`
-        :root{
+        :root,:host{
           --fairway-green:#1B8E4B;
           --ink:#0F1A13;
         }
@@ -631,6 +1266,13 @@ export default function App() {
         /* Header / controls */
         .hdr__row{display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin:8px 0}
         .input{flex:1;min-width:260px;padding:10px 12px;border:1px solid #ddd;border-radius:8px}
+        .combo{position:relative;flex:1;min-width:260px}
+        .combo .input{width:100%}
+        .combo__list{position:absolute;z-index:20;left:0;right:0;top:calc(100% + 4px);margin:0;padding:4px;list-style:none;background:white;border:1px solid #e5e7eb;border-radius:8px;box-shadow:0 8px 24px rgba(15,26,19,.12);max-height:360px;overflow:auto}
+        .combo__opt{display:flex;justify-content:space-between;gap:12px;padding:8px 10px;border-radius:6px;cursor:pointer;font-size:14px}
+        .combo__opt--on{background:#eef8f2}
+        .combo__opt--facet .combo__label{font-weight:600}
+        .combo__hint{color:#6b7280;font-size:12px;white-space:nowrap}
         .lbl{display:flex;align-items:center;gap:6px;font-size:14px;color:#555}
         .select{padding:8px;border:1px solid #ddd;border-radius:8px;background:white}
         .chips{display:flex;flex-wrap:wrap;gap:8px;margin-top:8px}
@@ -641,9 +1283,21 @@ export default function App() {
         @media(max-width:900px){.grid{grid-template-columns:1fr}}
         .rail{display:flex;flex-direction:column;gap:14px}
         .facet h3{margin:0 0 6px 0;font-size:14px}
+        .facet__hdr{display:flex;align-items:baseline;justify-content:space-between;gap:8px}
+        .facet__mode{display:inline-flex;border:1px solid #e5e7eb;border-radius:999px;overflow:hidden}
+        .facet__mode button{border:0;background:white;padding:2px 8px;font-size:11px;color:#555;cursor:pointer}
+        .facet__mode button.on{background:var(--ink);color:white}
         .facet__wrap{display:flex;flex-wrap:wrap;gap:8px}
         .pill{padding:6px 10px;border:1px solid #e5e7eb;border-radius:999px;background:white;font-size:12px}
         .pill--on{background:var(--ink);color:white;border-color:var(--ink)}
+        .pill--zero{color:#9ca3af;background:#f9fafb;cursor:default}
+        .pill--zero.pill--on{color:white;background:var(--ink);cursor:pointer}
+        .range__row{display:grid;grid-template-columns:64px 1fr 56px;align-items:center;gap:8px;font-size:12px;color:#555}
+        .range__row input{inline-size:100%;accent-color:var(--ink)}
+        .range__row output{text-align:end}
+        .range__dates{display:flex;flex-direction:column;gap:6px;margin-top:8px}
+        .range__dates .lbl{justify-content:space-between;font-size:12px}
+        .range__dates .input{flex:0 1 auto;min-width:0;padding:6px 8px}
         .main{min-height:300px}
         .muted{color:#6b7280}
         .small{font-size:12px;margin:8px 0}
@@ -652,6 +1306,15 @@ export default function App() {
         .cards{display:grid;grid-template-columns:repeat(3,1fr);gap:16px;margin-top:8px}
         @media(max-width:1100px){.cards{grid-template-columns:repeat(2,1fr)}}
         @media(max-width:700px){.cards{grid-template-columns:1fr}}
+        /* Embed layouts (embed.js) */
+        .grid--full{grid-template-columns:1fr}
+        .cards.cards--list{grid-template-columns:1fr}
+        .cards--list .card:has(> .media){display:grid;grid-template-columns:240px 1fr;column-gap:16px;align-content:start}
+        .cards--list .card:has(> .media) > *{grid-column:2}
+        .cards--list .card > .media{grid-column:1;grid-row:1 / span 6;margin:-14px;margin-inline-end:0}
+        @media(max-width:700px){.cards--list .card:has(> .media){display:block}.cards--list .card > .media{margin:-14px -14px 10px}}
+        .cards.cards--carousel{grid-template-columns:none;grid-auto-flow:column;grid-auto-columns:minmax(260px,300px);overflow-x:auto;scroll-snap-type:x mandatory;padding-bottom:8px}
+        .cards--carousel > .card{scroll-snap-align:start}
         .card{
           border:1px solid #e5e7eb;border-radius:16px;padding:14px;overflow:hidden;
           background: rgba(255,255,255,0.92);
@@ -669,6 +1332,181 @@ export default function App() {
         .btn{padding:8px 12px;border:1px solid #ddd;border-radius:8px;background:white}
         .btn:hover{border-color:var(--fairway-green); color:var(--fairway-green)}
         .pager{display:flex;gap:10px;align-items:center;justify-content:center;margin:16px 0}
+        /* Detail view */
+        .detail{margin-top:16px}
+        .detail__nav{margin-bottom:12px}
+        .detail__title{margin:0 0 6px;font-size:clamp(22px,3vw,32px)}
+        .detail__media{margin:14px 0;border-radius:16px;overflow:hidden;background:#f3f4f6}
+        .detail__video{display:block;width:100%;max-height:70vh;background:#000}
+        .detail__doc{display:block;width:100%;height:70vh;border:0}
+        .detail__sum{font-size:16px;line-height:1.7;max-width:72ch}
+        .detail__facets{display:grid;gap:10px;margin:12px 0}
+        .detail__facet dt{font-size:12px;font-weight:600;color:#555;margin-bottom:4px}
+        .detail__facet dd{margin:0}
+        .detail--missing{text-align:center;padding:48px 16px}
+        .related{margin-top:28px}
+        .related h3{margin:0 0 6px;font-size:16px}
+        .card__title a{color:inherit;text-decoration:none}
+        .card__title a:hover{color:var(--fairway-green)}
+        a.btn{display:inline-block;color:inherit;text-decoration:none}
+        .dym{font-size:14px;margin:4px 0 8px}
+        .dym__btn{border:0;background:none;padding:0;font:inherit;font-weight:600;font-style:italic;color:var(--fairway-green);cursor:pointer;text-decoration:underline}
+        .diag{border:1px dashed #fdba74;border-radius:8px;padding:6px 10px;margin:6px 0;font-size:12px;background:#fffbf5}
+        .diag summary{cursor:pointer;color:#9a3412}
+        .diag__table{width:100%;border-collapse:collapse;margin-top:6px}
+        .diag__table th,.diag__table td{text-align:start;padding:3px 6px;border-top:1px solid #fde7d3;vertical-align:top}
+        .diag__error td{color:#b91c1c}
+        .diag__q{background:#fef2f2}
+        .note{background:#eef8f2;border:1px solid #cde9db;color:#14532d;padding:8px;border-radius:8px;margin:6px 0;display:flex;justify-content:space-between;align-items:center;gap:8px}
+        .note--preview{background:#eff6ff;border-color:#bfdbfe;color:#1e3a8a}
+        .note__x{border:0;background:none;color:inherit;text-decoration:underline;cursor:pointer;font-size:12px}
+        /* PDF reader */
+        .reader{margin-top:16px}
+        .reader__bar{display:flex;flex-wrap:wrap;gap:8px 12px;align-items:center;margin-bottom:10px}
+        .reader__title{margin:0;font-size:18px;flex:1;min-width:200px}
+        .reader__tools{display:flex;flex-wrap:wrap;gap:6px;align-items:center}
+        .reader__page{width:56px;padding:6px;border:1px solid #ddd;border-radius:8px}
+        .reader__zoom{font-size:12px;color:#555;min-width:40px;text-align:center}
+        .reader__search{display:flex;flex-wrap:wrap;gap:6px;align-items:center;width:100%}
+        .reader__search .input{flex:1;min-width:200px}
+        .reader__body{display:grid;grid-template-columns:136px 1fr;gap:12px;align-items:start}
+        .reader__body:has(.reader__results){grid-template-columns:136px 1fr 260px}
+        @media(max-width:900px){.reader__body,.reader__body:has(.reader__results){grid-template-columns:1fr}.reader__thumbs{display:none}}
+        .reader__thumbs{display:flex;flex-direction:column;gap:8px;max-height:80vh;overflow:auto;padding-inline-end:4px}
+        .reader__thumb{display:flex;flex-direction:column;align-items:center;gap:2px;border:2px solid transparent;border-radius:6px;background:none;padding:2px;cursor:pointer;font-size:11px;color:#555}
+        .reader__thumb canvas{background:#f3f4f6;min-height:60px;box-shadow:0 1px 3px rgba(0,0,0,.15)}
+        .reader__thumb--on{border-color:var(--fairway-green)}
+        .reader__stage{background:#e5e7eb;border-radius:12px;padding:16px;overflow:auto;max-height:80vh;min-height:300px;text-align:center}
+        .reader__canvas{box-shadow:0 2px 8px rgba(0,0,0,.2);background:white}
+        .reader__results{list-style:none;margin:0;padding:0;max-height:80vh;overflow:auto;font-size:12px}
+        .reader__results button{display:block;width:100%;text-align:start;border:0;border-bottom:1px solid #eee;background:none;padding:6px;cursor:pointer}
+        .reader__results button.on{background:#eef8f2}
+        .media__zoom{display:block;width:100%;padding:0;border:0;background:none;cursor:zoom-in}
+        .detail__media:empty{display:none}
+        .slides{position:relative;background:#111;outline-offset:-2px}
+        .slides__stage{overflow:hidden;touch-action:pan-y;user-select:none;cursor:grab}
+        .slides__img{display:block;width:100%;aspect-ratio:16/9;object-fit:contain;transition:transform .15s}
+        .slides--large .slides__img{max-height:70vh}
+        .slides__next{display:none}
+        .slides__bar{display:flex;gap:6px;align-items:center;justify-content:center;padding:6px;background:#f3f4f6}
+        .slides__count{font-size:12px;color:#555;min-width:52px;text-align:center;font-variant-numeric:tabular-nums}
+        .lightbox{position:fixed;inset:0;z-index:50;background:rgba(0,0,0,.82);display:flex;align-items:center;justify-content:center;padding:24px}
+        .lightbox__body{background:white;border-radius:12px;padding:10px;max-width:min(1200px,100%);max-height:100%;display:flex;flex-direction:column}
+        .lightbox__x{position:absolute;top:12px;inset-inline-end:16px;border:0;background:none;color:white;font-size:32px;line-height:1;cursor:pointer}
+        .zoom{display:flex;flex-direction:column;gap:8px;min-height:0}
+        .zoom__tools{display:flex;flex-wrap:wrap;gap:6px;align-items:center}
+        .zoom__frame{overflow:hidden;max-height:75vh;display:flex;justify-content:center;background:#f3f4f6;border-radius:8px;touch-action:none;cursor:zoom-in}
+        .zoom__frame--on{cursor:grab}
+        .zoom__frame img{max-width:100%;max-height:75vh;object-fit:contain;transform-origin:center;user-select:none}
+        .player__body{display:grid;grid-template-columns:1fr 320px;gap:12px;align-items:start}
+        .player__body:not(:has(.player__transcript)){grid-template-columns:1fr}
+        @media(max-width:900px){.player__body{grid-template-columns:1fr}}
+        .player__chapters h3,.player__transcript h3{font-size:14px;margin:10px 0 6px}
+        .player__chapters ol,.player__transcript ol{list-style:none;margin:0;padding:0;font-size:13px}
+        .player__chapters button,.player__transcript button{display:flex;gap:8px;width:100%;text-align:start;border:0;border-bottom:1px solid #eee;background:none;padding:6px;cursor:pointer}
+        .player__chapters button.on,.player__transcript button.on{background:#eef8f2;font-weight:600}
+        .player__transcript ol{max-height:60vh;overflow:auto;margin-top:6px}
+        .player__t{font-variant-numeric:tabular-nums;color:#555;min-width:44px}
+        .card__related{margin-top:10px;font-size:13px}
+        .card__related summary{cursor:pointer;color:#555}
+        .card__related ul{margin:6px 0 0;padding-inline-start:18px}
+        .card__related a{color:inherit}
+        .card__related a:hover{color:var(--fairway-green)}
+        .recs{border:1px solid #e5e7eb;border-radius:12px;padding:12px;margin:8px 0 12px;background:#fafafa}
+        .recs__hdr{display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-bottom:8px}
+        .recs__hdr h2{margin:0 auto 0 0;font-size:16px}
+        .recs__row{display:grid;grid-auto-flow:column;grid-auto-columns:minmax(200px,1fr);gap:12px;overflow-x:auto;padding-bottom:4px}
+        .recs__tile{background:white;border:1px solid #eee;border-radius:10px;padding:10px;display:flex;flex-direction:column;gap:6px;align-items:flex-start}
+        .recs__cover{width:100%;aspect-ratio:16/9;object-fit:cover;border-radius:6px}
+        .recs__why{font-size:12px;color:#14532d}
+        .tag--gated{background:#fef3c7;border-color:#fde68a}
+        .gate{max-width:520px;margin:24px auto}
+        .lightbox__body .gate__form{width:min(460px,80vw);padding:8px}
+        .gate__form h2{margin:0 0 4px;font-size:20px}
+        .gate__item{font-weight:600;margin:8px 0}
+        .gate__field{display:flex;flex-direction:column;gap:4px;margin:10px 0}
+        .gate__field label{font-size:12px;font-weight:600;color:#555}
+        .gate__field .input{min-width:0}
+        .gate__err{font-size:12px;color:#b91c1c}
+        .save{position:relative;display:inline-block}
+        .save__menu{position:absolute;z-index:20;inset-inline-end:0;bottom:calc(100% + 6px);min-width:220px;background:#fff;border:1px solid #e5e7eb;border-radius:10px;box-shadow:0 8px 24px rgba(0,0,0,.12);padding:10px;display:grid;gap:6px}
+        .card .save{display:contents}
+        .card .save__menu{position:static;box-shadow:none;margin-top:8px}
+        .save__title{font-size:12px;font-weight:600;color:#6b7280}
+        .save__opt{display:flex;gap:6px;align-items:center;font-size:14px;cursor:pointer}
+        .save__new{display:flex;gap:6px}
+        .save__new .input{flex:1;min-width:0}
+        .coll__body{display:grid;grid-template-columns:240px 1fr;gap:16px;align-items:start}
+        .coll__list{display:grid;gap:4px}
+        .coll__link{display:block;padding:6px 8px;border-radius:8px;color:inherit;text-decoration:none}
+        .coll__link:hover{background:#f3f4f6}
+        .coll__link.on{background:#ecfdf3;color:var(--fairway-green);font-weight:600}
+        .coll__name{font-size:18px;font-weight:600;width:100%}
+        .coll__tools{display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin:10px 0}
+        .coll__items{list-style:none;padding:0;margin:0;display:grid;gap:10px}
+        .coll__item{border:1px solid #e5e7eb;border-radius:10px;padding:10px;display:grid;gap:8px}
+        .coll__row{display:flex;gap:8px;align-items:center}
+        .coll__pos{width:24px;text-align:center;color:#6b7280;font-weight:600}
+        .coll__info{flex:1;min-width:0}
+        .coll__note{width:100%;resize:vertical;font:inherit}
+        .coll__sharednote{background:#ecfdf3;border-inline-start:3px solid var(--fairway-green);padding:6px 8px;margin:0 0 6px;font-size:14px}
+        @media(max-width:900px){.coll__body{grid-template-columns:1fr}}
+        .onepager{display:none}
+        .onepager ol{padding-inline-start:18px}
+        .onepager li{break-inside:avoid;margin-bottom:14px}
+        .onepager h2{font-size:15px;margin:0 0 2px}
+        .onepager p{margin:4px 0}
+        .onepager__note{font-style:italic}
+        .onepager__url{font-size:11px;color:#6b7280;word-break:break-all}
+        @media print{body *{visibility:hidden}.onepager,.onepager *{visibility:visible}.onepager{display:block;position:absolute;inset:0 auto auto 0;width:100%}}
+        .tag--status{background:#f3f4f6;border-color:#d1d5db;color:#374151;font-weight:600}
+        .tag--new{background:#dcfce7;border-color:#86efac;color:#166534;font-weight:600}
+        .saved__list{list-style:none;padding:0;margin:0 0 8px;display:grid;gap:4px}
+        .saved__row{display:flex;gap:6px;align-items:center}
+        .saved__name{flex:1;min-width:0;text-align:start;border:0;background:none;padding:2px 0;color:var(--fairway-green);cursor:pointer;font:inherit;font-size:14px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+        .saved__name:hover{text-decoration:underline}
+        .versions{margin-top:16px;border-top:1px solid #e5e7eb;padding-top:12px}
+        .versions__hdr{display:flex;flex-wrap:wrap;gap:8px;align-items:center;justify-content:space-between}
+        .versions__hdr h3{margin:0;font-size:16px}
+        .versions__list{list-style:none;padding:0;margin:10px 0 0;display:grid;gap:8px}
+        .versions__list > li{border-inline-start:3px solid #e5e7eb;padding:2px 0;padding-inline-start:10px}
+        .versions__list > li.on{border-inline-start-color:var(--fairway-green)}
+        .versions__list ul{margin:4px 0 0;padding-inline-start:18px;font-size:14px}
+        .diag__edit{display:inline-block;margin-top:6px;color:var(--fairway-green)}
+        .ed__body{display:grid;grid-template-columns:260px 1fr;gap:16px;align-items:start}
+        .ed__list{display:grid;gap:6px;position:sticky;top:8px;max-height:calc(100vh - 16px);overflow:auto}
+        .ed__list .input{min-width:0}
+        .ed__list ul{list-style:none;padding:0;margin:0;display:grid;gap:2px}
+        .ed__row{display:grid;width:100%;text-align:start;border:0;background:none;padding:6px 8px;border-radius:8px;cursor:pointer;font:inherit}
+        .ed__row:hover{background:#f3f4f6}
+        .ed__row.on{background:#ecfdf3}
+        .ed__rowtitle{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+        .ed__main{display:grid;grid-template-columns:minmax(0,1fr) 300px;gap:16px;align-items:start}
+        .ed__form{display:grid;gap:10px}
+        .ed__field{display:grid;gap:4px;font-size:14px;color:#555}
+        .ed__field .input,.ed__field .select{min-width:0;width:100%;box-sizing:border-box;font:inherit}
+        .ed__cols{display:grid;grid-template-columns:repeat(auto-fill,minmax(140px,1fr));gap:10px}
+        .ed__pickrow{display:flex;gap:6px}
+        .ed__pickrow .input{flex:1}
+        .ed__picker{border:1px solid #e5e7eb;border-radius:8px;padding:8px 10px;display:grid;gap:6px}
+        .ed__picker legend{font-size:14px;color:#555;padding:0 4px}
+        .ed__picker .chip{cursor:pointer}
+        .ed__json{font-family:ui-monospace,monospace;font-size:12px;resize:vertical}
+        .ed__error{color:#b91c1c;font-size:12px}
+        .ed__preview{position:sticky;top:8px;display:grid;gap:10px}
+        .ed__preview h3{margin:0;font-size:16px}
+        .ed__issues{margin:0;padding-inline-start:18px;font-size:12px}
+        .ed__review{display:grid;gap:10px;width:min(900px,85vw);padding:8px;overflow:auto}
+        .ed__review h3{margin:0}
+        .ed__diff{display:grid;gap:4px;font-size:14px}
+        .ed__diff p{margin:0 0 4px}
+        .ed__diffrow{padding:4px 8px;border-radius:6px;background:#f9fafb}
+        .ed__diffrow--add{background:#ecfdf3;color:#166534}
+        .ed__diffrow--del{background:#fef2f2;color:#b91c1c}
+        .ed__before{color:#b91c1c;text-decoration:line-through;word-break:break-word}
+        .ed__after{color:#166534;word-break:break-word}
+        @media(max-width:1100px){.ed__main{grid-template-columns:1fr}.ed__preview{position:static}}
+        @media(max-width:900px){.ed__body{grid-template-columns:1fr}.ed__list{position:static;max-height:40vh}}
         .warn{background:#fff7ed;border:1px solid #fed7aa;color:#9a3412;padding:8px;border-radius:8px;margin:6px 0}
       `}</style>
     </div>
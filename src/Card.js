@@ -0,0 +1,210 @@
+// Card.js — grid card for a single content item (also used by the related strip)
+// Media, meta line and CTA follow the item's type (see contentTypes.js):
+// videos play inline, slide decks get a carousel, infographics a lightbox.
+// Gated items show only their cover until the visitor is known (LeadGate.js).
+// Impressions, CTA clicks and inline video quartiles go to analytics.js.
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import Lightbox, { ZoomableImage } from "./Lightbox";
+import SaveButton from "./SaveButton";
+import { useI18n } from "./I18nContext";
+import { useGate } from "./LeadGate";
+import SlideCarousel from "./SlideCarousel";
+import { hasViewer, imageOf, metaParts, typeInfo } from "./contentTypes";
+import { Link, itemPath, navigate, readerPath, watchPath } from "./router";
+import { analytics, observeCardView, quartileTracker } from "./analytics";
+import { fmtDate } from "./utils";
+import { freshLabel, freshness } from "./visits";
+import { publishLabel } from "./publishing";
+
+// CTA link onClick: records the click, then sends gated items through the
+// lead form first (ungated links keep their normal behaviour, new-tab
+// clicks included)
+export function useGatedClick(p) {
+  const { requestAccess } = useGate();
+  return (proceed, cta) => (e) => {
+    analytics.ctaClicked(p, cta);
+    if (!p.gated) return;
+    e.preventDefault();
+    requestAccess(p, proceed);
+  };
+}
+
+const openFile = (p) => () =>
+  window.open(p.file_url, "_blank", "noopener,noreferrer");
+
+// Primary action: player, reader or lightbox in-app; the raw file otherwise
+export function PrimaryCta({ item: p, onView }) {
+  const { cta, download } = typeInfo(p);
+  const { requestAccess } = useGate();
+  const gated = useGatedClick(p);
+  if (hasViewer(p)) {
+    if (p.content_type === "video") {
+      const to = watchPath(p.slug);
+      return (
+        <Link
+          className="btn"
+          to={to}
+          onClick={gated(() => navigate(to), "watch")}
+        >
+          {cta}
+        </Link>
+      );
+    }
+    if (p.content_type === "infographic")
+      return (
+        <button
+          className="btn"
+          onClick={() => {
+            analytics.ctaClicked(p, "view");
+            requestAccess(p, onView);
+          }}
+        >
+          {cta}
+        </button>
+      );
+    const to = readerPath(p.slug);
+    return (
+      <Link className="btn" to={to} onClick={gated(() => navigate(to), "read")}>
+        {cta}
+      </Link>
+    );
+  }
+  return (
+    <a
+      className="btn"
+      href={p.file_url}
+      target="_blank"
+      rel="noreferrer"
+      onClick={gated(openFile(p), "download")}
+    >
+      {download}
+    </a>
+  );
+}
+
+// list/position describe where the card was shown, for impressions;
+// related: neighbour items (related.js) listed under the CTAs
+export default function Card({ item: p, list = "results", position, related }) {
+  const ref = useRef(null);
+  const [viewing, setViewing] = useState(false);
+  const { isLocked, requestAccess } = useGate();
+  const { t } = useI18n();
+  const locked = isLocked(p);
+  const fresh = freshness(p);
+  const status = publishLabel(p);
+  const image = p.content_type === "infographic" ? imageOf(p) : null;
+  const onVideoTime = useMemo(() => quartileTracker(p), [p]);
+
+  useEffect(
+    () => observeCardView(ref.current, p, list, position),
+    [p, list, position]
+  );
+
+  return (
+    <article className="card" ref={ref}>
+      {/* Media */}
+      {locked ? (
+        p.cover_url ? (
+          <div className="media">
+            <img className="cover" src={p.cover_url} alt="" />
+          </div>
+        ) : null
+      ) : p.content_type === "video" ? (
+        <div className="media">
+          <video
+            controls
+            preload="metadata"
+            poster={p.cover_url || undefined}
+            src={p.file_url}
+            width="100%"
+            onTimeUpdate={onVideoTime}
+          />
+        </div>
+      ) : p.content_type === "slide" && p.slides ? (
+        <div className="media">
+          <SlideCarousel slides={p.slides} title={p.title} />
+        </div>
+      ) : image ? (
+        <div className="media">
+          <button
+            className="media__zoom"
+            aria-label={t("card.zoom", { title: p.title })}
+            onClick={() => requestAccess(p, () => setViewing(true))}
+          >
+            <img className="cover" src={p.cover_url || image} alt="" />
+          </button>
+        </div>
+      ) : p.cover_url ? (
+        <div className="media">
+          <img className="cover" src={p.cover_url} alt="" />
+        </div>
+      ) : null}
+
+      {/* Header */}
+      <div className="card__hdr">
+        <h3 className="card__title">
+          <Link to={itemPath(p.slug)}>{p.title}</Link>
+        </h3>
+        <div className="card__meta">
+          {[fmtDate(p.release_date), ...metaParts(p), `v${p.version}`].join(
+            " • "
+          )}
+        </div>
+      </div>
+
+      {/* Summary */}
+      <p className="card__sum">{p.summary}</p>
+
+      {/* Tags */}
+      <div className="tags">
+        <span className="tag tag--kind">{typeInfo(p).label}</span>
+        {locked && <span className="tag tag--gated">{t("tag.gated")}</span>}
+        {fresh && <span className="tag tag--new">{freshLabel(fresh)}</span>}
+        {status && <span className="tag tag--status">{status}</span>}
+        {(p.topics || []).slice(0, 3).map((topic) => (
+          <span key={topic} className="tag">
+            {topic}
+          </span>
+        ))}
+      </div>
+
+      {/* CTA */}
+      <div className="cta">
+        <Link
+          className="btn"
+          to={itemPath(p.slug)}
+          onClick={() => analytics.ctaClicked(p, "details")}
+        >
+          {t("card.details")}
+        </Link>{" "}
+        <PrimaryCta item={p} onView={() => setViewing(true)} />{" "}
+        <SaveButton item={p} />
+      </div>
+
+      {related && related.length > 0 && (
+        <details className="card__related">
+          <summary>{t("card.related", { n: related.length })}</summary>
+          <ul>
+            {related.map((r) => (
+              <li key={r.id}>
+                <Link
+                  to={itemPath(r.slug)}
+                  onClick={() => analytics.ctaClicked(r, "related")}
+                >
+                  {r.title}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {viewing && (
+        <Lightbox label={p.title} onClose={() => setViewing(false)}>
+          <ZoomableImage src={image} alt={p.title} />
+        </Lightbox>
+      )}
+    </article>
+  );
+}
@@ -0,0 +1,48 @@
+// CollectionsContext.js — saved collections shared by cards, detail and the
+// collections page. State mirrors collectionStore.js; every action writes
+// through to localStorage and re-renders subscribers.
+
+import React, { createContext, useContext, useEffect, useState } from "react";
+import * as store from "./collectionStore";
+
+const CollectionsContext = createContext(null);
+
+export const useCollections = () => useContext(CollectionsContext);
+
+export function CollectionsProvider({ children }) {
+  const [collections, setCollections] = useState(store.loadCollections);
+
+  // Another tab saved something: pick it up
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === null || e.key.startsWith("fairway:collections"))
+        setCollections(store.loadCollections());
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const act =
+    (fn) =>
+    (...args) => {
+      const list = fn(...args);
+      setCollections(list);
+      return list;
+    };
+
+  const value = {
+    collections,
+    create: act(store.createCollection),
+    rename: act(store.renameCollection),
+    remove: act(store.deleteCollection),
+    add: act(store.addToCollection),
+    removeItem: act(store.removeFromCollection),
+    move: act(store.moveInCollection),
+    setNote: act(store.setNote),
+  };
+  return (
+    <CollectionsContext.Provider value={value}>
+      {children}
+    </CollectionsContext.Provider>
+  );
+}
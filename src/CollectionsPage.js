@@ -0,0 +1,326 @@
+// CollectionsPage.js — manage saved collections at /collections[/:id], and the
+// read-only view of a shared collection at /shared?name=…&item=…
+// Reorder, per-item notes, share link, printable one-pager, CSV/JSON export.
+
+import React, { useEffect, useState } from "react";
+import Card from "./Card";
+import { useCollections } from "./CollectionsContext";
+import { useI18n } from "./I18nContext";
+import { parseShared, shareUrl, toCsv, toJson } from "./collectionStore";
+import { metaParts, typeInfo } from "./contentTypes";
+import { slugify } from "./schema";
+import { SITE_NAME } from "./siteConfig";
+import { Link, collectionsPath, itemPath, navigate } from "./router";
+import { downloadFile, fmtDate } from "./utils";
+
+// [{ slug, note, item|undefined }] in collection order
+function resolve(entries, items) {
+  const bySlug = new Map(items.map((p) => [p.slug, p]));
+  return entries.map((x) => ({ ...x, item: bySlug.get(x.slug) }));
+}
+
+// Note field that saves on blur, not per keystroke
+function NoteField({ value, onSave }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+  return (
+    <textarea
+      className="input coll__note"
+      rows={2}
+      placeholder={t("coll.note.placeholder")}
+      aria-label={t("coll.note.label")}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => draft !== value && onSave(draft)}
+    />
+  );
+}
+
+// Print-only summary sheet (see the @media print rules in App)
+function OnePager({ name, entries }) {
+  const { date } = useI18n();
+  const origin = window.location.origin;
+  return (
+    <section className="onepager" aria-hidden="true">
+      <h1>{name}</h1>
+      <p className="muted">
+        {SITE_NAME} · {date(new Date().toISOString())}
+      </p>
+      <ol>
+        {entries
+          .filter((x) => x.item)
+          .map(({ item: p, note }) => (
+            <li key={p.slug}>
+              <h2>{p.title}</h2>
+              <div className="card__meta">
+                {[
+                  typeInfo(p).label,
+                  fmtDate(p.release_date),
+                  ...metaParts(p),
+                ].join(" • ")}
+              </div>
+              <p>{p.summary}</p>
+              {note && <p className="onepager__note">{note}</p>}
+              <div className="onepager__url">{origin + itemPath(p.slug)}</div>
+            </li>
+          ))}
+      </ol>
+    </section>
+  );
+}
+
+export default function CollectionsPage({ items, selectedId, backTo }) {
+  const { t } = useI18n();
+  const { collections, create, rename, remove, removeItem, move, setNote } =
+    useCollections();
+  const [newName, setNewName] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const current =
+    collections.find((c) => c.id === selectedId) || collections[0] || null;
+  const entries = current ? resolve(current.items, items) : [];
+  const available = entries.filter((x) => x.item);
+
+  const currentId = current ? current.id : null;
+  useEffect(() => setCopied(false), [currentId]);
+
+  const onCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    const list = create(newName);
+    setNewName("");
+    navigate(collectionsPath(list[list.length - 1].id), { replace: true });
+  };
+
+  const copyLink = async () => {
+    const url = shareUrl(current);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      window.prompt(t("coll.copyPrompt"), url);
+    }
+  };
+
+  const fileBase = current ? slugify(current.name) || "collection" : "";
+
+  return (
+    <section className="coll">
+      <div className="detail__nav">
+        <Link className="btn" to={backTo}>
+          {t("detail.back")}
+        </Link>
+      </div>
+      <h2 className="detail__title">{t("coll.title")}</h2>
+
+      <div className="coll__body">
+        <nav className="coll__list" aria-label={t("coll.yours")}>
+          {collections.map((c) => (
+            <Link
+              key={c.id}
+              className={
+                "coll__link" + (current && c.id === current.id ? " on" : "")
+              }
+              to={collectionsPath(c.id)}
+              aria-current={current && c.id === current.id ? "page" : undefined}
+            >
+              {c.name} <span className="muted">({c.items.length})</span>
+            </Link>
+          ))}
+          <form className="save__new" onSubmit={onCreate}>
+            <input
+              className="input"
+              placeholder={t("save.newName")}
+              aria-label={t("coll.newLabel")}
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+            />
+            <button className="btn" type="submit" disabled={!newName.trim()}>
+              {t("coll.create")}
+            </button>
+          </form>
+        </nav>
+
+        {!current ? (
+          <p className="muted">{t("coll.none")}</p>
+        ) : (
+          <div className="coll__main">
+            <input
+              key={current.id}
+              className="input coll__name"
+              aria-label={t("coll.name")}
+              defaultValue={current.name}
+              onBlur={(e) => rename(current.id, e.target.value)}
+            />
+            <div className="coll__tools">
+              <button
+                className="btn"
+                disabled={!current.items.length}
+                onClick={copyLink}
+              >
+                {copied ? t("coll.copied") : t("coll.copy")}
+              </button>
+              <button
+                className="btn"
+                disabled={!available.length}
+                onClick={() => window.print()}
+              >
+                {t("coll.print")}
+              </button>
+              <button
+                className="btn"
+                disabled={!available.length}
+                onClick={() =>
+                  downloadFile(
+                    `${fileBase}.csv`,
+                    toCsv(available),
+                    "text/csv;charset=utf-8"
+                  )
+                }
+              >
+                {t("coll.csv")}
+              </button>
+              <button
+                className="btn"
+                disabled={!available.length}
+                onClick={() =>
+                  downloadFile(
+                    `${fileBase}.json`,
+                    toJson(current, available),
+                    "application/json"
+                  )
+                }
+              >
+                {t("coll.json")}
+              </button>
+              <button
+                className="btn"
+                onClick={() => {
+                  if (
+                    window.confirm(
+                      t("coll.confirmDelete", { name: current.name })
+                    )
+                  ) {
+                    remove(current.id);
+                    navigate(collectionsPath(), { replace: true });
+                  }
+                }}
+              >
+                {t("coll.delete")}
+              </button>
+            </div>
+
+            {!entries.length && <p className="muted">{t("coll.empty")}</p>}
+            <ol className="coll__items">
+              {entries.map((x, i) => (
+                <li key={x.slug} className="coll__item">
+                  <div className="coll__row">
+                    <span className="coll__pos">{i + 1}</span>
+                    <div className="coll__info">
+                      {x.item ? (
+                        <>
+                          <Link to={itemPath(x.slug)}>{x.item.title}</Link>
+                          <div className="card__meta">
+                            {[
+                              typeInfo(x.item).label,
+                              ...metaParts(x.item),
+                            ].join(" • ")}
+                          </div>
+                        </>
+                      ) : (
+                        <span className="muted">
+                          {t("coll.gone", { slug: x.slug })}
+                        </span>
+                      )}
+                    </div>
+                    <button
+                      className="btn"
+                      aria-label={t("coll.up")}
+                      disabled={i === 0}
+                      onClick={() => move(current.id, i, i - 1)}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      className="btn"
+                      aria-label={t("coll.down")}
+                      disabled={i === entries.length - 1}
+                      onClick={() => move(current.id, i, i + 1)}
+                    >
+                      ↓
+                    </button>
+                    <button
+                      className="btn"
+                      aria-label={t("coll.remove")}
+                      onClick={() => removeItem(current.id, x.slug)}
+                    >
+                      ×
+                    </button>
+                  </div>
+                  <NoteField
+                    value={x.note}
+                    onSave={(note) => setNote(current.id, x.slug, note)}
+                  />
+                </li>
+              ))}
+            </ol>
+            <OnePager name={current.name} entries={entries} />
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+// Read-only view of a shared link, with "save a copy"
+export function SharedCollection({ items, loading, backTo }) {
+  const { t } = useI18n();
+  const { create } = useCollections();
+  const [shared] = useState(() => parseShared(window.location.search));
+  const entries = resolve(
+    shared.slugs.map((slug) => ({ slug, note: shared.notes[slug] || "" })),
+    items
+  );
+  const found = entries.filter((x) => x.item);
+
+  const saveCopy = () => {
+    const list = create(shared.name, shared.slugs, shared.notes);
+    navigate(collectionsPath(list[list.length - 1].id));
+  };
+
+  return (
+    <section className="coll">
+      <div className="detail__nav">
+        <Link className="btn" to={backTo}>
+          {t("detail.back")}
+        </Link>
+      </div>
+      <h2 className="detail__title">{shared.name}</h2>
+      <div className="coll__tools">
+        <span className="muted small">
+          {t("coll.found", { found: found.length, n: entries.length })}
+        </span>
+        <button
+          className="btn"
+          disabled={!shared.slugs.length}
+          onClick={saveCopy}
+        >
+          {t("coll.saveCopy")}
+        </button>
+      </div>
+      {loading && !found.length ? (
+        <div className="muted">{t("loading")}</div>
+      ) : (
+        <div className="cards">
+          {found.map(({ item, note }, i) => (
+            <div key={item.slug} className="coll__shared">
+              {note && <p className="coll__sharednote">{note}</p>}
+              <Card item={item} list="shared" position={i + 1} />
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
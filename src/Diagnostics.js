@@ -0,0 +1,59 @@
+// Diagnostics.js — dev-only panel listing feed issues found by schema.js
+// Rendered only outside production builds, for content ops fixing index.json.
+
+import React from "react";
+import { Link, editorPath } from "./router";
+
+// feeds: [{ label, report, stats }] — one per catalogue source
+export default function Diagnostics({ feeds }) {
+  if (process.env.NODE_ENV === "production" || !feeds) return null;
+  const withIssues = feeds.filter((f) => f.report.length);
+  if (!withIssues.length) return null;
+  const sum = (k) => feeds.reduce((n, f) => n + f.stats[k], 0);
+  const multi = feeds.length > 1;
+  return (
+    <details className="diag">
+      <summary>
+        Feed diagnostics: {sum("valid")}/{sum("total")} items loaded,{" "}
+        {sum("quarantined")} quarantined, {sum("warnings")} warnings
+      </summary>
+      <Link className="diag__edit" to={editorPath()}>
+        Open the catalogue editor
+      </Link>
+      <table className="diag__table">
+        <thead>
+          <tr>
+            {multi && <th>Source</th>}
+            <th>Row</th>
+            <th>Item</th>
+            <th>Field</th>
+            <th>Issue</th>
+          </tr>
+        </thead>
+        <tbody>
+          {withIssues.flatMap((f) =>
+            f.report.flatMap((r) =>
+              r.issues.map((iss, j) => (
+                <tr
+                  key={`${f.label}/${r.index}/${j}`}
+                  className={
+                    "diag__" + iss.level + (r.quarantined ? " diag__q" : "")
+                  }
+                >
+                  {multi && <td>{f.label}</td>}
+                  <td>{r.index >= 0 ? r.index : "—"}</td>
+                  <td>
+                    {String(r.label)}
+                    {r.quarantined && j === 0 ? " (quarantined)" : ""}
+                  </td>
+                  <td>{iss.field}</td>
+                  <td>{iss.message}</td>
+                </tr>
+              ))
+            )
+          )}
+        </tbody>
+      </table>
+    </details>
+  );
+}
@@ -0,0 +1,867 @@
+// Editor.js — authoring mode at /editor for a catalogue source's index.json
+// Items are edited as raw feed rows (the shape documented in App.js) and
+// checked live with schema.js; the preview is the real Card. Work in progress
+// stays in a localStorage draft until it is exported and uploaded, and the
+// export step shows a diff against the published file first.
+
+import React, { useEffect, useId, useMemo, useRef, useState } from "react";
+import Card from "./Card";
+import Lightbox from "./Lightbox";
+import {
+  bumpVersion,
+  diffCatalogues,
+  fromCsv,
+  itemsOf,
+  keyOf,
+  toCsv,
+  toFeed,
+} from "./catalogueIO";
+import { readCache } from "./catalogueCache";
+import { Link } from "./router";
+import {
+  CONTENT_TYPES,
+  FUNNEL_STAGES,
+  STATUSES,
+  normalizeItem,
+  slugify,
+} from "./schema";
+import { downloadFile, tally } from "./utils";
+
+const DRAFT_PREFIX = "fairway:editor:v1:";
+const PICKERS = [
+  ["industries", "Industries"],
+  ["personas", "Personas"],
+  ["topics", "Topics"],
+  ["tags", "Tags"],
+];
+const SUGGESTIONS = 8; // most-used values offered as one-click picks
+// Fields with their own input; anything else is edited as JSON
+const FORM_FIELDS = [
+  "id",
+  "slug",
+  "title",
+  "summary",
+  "content_type",
+  "funnel_stage",
+  "release_date",
+  "version",
+  "status",
+  "publish_at",
+  "expires_at",
+  "file_url",
+  "cover_url",
+  "duration_sec",
+  "read_time_min",
+  "words",
+  ...PICKERS.map(([f]) => f),
+  "gated",
+  "language",
+];
+
+/* ---------- Draft & published feed ---------- */
+
+function loadDraft(url) {
+  try {
+    return JSON.parse(window.localStorage.getItem(DRAFT_PREFIX + url));
+  } catch {
+    return null;
+  }
+}
+
+function saveDraft(url, items) {
+  try {
+    window.localStorage.setItem(
+      DRAFT_PREFIX + url,
+      JSON.stringify({ items, savedAt: Date.now() })
+    );
+  } catch (e) {
+    console.warn("Editor draft not saved:", e);
+  }
+}
+
+function clearDraft(url) {
+  try {
+    window.localStorage.removeItem(DRAFT_PREFIX + url);
+  } catch {
+    // nothing stored
+  }
+}
+
+// The live file when reachable, else the copy the library last cached
+async function loadPublished(url) {
+  try {
+    const res = await fetch(url, { cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return await res.json();
+  } catch (e) {
+    const cached = readCache(url);
+    if (cached) return cached.json;
+    throw e;
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const num = (v) => (v === "" ? undefined : Number(v));
+const shown = (v) =>
+  v === undefined ? "—" : typeof v === "string" ? v : JSON.stringify(v);
+
+/* ---------- Form pieces ---------- */
+
+function Field({ label, hint, children }) {
+  return (
+    <label className="ed__field">
+      <span>
+        {label}
+        {hint && <span className="muted small"> — {hint}</span>}
+      </span>
+      {children}
+    </label>
+  );
+}
+
+// Multi-value picker: chips for the item's values, existing values (by how
+// often the catalogue uses them) as suggestions, free text for new ones
+function TagPicker({ label, values, counts, onChange }) {
+  const [text, setText] = useState("");
+  const id = useId();
+  const has = (v) => values.some((x) => x.toLowerCase() === v.toLowerCase());
+  const add = (v) => {
+    const s = v.trim();
+    if (s && !has(s)) onChange([...values, s]);
+    setText("");
+  };
+  const options = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([v]) => v)
+    .filter((v) => !has(v));
+
+  return (
+    <fieldset className="ed__picker">
+      <legend>{label}</legend>
+      <div className="tags">
+        {values.map((v) => (
+          <button
+            key={v}
+            type="button"
+            className="chip"
+            aria-label={`Remove ${v}`}
+            onClick={() => onChange(values.filter((x) => x !== v))}
+          >
+            {v} ×
+          </button>
+        ))}
+      </div>
+      <div className="ed__pickrow">
+        <input
+          className="input"
+          list={`${id}-list`}
+          placeholder="Add…"
+          aria-label={`Add to ${label}`}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key !== "Enter") return;
+            e.preventDefault();
+            add(text);
+          }}
+        />
+        <button
+          type="button"
+          className="btn"
+          disabled={!text.trim()}
+          onClick={() => add(text)}
+        >
+          Add
+        </button>
+        <datalist id={`${id}-list`}>
+          {options.map((v) => (
+            <option key={v} value={v}>{`${v} (${counts[v]})`}</option>
+          ))}
+        </datalist>
+      </div>
+      {options.length > 0 && (
+        <div className="facet__wrap">
+          {options.slice(0, SUGGESTIONS).map((v) => (
+            <button
+              key={v}
+              type="button"
+              className="pill"
+              onClick={() => add(v)}
+            >
+              + {v} <span className="pill__n">({counts[v]})</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </fieldset>
+  );
+}
+
+// Fields without a dedicated input (chapters, versions, localized, …)
+function ExtraFields({ item, onReplace }) {
+  const text = JSON.stringify(
+    Object.fromEntries(
+      Object.entries(item).filter(([k]) => !FORM_FIELDS.includes(k))
+    ),
+    null,
+    2
+  );
+  const [draft, setDraft] = useState(text);
+  const [error, setError] = useState("");
+  useEffect(() => {
+    setDraft(text);
+    setError("");
+  }, [text]);
+
+  const apply = () => {
+    try {
+      const v = JSON.parse(draft || "{}");
+      if (!v || typeof v !== "object" || Array.isArray(v))
+        throw new Error("expected a JSON object");
+      setError("");
+      if (JSON.stringify(v, null, 2) !== text) onReplace(v);
+    } catch (e) {
+      setError(`Not saved: ${e.message}`);
+    }
+  };
+
+  return (
+    <Field
+      label="Other fields (JSON)"
+      hint="captions_url, chapters, transcript, slides, versions, localized…"
+    >
+      <textarea
+        className="input ed__json"
+        rows={6}
+        spellCheck={false}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={apply}
+      />
+      {error && <span className="ed__error">{error}</span>}
+    </Field>
+  );
+}
+
+function ItemForm({ item: p, onChange, onReplaceExtra, tallies, slugTaken }) {
+  const set =
+    (k, read = (e) => e.target.value) =>
+    (e) =>
+      onChange({ [k]: read(e) });
+  // The slug follows the title until someone edits it by hand
+  const slugFollows = !p.slug || p.slug === slugify(p.title);
+
+  return (
+    <div className="ed__form">
+      <Field label="Title">
+        <input
+          className="input"
+          value={p.title || ""}
+          onChange={(e) =>
+            onChange({
+              title: e.target.value,
+              ...(slugFollows ? { slug: slugify(e.target.value) } : {}),
+            })
+          }
+        />
+      </Field>
+      <Field
+        label="Slug"
+        hint={slugTaken ? "already used by another item" : `id ${p.id}`}
+      >
+        <div className="ed__pickrow">
+          <input
+            className="input"
+            value={p.slug || ""}
+            onChange={set("slug")}
+            aria-invalid={slugTaken || undefined}
+          />
+          <button
+            type="button"
+            className="btn"
+            disabled={slugFollows}
+            onClick={() => onChange({ slug: slugify(p.title) })}
+          >
+            From title
+          </button>
+        </div>
+      </Field>
+      <Field label="Summary">
+        <textarea
+          className="input"
+          rows={3}
+          value={p.summary || ""}
+          onChange={set("summary")}
+        />
+      </Field>
+      <div className="ed__cols">
+        <Field label="Type">
+          <select
+            className="select"
+            value={p.content_type || ""}
+            onChange={set("content_type")}
+          >
+            {!CONTENT_TYPES.includes(p.content_type) && (
+              <option value={p.content_type || ""}>
+                {p.content_type || "—"}
+              </option>
+            )}
+            {CONTENT_TYPES.map((t) => (
+              <option key={t} value={t}>
+                {t}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Funnel stage">
+          <select
+            className="select"
+            value={p.funnel_stage || ""}
+            onChange={set("funnel_stage", (e) => e.target.value || undefined)}
+          >
+            <option value="">—</option>
+            {FUNNEL_STAGES.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Release date">
+          <input
+            className="input"
+            type="date"
+            value={p.release_date || ""}
+            onChange={set("release_date")}
+          />
+        </Field>
+        <Field label="Version" hint="bumped automatically on edit">
+          <input
+            className="input"
+            type="number"
+            min={1}
+            value={p.version ?? ""}
+            onChange={set("version", (e) => num(e.target.value))}
+          />
+        </Field>
+      </div>
+      <div className="ed__cols">
+        <Field label="Status">
+          <select
+            className="select"
+            value={p.status || "published"}
+            onChange={set("status", (e) =>
+              e.target.value === "published" ? undefined : e.target.value
+            )}
+          >
+            {STATUSES.map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+        </Field>
+        <Field label="Publish at" hint="hidden until then">
+          <input
+            className="input"
+            placeholder="2026-01-15T09:00:00Z"
+            value={p.publish_at || ""}
+            onChange={set("publish_at", (e) => e.target.value || undefined)}
+          />
+        </Field>
+        <Field label="Expires at" hint="hidden from then">
+          <input
+            className="input"
+            placeholder="2027-01-15"
+            value={p.expires_at || ""}
+            onChange={set("expires_at", (e) => e.target.value || undefined)}
+          />
+        </Field>
+      </div>
+      <Field label="File URL">
+        <input
+          className="input"
+          type="url"
+          value={p.file_url || ""}
+          onChange={set("file_url")}
+        />
+      </Field>
+      <Field label="Cover URL">
+        <input
+          className="input"
+          type="url"
+          value={p.cover_url || ""}
+          onChange={set("cover_url", (e) => e.target.value || undefined)}
+        />
+      </Field>
+      <div className="ed__cols">
+        <Field label="Duration (sec)">
+          <input
+            className="input"
+            type="number"
+            min={0}
+            value={p.duration_sec ?? ""}
+            onChange={set("duration_sec", (e) => num(e.target.value))}
+          />
+        </Field>
+        <Field label="Read time (min)">
+          <input
+            className="input"
+            type="number"
+            min={0}
+            value={p.read_time_min ?? ""}
+            onChange={set("read_time_min", (e) => num(e.target.value))}
+          />
+        </Field>
+        <Field label="Words">
+          <input
+            className="input"
+            type="number"
+            min={0}
+            value={p.words ?? ""}
+            onChange={set("words", (e) => num(e.target.value))}
+          />
+        </Field>
+        <Field label="Language">
+          <input
+            className="input"
+            placeholder="en"
+            value={p.language || ""}
+            onChange={set("language", (e) => e.target.value || undefined)}
+          />
+        </Field>
+      </div>
+      <label className="lbl">
+        <input
+          type="checkbox"
+          checked={!!p.gated}
+          onChange={set("gated", (e) => e.target.checked || undefined)}
+        />
+        Gated behind the lead form
+      </label>
+      {PICKERS.map(([f, label]) => (
+        <TagPicker
+          key={f}
+          label={label}
+          values={Array.isArray(p[f]) ? p[f] : []}
+          counts={tallies[f]}
+          onChange={(values) => onChange({ [f]: values })}
+        />
+      ))}
+      <ExtraFields item={p} onReplace={onReplaceExtra} />
+    </div>
+  );
+}
+
+function DiffView({ diff }) {
+  const { added, removed, changed } = diff;
+  if (!added.length && !removed.length && !changed.length)
+    return <p className="muted">No changes from the published file.</p>;
+  return (
+    <div className="ed__diff">
+      <p>
+        {added.length} added, {changed.length} changed, {removed.length} removed
+      </p>
+      {added.map((p) => (
+        <div key={keyOf(p)} className="ed__diffrow ed__diffrow--add">
+          + {p.title || keyOf(p)}
+        </div>
+      ))}
+      {removed.map((p) => (
+        <div key={keyOf(p)} className="ed__diffrow ed__diffrow--del">
+          − {p.title || keyOf(p)}
+        </div>
+      ))}
+      {changed.map((c) => (
+        <details key={c.key} className="ed__diffrow" open={changed.length <= 5}>
+          <summary>
+            ~ {c.item.title || c.key}{" "}
+            <span className="muted small">
+              ({c.fields.map((f) => f.field).join(", ")})
+            </span>
+          </summary>
+          <table className="diag__table">
+            <tbody>
+              {c.fields.map((f) => (
+                <tr key={f.field}>
+                  <th>{f.field}</th>
+                  <td className="ed__before">{shown(f.before)}</td>
+                  <td className="ed__after">{shown(f.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+/* ---------- Editor ---------- */
+
+// sources: App's SOURCES; one source's file is edited at a time
+export default function Editor({ sources, backTo }) {
+  const [sourceId, setSourceId] = useState(sources[0].id);
+  const source = sources.find((s) => s.id === sourceId) || sources[0];
+  const [published, setPublished] = useState(null); // raw feed JSON
+  const [status, setStatus] = useState("loading"); // | "ready" | "offline"
+  const [items, setItems] = useState([]);
+  const [restored, setRestored] = useState(null); // savedAt of a resumed draft
+  const [selected, setSelected] = useState(0);
+  const [filter, setFilter] = useState("");
+  const [reviewing, setReviewing] = useState(false);
+  const [message, setMessage] = useState("");
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus("loading");
+    loadPublished(source.url)
+      .catch((e) => {
+        console.error(`${source.label}:`, e);
+        return null;
+      })
+      .then((json) => {
+        if (cancelled) return;
+        const draft = loadDraft(source.url);
+        setPublished(json);
+        setItems(draft ? draft.items : itemsOf(json) || []);
+        setRestored(draft ? draft.savedAt : null);
+        setSelected(0);
+        setStatus(json ? "ready" : "offline");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [source.url, source.label]);
+
+  const publishedItems = useMemo(() => itemsOf(published) || [], [published]);
+  const publishedByKey = useMemo(
+    () => new Map(publishedItems.map((p) => [keyOf(p), p])),
+    [publishedItems]
+  );
+  const checks = useMemo(
+    () => items.map((p, i) => normalizeItem(p, i)),
+    [items]
+  );
+  const tallies = useMemo(
+    () =>
+      Object.fromEntries(
+        PICKERS.map(([f]) => [
+          f,
+          tally(items.flatMap((p) => (Array.isArray(p[f]) ? p[f] : []))),
+        ])
+      ),
+    [items]
+  );
+  const slugCounts = useMemo(
+    () => tally(items.map((p) => p.slug).filter(Boolean)),
+    [items]
+  );
+  const diff = useMemo(
+    () => diffCatalogues(publishedItems, items),
+    [publishedItems, items]
+  );
+  const errors = checks.filter((c) => !c.item).length;
+
+  const commit = (next) => {
+    setItems(next);
+    saveDraft(source.url, next);
+  };
+  const withVersion = (p) => bumpVersion(p, publishedByKey.get(keyOf(p)));
+  const update = (i, patch) =>
+    commit(
+      items.map((p, j) => (j === i ? withVersion({ ...p, ...patch }) : p))
+    );
+  const replaceExtra = (i, extra) =>
+    commit(
+      items.map((p, j) => {
+        if (j !== i) return p;
+        const kept = Object.fromEntries(
+          Object.entries(p).filter(([k]) => FORM_FIELDS.includes(k))
+        );
+        return withVersion({ ...kept, ...extra });
+      })
+    );
+
+  const addItem = () => {
+    const ids = items.map((p) => Number(p.id)).filter(Number.isFinite);
+    const next = [
+      ...items,
+      {
+        id: Math.max(0, ...ids) + 1,
+        slug: "",
+        title: "",
+        summary: "",
+        content_type: "whitepaper",
+        release_date: today(),
+        version: 1,
+        file_url: "",
+        industries: [],
+        personas: [],
+        topics: [],
+        tags: [],
+      },
+    ];
+    commit(next);
+    setFilter("");
+    setSelected(next.length - 1);
+  };
+
+  const removeItem = (i) => {
+    if (!window.confirm(`Remove “${items[i].title || keyOf(items[i])}”?`))
+      return;
+    commit(items.filter((_, j) => j !== i));
+    setSelected(Math.max(0, i - 1));
+  };
+
+  const discard = () => {
+    if (!window.confirm("Discard every change since the published file?"))
+      return;
+    clearDraft(source.url);
+    setItems(publishedItems);
+    setRestored(null);
+    setSelected(0);
+    setMessage("Draft discarded.");
+  };
+
+  const onImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const rows =
+        /\.csv$/i.test(file.name) || !/^\s*[[{]/.test(text)
+          ? fromCsv(text)
+          : itemsOf(JSON.parse(text));
+      if (!rows) throw new Error("no items array in that file");
+      if (
+        items.length &&
+        !window.confirm(
+          `Replace the ${items.length} items being edited with the ${rows.length} in ${file.name}?`
+        )
+      )
+        return;
+      commit(rows.map(withVersion));
+      setSelected(0);
+      setMessage(`Imported ${rows.length} items from ${file.name}.`);
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`);
+    }
+  };
+
+  const exportJson = () => {
+    downloadFile("index.json", toFeed(items, published), "application/json");
+    setReviewing(false);
+    setMessage(
+      `index.json exported. Upload it to replace ${source.url}; the draft stays here until you discard it.`
+    );
+  };
+
+  const q = filter.trim().toLowerCase();
+  const rows = items
+    .map((p, i) => ({ p, i, check: checks[i] }))
+    .filter(
+      ({ p }) =>
+        !q ||
+        String(p.title || "")
+          .toLowerCase()
+          .includes(q) ||
+        String(p.slug || "").includes(q)
+    );
+  const current = items[selected];
+  const preview = checks[selected];
+
+  return (
+    <section className="ed">
+      <div className="detail__nav">
+        <Link className="btn" to={backTo}>
+          ← Back to library
+        </Link>
+      </div>
+      <h2 className="detail__title">Catalogue editor</h2>
+
+      <div className="coll__tools">
+        {sources.length > 1 && (
+          <label className="lbl">
+            Source
+            <select
+              className="select"
+              value={sourceId}
+              onChange={(e) => setSourceId(e.target.value)}
+            >
+              {sources.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <button className="btn" onClick={addItem}>
+          New item
+        </button>
+        <button className="btn" onClick={() => fileRef.current.click()}>
+          Import JSON/CSV…
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          hidden
+          onChange={onImport}
+        />
+        <button
+          className="btn"
+          disabled={!items.length}
+          onClick={() =>
+            downloadFile("index.csv", toCsv(items), "text/csv;charset=utf-8")
+          }
+        >
+          Export CSV
+        </button>
+        <button
+          className="btn"
+          disabled={status === "loading"}
+          onClick={() => setReviewing(true)}
+        >
+          Review & export index.json
+        </button>
+        <button className="note__x" disabled={!restored} onClick={discard}>
+          Discard draft
+        </button>
+      </div>
+
+      {status === "loading" && <div className="muted">Loading…</div>}
+      {status === "offline" && (
+        <div className="warn" role="status">
+          Couldn't load {source.url}. Start from an import or new items; the
+          diff will treat everything as added.
+        </div>
+      )}
+      {restored && (
+        <div className="note" role="status">
+          Resumed your draft from {new Date(restored).toLocaleString()}.
+        </div>
+      )}
+      {message && (
+        <div className="note" role="status">
+          {message}{" "}
+          <button className="note__x" onClick={() => setMessage("")}>
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      <div className="ed__body">
+        <div className="ed__list">
+          <input
+            className="input"
+            placeholder="Filter by title or slug…"
+            aria-label="Filter items"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+          />
+          <div className="muted small">
+            {items.length} items · {errors} with errors ·{" "}
+            {diff.added.length + diff.changed.length + diff.removed.length}{" "}
+            unpublished changes
+          </div>
+          <ul>
+            {rows.map(({ p, i, check }) => (
+              <li key={i}>
+                <button
+                  className={"ed__row" + (i === selected ? " on" : "")}
+                  aria-current={i === selected || undefined}
+                  onClick={() => setSelected(i)}
+                >
+                  <span className="ed__rowtitle">
+                    {p.title || <em>Untitled</em>}
+                  </span>
+                  <span className="muted small">
+                    {p.content_type} · v{p.version ?? 1}
+                    {!check.item
+                      ? " · error"
+                      : check.issues.length
+                      ? ` · ${check.issues.length} warnings`
+                      : ""}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {current ? (
+          <div className="ed__main">
+            <ItemForm
+              key={selected}
+              item={current}
+              tallies={tallies}
+              slugTaken={slugCounts[current.slug] > 1}
+              onChange={(patch) => update(selected, patch)}
+              onReplaceExtra={(extra) => replaceExtra(selected, extra)}
+            />
+            <aside className="ed__preview">
+              <h3>Preview</h3>
+              {preview.item ? (
+                <Card item={preview.item} list="editor" />
+              ) : (
+                <p className="muted">
+                  Fix the errors below to preview this item.
+                </p>
+              )}
+              {preview.issues.length > 0 && (
+                <ul className="ed__issues">
+                  {preview.issues.map((iss, j) => (
+                    <li key={j} className={"diag__" + iss.level}>
+                      <strong>{iss.field}</strong>: {iss.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <button className="btn" onClick={() => removeItem(selected)}>
+                Remove item
+              </button>
+            </aside>
+          </div>
+        ) : (
+          status !== "loading" && (
+            <p className="muted">No items yet. Import a file or add one.</p>
+          )
+        )}
+      </div>
+
+      {reviewing && (
+        <Lightbox
+          label="Review changes before export"
+          onClose={() => setReviewing(false)}
+        >
+          <div className="ed__review">
+            <h3>Changes against the published file</h3>
+            <DiffView diff={diff} />
+            {errors > 0 && (
+              <div className="warn">
+                {errors} items have errors and would be dropped by the library.
+                Fix them before exporting.
+              </div>
+            )}
+            <div className="coll__tools">
+              <button
+                className="btn"
+                disabled={errors > 0}
+                onClick={exportJson}
+              >
+                Download index.json
+              </button>
+              <button className="btn" onClick={() => setReviewing(false)}>
+                Keep editing
+              </button>
+            </div>
+          </div>
+        </Lightbox>
+      )}
+    </section>
+  );
+}
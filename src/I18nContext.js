@@ -0,0 +1,32 @@
+// I18nContext.js — current UI locale for the React tree
+// i18n.js owns the catalogs and formatting; this provider re-renders the app
+// when the visitor switches locale and keeps <html lang dir> in step (or the
+// `root` element's, for the embeddable widget).
+
+import React, { createContext, useContext, useEffect, useState } from "react";
+import * as i18n from "./i18n";
+
+const I18nContext = createContext(null);
+
+export const useI18n = () => useContext(I18nContext);
+
+export function I18nProvider({ children, root }) {
+  const [locale, setLocaleState] = useState(i18n.getLocale);
+  const dir = i18n.localeDir(locale);
+
+  useEffect(() => {
+    const el = root || document.documentElement;
+    el.lang = locale;
+    el.dir = dir;
+  }, [root, locale, dir]);
+
+  const value = {
+    locale,
+    dir,
+    setLocale: (l) => setLocaleState(i18n.setLocale(l)),
+    t: (key, vars) => i18n.t(key, vars, locale),
+    date: (iso) => i18n.fmtDateIn(iso, locale),
+    number: (n) => i18n.fmtNumber(n, locale),
+  };
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
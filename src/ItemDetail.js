@@ -0,0 +1,294 @@
+// ItemDetail.js — routed asset view at /content/:slug
+// Full summary, every facet value, version/release metadata, embedded media
+// (by type: video, slide carousel, zoomable infographic, inline PDF), the
+// version history with an edition picker (?v=2 links an earlier edition) and
+// a "related content" strip (related.js).
+
+import React, { useEffect, useMemo, useState } from "react";
+import Card, { PrimaryCta, useGatedClick } from "./Card";
+import { useI18n } from "./I18nContext";
+import { useGate } from "./LeadGate";
+import { quartileTracker } from "./analytics";
+import Lightbox, { ZoomableImage } from "./Lightbox";
+import SaveButton from "./SaveButton";
+import SlideCarousel from "./SlideCarousel";
+import { hasViewer, imageOf, metaParts, typeInfo } from "./contentTypes";
+import { SITE_NAME } from "./siteConfig";
+import { Link } from "./router";
+import { fmtDate, opensInReader } from "./utils";
+import { freshLabel, freshness } from "./visits";
+import { publishLabel } from "./publishing";
+
+const RELATED_N = 3;
+
+// null when there's nothing embeddable (the CTA still links the file)
+function Media({ item: p, locked }) {
+  const onVideoTime = useMemo(() => quartileTracker(p), [p]);
+  if (locked)
+    return p.cover_url ? (
+      <img className="cover" src={p.cover_url} alt="" />
+    ) : null;
+  if (p.content_type === "video") {
+    return (
+      <video
+        className="detail__video"
+        controls
+        preload="metadata"
+        poster={p.cover_url || undefined}
+        src={p.file_url}
+        onTimeUpdate={onVideoTime}
+      />
+    );
+  }
+  if (p.content_type === "slide" && p.slides)
+    return <SlideCarousel slides={p.slides} title={p.title} large />;
+  if (p.content_type === "infographic" && imageOf(p))
+    return <ZoomableImage src={imageOf(p)} alt={p.title} />;
+  if (opensInReader(p))
+    return <iframe className="detail__doc" src={p.file_url} title={p.title} />;
+  if (p.cover_url) return <img className="cover" src={p.cover_url} alt="" />;
+  return null;
+}
+
+// Changelog, newest first; earlier editions with a file can be picked
+function VersionHistory({ item: p, shown, onPick }) {
+  const { t } = useI18n();
+  const editions = p.versions.filter(
+    (v) => v.version !== p.version && v.file_url
+  );
+  return (
+    <section className="versions">
+      <div className="versions__hdr">
+        <h3>{t("versions.title")}</h3>
+        {editions.length > 0 && (
+          <label className="lbl">
+            {t("versions.edition")}
+            <select
+              className="select"
+              value={shown}
+              onChange={(e) => onPick(Number(e.target.value))}
+            >
+              <option value={p.version}>
+                {t("versions.latest", { v: p.version })}
+              </option>
+              {editions.map((v) => (
+                <option key={v.version} value={v.version}>
+                  v{v.version} — {fmtDate(v.date)}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      <ol className="versions__list">
+        {p.versions.map((v) => (
+          <li key={v.version} className={v.version === shown ? "on" : ""}>
+            <div>
+              <strong>v{v.version}</strong>{" "}
+              <span className="muted small">{fmtDate(v.date)}</span>
+            </div>
+            {v.notes.length > 0 && (
+              <ul>
+                {v.notes.map((n, i) => (
+                  <li key={i}>{n}</li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
+
+function ValueList({ title, values }) {
+  if (!values || !values.length) return null;
+  return (
+    <div className="detail__facet">
+      <dt>{title}</dt>
+      <dd className="tags">
+        {values.map((v) => (
+          <span key={v} className="tag">
+            {v}
+          </span>
+        ))}
+      </dd>
+    </div>
+  );
+}
+
+export default function ItemDetail({
+  slug,
+  items,
+  relatedOf,
+  loading,
+  backTo,
+}) {
+  const item = useMemo(() => items.find((p) => p.slug === slug), [items, slug]);
+  const [viewing, setViewing] = useState(false);
+  const { t } = useI18n();
+  // Earlier edition picked via the version picker or a ?v= link
+  const [picked, setPicked] = useState(
+    () => Number(new URLSearchParams(window.location.search).get("v")) || null
+  );
+  const { isLocked } = useGate();
+  const gated = useGatedClick(item || {});
+  const related = useMemo(
+    () => (item ? relatedOf(item.slug, RELATED_N) : []),
+    [item, relatedOf]
+  );
+
+  useEffect(() => {
+    if (!item) return;
+    const prev = document.title;
+    document.title = `${item.title} — ${SITE_NAME}`;
+    return () => {
+      document.title = prev;
+    };
+  }, [item]);
+
+  const back = (
+    <Link className="btn" to={backTo}>
+      {t("detail.back")}
+    </Link>
+  );
+
+  if (loading && !item) return <div className="muted">{t("loading")}</div>;
+
+  if (!item) {
+    return (
+      <section className="detail detail--missing">
+        <h2>{t("detail.notFound")}</h2>
+        <p className="muted">{t("detail.notFoundBody", { slug })}</p>
+        {back}
+      </section>
+    );
+  }
+
+  const p = item;
+  const fresh = freshness(p);
+  const status = publishLabel(p);
+  const edition =
+    (picked !== p.version &&
+      (p.versions || []).find((v) => v.version === picked && v.file_url)) ||
+    null;
+  // The item as the picked edition: its file, its version number
+  const shown = edition
+    ? { ...p, file_url: edition.file_url, version: edition.version }
+    : p;
+  const pick = (v) => {
+    const latest = v === p.version;
+    setPicked(latest ? null : v);
+    const { pathname, hash } = window.location;
+    window.history.replaceState(
+      window.history.state,
+      "",
+      pathname + (latest ? "" : `?v=${v}`) + hash
+    );
+  };
+  return (
+    <section className="detail">
+      <div className="detail__nav">{back}</div>
+      <h2 className="detail__title">{p.title}</h2>
+      <div className="card__meta">
+        <span className="tag tag--kind">{typeInfo(p).label}</span>{" "}
+        {isLocked(p) && (
+          <span className="tag tag--gated">{t("tag.gated")}</span>
+        )}{" "}
+        {fresh && <span className="tag tag--new">{freshLabel(fresh)}</span>}{" "}
+        {status && <span className="tag tag--status">{status}</span>}{" "}
+        {[
+          t("detail.released", { date: fmtDate(p.release_date) }),
+          p.updated_at !== p.release_date &&
+            t("detail.updated", { date: fmtDate(p.updated_at) }),
+          `v${shown.version}`,
+          ...metaParts(p),
+          p.funnel_stage,
+        ]
+          .filter(Boolean)
+          .join(" • ")}
+      </div>
+
+      {edition && (
+        <div className="note" role="status">
+          {t("versions.viewing", {
+            v: edition.version,
+            date: fmtDate(edition.date),
+          })}{" "}
+          <button className="note__x" onClick={() => pick(p.version)}>
+            {t("versions.goLatest", { v: p.version })}
+          </button>
+        </div>
+      )}
+
+      <div className="detail__media">
+        <Media key={shown.file_url} item={shown} locked={isLocked(p)} />
+      </div>
+
+      <p className="detail__sum">{p.summary}</p>
+
+      <dl className="detail__facets">
+        <ValueList title={t("facet.industries")} values={p.industries} />
+        <ValueList title={t("facet.personas")} values={p.personas} />
+        <ValueList title={t("facet.topics")} values={p.topics} />
+        <ValueList title={t("facet.tags")} values={p.tags} />
+      </dl>
+
+      <div className="cta">
+        {edition ? (
+          <a
+            className="btn"
+            href={shown.file_url}
+            target="_blank"
+            rel="noreferrer"
+            onClick={gated(
+              () =>
+                window.open(shown.file_url, "_blank", "noopener,noreferrer"),
+              "download"
+            )}
+          >
+            {typeInfo(p).download} v{edition.version}
+          </a>
+        ) : (
+          <PrimaryCta item={p} onView={() => setViewing(true)} />
+        )}{" "}
+        {!edition && hasViewer(p) && (
+          <a
+            className="btn"
+            href={p.file_url}
+            target="_blank"
+            rel="noreferrer"
+            onClick={gated(
+              () => window.open(p.file_url, "_blank", "noopener,noreferrer"),
+              "download"
+            )}
+          >
+            {typeInfo(p).download}
+          </a>
+        )}{" "}
+        <SaveButton item={p} />
+      </div>
+
+      {viewing && (
+        <Lightbox label={p.title} onClose={() => setViewing(false)}>
+          <ZoomableImage src={imageOf(p)} alt={p.title} />
+        </Lightbox>
+      )}
+
+      {p.versions && (
+        <VersionHistory item={p} shown={shown.version} onPick={pick} />
+      )}
+
+      {related.length > 0 && (
+        <section className="related">
+          <h3>{t("detail.related")}</h3>
+          <div className="cards">
+            {related.map((r, i) => (
+              <Card key={r.id} item={r} list="related" position={i + 1} />
+            ))}
+          </div>
+        </section>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,201 @@
+// LeadGate.js — lead-capture gate for items flagged `gated`
+// <GateProvider> holds the remembered visitor and the form config;
+// useGate().requestAccess(item, proceed) runs `proceed` straight away for
+// ungated items or known visitors, otherwise opens the lead form first.
+// <GateGuard> protects routes (reader/player) reached by a direct link.
+
+import React, { createContext, useContext, useId, useState } from "react";
+import { useI18n } from "./I18nContext";
+import Lightbox from "./Lightbox";
+import { leadPayload, loadLead, saveLead, validateLead } from "./leads";
+
+const GateContext = createContext({
+  unlocked: true,
+  isLocked: () => false,
+  requestAccess: (item, proceed) => proceed(),
+});
+
+export const useGate = () => useContext(GateContext);
+
+// config: { adapter, title?, intro?, submitLabel?, requireWorkEmail?, privacyUrl? }
+// personas: every persona in the catalogue, for the form's select
+export function GateProvider({ config, personas, children }) {
+  const { t } = useI18n();
+  const [lead, setLead] = useState(loadLead);
+  const [pending, setPending] = useState(null); // { item, proceed }
+
+  const unlocked = !!lead;
+  const isLocked = (item) => !!(item && item.gated) && !unlocked;
+
+  const requestAccess = (item, proceed) => {
+    if (!item.gated) return proceed();
+    if (unlocked) {
+      // Known visitor: no form, but still record what they opened
+      config.adapter
+        .submit(leadPayload(lead, item, true))
+        .catch((e) => console.warn("Lead not recorded:", e));
+      return proceed();
+    }
+    setPending({ item, proceed });
+  };
+
+  const capture = (captured) => {
+    saveLead(captured);
+    setLead(captured);
+  };
+
+  const value = {
+    unlocked,
+    isLocked,
+    requestAccess,
+    capture,
+    config,
+    personas,
+  };
+  return (
+    <GateContext.Provider value={value}>
+      {children}
+      {pending && (
+        <Lightbox
+          label={config.title || t("gate.title")}
+          onClose={() => setPending(null)}
+        >
+          <LeadForm
+            item={pending.item}
+            onCaptured={() => {
+              const { proceed } = pending;
+              setPending(null);
+              proceed();
+            }}
+          />
+        </Lightbox>
+      )}
+    </GateContext.Provider>
+  );
+}
+
+// Renders the lead form in place of `children` while the item is locked
+export function GateGuard({ item, children }) {
+  const { isLocked } = useGate();
+  if (!isLocked(item)) return children;
+  return (
+    <section className="gate">
+      <LeadForm item={item} />
+    </section>
+  );
+}
+
+function LeadForm({ item, onCaptured }) {
+  const { config, personas, capture } = useGate();
+  const { t } = useI18n();
+  const id = useId();
+  const [fields, setFields] = useState(() => ({
+    name: "",
+    email: "",
+    company: "",
+    persona: (item.personas || [])[0] || "",
+  }));
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState("idle"); // idle | sending | failed
+
+  // "See our {link}." with the link spliced in where the locale puts it
+  const privacy = t("gate.privacy").split("{link}");
+  const options = [...new Set([...(item.personas || []), ...(personas || [])])];
+  const set = (k) => (e) => setFields((f) => ({ ...f, [k]: e.target.value }));
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const errs = validateLead(fields, {
+      requireWorkEmail: config.requireWorkEmail !== false,
+    });
+    setErrors(errs);
+    if (Object.keys(errs).length) return;
+    const lead = {
+      name: fields.name.trim(),
+      email: fields.email.trim(),
+      company: fields.company.trim(),
+      persona: fields.persona,
+    };
+    setStatus("sending");
+    try {
+      await config.adapter.submit(leadPayload(lead, item));
+    } catch (err) {
+      console.error(err);
+      setStatus("failed");
+      return;
+    }
+    capture({ ...lead, savedAt: Date.now() });
+    if (onCaptured) onCaptured();
+  };
+
+  const field = (k, label, props) => (
+    <div className="gate__field">
+      <label htmlFor={`${id}-${k}`}>{label}</label>
+      <input
+        id={`${id}-${k}`}
+        className="input"
+        value={fields[k]}
+        onChange={set(k)}
+        aria-invalid={errors[k] ? "true" : undefined}
+        aria-describedby={errors[k] ? `${id}-${k}-err` : undefined}
+        {...props}
+      />
+      {errors[k] && (
+        <div id={`${id}-${k}-err`} className="gate__err">
+          {errors[k]}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <form className="gate__form" onSubmit={onSubmit} noValidate>
+      <h2>{config.title || t("gate.title")}</h2>
+      <p className="muted">{config.intro || t("gate.intro")}</p>
+      <p className="gate__item">{item.title}</p>
+      {field("name", t("gate.name"), { autoComplete: "name" })}
+      {field("email", t("gate.email"), {
+        type: "email",
+        autoComplete: "email",
+      })}
+      {field("company", t("gate.company"), { autoComplete: "organization" })}
+      {options.length > 0 && (
+        <div className="gate__field">
+          <label htmlFor={`${id}-persona`}>{t("gate.role")}</label>
+          <select
+            id={`${id}-persona`}
+            className="select"
+            value={fields.persona}
+            onChange={set("persona")}
+          >
+            <option value="">{t("gate.other")}</option>
+            {options.map((p) => (
+              <option key={p} value={p}>
+                {p}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {status === "failed" && (
+        <div className="warn" role="alert">
+          {t("gate.failed")}
+        </div>
+      )}
+      <button className="btn" type="submit" disabled={status === "sending"}>
+        {status === "sending"
+          ? t("gate.sending")
+          : config.submitLabel || t("gate.submit")}
+      </button>
+      {config.privacyUrl && (
+        <p className="muted small">
+          {privacy[0]}
+          <a href={config.privacyUrl} target="_blank" rel="noreferrer">
+            {t("gate.privacyLink")}
+          </a>
+          {privacy[1]}
+        </p>
+      )}
+    </form>
+  );
+}
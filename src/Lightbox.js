@@ -0,0 +1,170 @@
+// Lightbox.js — modal overlay plus a zoomable/pannable image
+// Used for infographics (cards and detail view) and enlarged slides.
+// Escape or a backdrop click closes; focus returns to whatever opened it.
+// Rendered into <body> so card overflow/transforms can't clip it (into
+// LightboxHost instead when one is provided, e.g. the embed's shadow root).
+
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { createPortal } from "react-dom";
+import { useI18n } from "./I18nContext";
+import { clamp } from "./utils";
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 6;
+const ZOOM_STEP = 1.25;
+
+// Element lightboxes render into; null = document.body
+export const LightboxHost = createContext(null);
+
+export default function Lightbox({ label, onClose, children }) {
+  const { t } = useI18n();
+  const closeRef = useRef(null);
+  const host = useContext(LightboxHost);
+  // Latest onClose without re-running the open/close effect every render
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    // The focused element of our own tree (document or shadow root)
+    const opener = closeRef.current
+      ? closeRef.current.getRootNode().activeElement
+      : document.activeElement;
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    if (closeRef.current) closeRef.current.focus();
+    const onKey = (e) => {
+      if (e.key === "Escape") onCloseRef.current();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("keydown", onKey);
+      document.body.style.overflow = overflow;
+      if (opener && opener.focus) opener.focus();
+    };
+  }, []);
+
+  return createPortal(
+    <div
+      className="lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-label={label}
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <button
+        ref={closeRef}
+        className="lightbox__x"
+        aria-label={t("lightbox.close")}
+        onClick={onClose}
+      >
+        ×
+      </button>
+      <div className="lightbox__body">{children}</div>
+    </div>,
+    host || document.body
+  );
+}
+
+// Wheel or buttons zoom, drag pans once zoomed, double-click toggles 2×
+export function ZoomableImage({ src, alt }) {
+  const { t } = useI18n();
+  const frameRef = useRef(null);
+  const drag = useRef(null);
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+
+  const zoomTo = (z) => {
+    const next = clamp(z, MIN_ZOOM, MAX_ZOOM);
+    setZoom(next);
+    if (next === 1) setPan({ x: 0, y: 0 });
+  };
+
+  // React's onWheel is passive, so preventDefault needs a native listener
+  useEffect(() => {
+    const el = frameRef.current;
+    if (!el) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      setZoom((z) => {
+        const next = clamp(
+          e.deltaY < 0 ? z * ZOOM_STEP : z / ZOOM_STEP,
+          MIN_ZOOM,
+          MAX_ZOOM
+        );
+        if (next === 1) setPan({ x: 0, y: 0 });
+        return next;
+      });
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
+
+  const onPointerDown = (e) => {
+    if (zoom === 1) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { x: e.clientX - pan.x, y: e.clientY - pan.y };
+  };
+  const onPointerMove = (e) => {
+    if (!drag.current) return;
+    setPan({ x: e.clientX - drag.current.x, y: e.clientY - drag.current.y });
+  };
+  const endDrag = () => {
+    drag.current = null;
+  };
+
+  return (
+    <div className="zoom">
+      <div className="zoom__tools">
+        <button
+          className="btn"
+          aria-label={t("zoom.out")}
+          disabled={zoom <= MIN_ZOOM}
+          onClick={() => zoomTo(zoom / ZOOM_STEP)}
+        >
+          −
+        </button>
+        <span className="reader__zoom">{Math.round(zoom * 100)}%</span>
+        <button
+          className="btn"
+          aria-label={t("zoom.in")}
+          disabled={zoom >= MAX_ZOOM}
+          onClick={() => zoomTo(zoom * ZOOM_STEP)}
+        >
+          +
+        </button>
+        <button className="btn" disabled={zoom === 1} onClick={() => zoomTo(1)}>
+          {t("zoom.reset")}
+        </button>
+        <a className="btn" href={src} target="_blank" rel="noreferrer">
+          {t("zoom.full")}
+        </a>
+      </div>
+      <div
+        ref={frameRef}
+        className={"zoom__frame" + (zoom > 1 ? " zoom__frame--on" : "")}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        onDoubleClick={() => zoomTo(zoom > 1 ? 1 : 2)}
+      >
+        <img
+          src={src}
+          alt={alt}
+          draggable={false}
+          style={{
+            transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`,
+          }}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,458 @@
+// PdfViewer.js — in-app reader for whitepapers and slide PDFs (pdf.js)
+// Page thumbnails, zoom, in-document text search, download, and resume at
+// the last page read (progress.js). Loaded lazily from App so pdf.js stays
+// out of the main bundle.
+
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import * as pdfjsLib from "pdfjs-dist";
+import { useI18n } from "./I18nContext";
+import { loadProgress, saveProgress } from "./progress";
+import { Link } from "./router";
+import { clamp } from "./utils";
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+  "pdfjs-dist/build/pdf.worker.min.js",
+  import.meta.url
+).toString();
+
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 4;
+const ZOOM_STEP = 1.25;
+const THUMB_WIDTH = 112;
+const MAX_RESULTS = 200;
+const SNIPPET = 40; // chars of context either side of a search hit
+
+// Renders one page into a canvas at `scale` (CSS px), sharp on HiDPI
+async function renderPage(doc, n, canvas, scale) {
+  const page = await doc.getPage(n);
+  const dpr = window.devicePixelRatio || 1;
+  const viewport = page.getViewport({ scale: scale * dpr });
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+  canvas.style.width = `${Math.floor(viewport.width / dpr)}px`;
+  canvas.style.height = `${Math.floor(viewport.height / dpr)}px`;
+  return page.render({ canvasContext: canvas.getContext("2d"), viewport });
+}
+
+// Thumbnail that only renders once scrolled into view
+function Thumb({ doc, n, active, onSelect }) {
+  const { t } = useI18n();
+  const ref = useRef(null);
+  const canvasRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || visible) return;
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) setVisible(true);
+      },
+      { rootMargin: "200px" }
+    );
+    io.observe(el);
+    return () => io.disconnect();
+  }, [visible]);
+
+  useEffect(() => {
+    if (!visible) return;
+    let task = null;
+    let cancelled = false;
+    doc
+      .getPage(n)
+      .then((page) => {
+        if (cancelled) return;
+        const scale = THUMB_WIDTH / page.getViewport({ scale: 1 }).width;
+        return renderPage(doc, n, canvasRef.current, scale).then((r) => {
+          task = r;
+          if (cancelled) r.cancel();
+          r.promise.catch(() => {});
+        });
+      })
+      .catch((e) => {
+        if (!cancelled) console.error(e); // else the reader closed mid-render
+      });
+    return () => {
+      cancelled = true;
+      if (task) task.cancel();
+    };
+  }, [doc, n, visible]);
+
+  return (
+    <button
+      ref={ref}
+      className={"reader__thumb" + (active ? " reader__thumb--on" : "")}
+      aria-label={t("reader.pageN", { n })}
+      aria-current={active ? "page" : undefined}
+      onClick={() => onSelect(n)}
+    >
+      <canvas ref={canvasRef} />
+      <span>{n}</span>
+    </button>
+  );
+}
+
+export default function PdfViewer({ item, backTo }) {
+  const { t } = useI18n();
+  const [doc, setDoc] = useState(null);
+  const [status, setStatus] = useState("loading"); // loading | ready | error
+  const [page, setPage] = useState(1);
+  const [zoom, setZoom] = useState(null); // null = fit width
+  const [fitScale, setFitScale] = useState(1);
+  const [resumedAt, setResumedAt] = useState(null);
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null); // [{ page, before, hit, after }]
+  const [searching, setSearching] = useState(false);
+
+  const stageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const texts = useRef(new Map()); // page -> extracted text
+  const searchToken = useRef(0);
+
+  const numPages = doc ? doc.numPages : 0;
+  const scale = zoom || fitScale;
+
+  // Load the document; resume at the saved page if there is one
+  useEffect(() => {
+    setStatus("loading");
+    setDoc(null);
+    texts.current = new Map();
+    const task = pdfjsLib.getDocument({ url: item.file_url });
+    let cancelled = false;
+    task.promise.then(
+      (d) => {
+        if (cancelled) return;
+        const saved = loadProgress("pdf", item.slug);
+        if (saved > 1 && saved <= d.numPages) {
+          setPage(saved);
+          setResumedAt(saved);
+        } else setPage(1);
+        setDoc(d);
+        setStatus("ready");
+      },
+      (e) => {
+        if (cancelled) return;
+        console.error(e);
+        setStatus("error");
+      }
+    );
+    return () => {
+      cancelled = true;
+      task.destroy();
+    };
+  }, [item.file_url, item.slug]);
+
+  useEffect(() => {
+    if (doc) saveProgress("pdf", item.slug, page);
+  }, [doc, page, item.slug]);
+
+  // Fit-width scale follows the stage size
+  useEffect(() => {
+    if (!doc || !stageRef.current) return;
+    let width = stageRef.current.clientWidth;
+    let cancelled = false;
+    const update = () =>
+      doc
+        .getPage(page)
+        .then((p) => {
+          if (cancelled) return;
+          const w = p.getViewport({ scale: 1 }).width;
+          setFitScale(clamp((width - 32) / w, MIN_SCALE, MAX_SCALE));
+        })
+        .catch((e) => {
+          if (!cancelled) console.error(e);
+        });
+    update();
+    const ro = new ResizeObserver(([entry]) => {
+      width = entry.contentRect.width;
+      update();
+    });
+    ro.observe(stageRef.current);
+    return () => {
+      cancelled = true;
+      ro.disconnect();
+    };
+  }, [doc, page]);
+
+  // Main page render; a newer render cancels the one in flight
+  useEffect(() => {
+    if (!doc || !canvasRef.current) return;
+    let task = null;
+    let cancelled = false;
+    renderPage(doc, page, canvasRef.current, scale)
+      .then((r) => {
+        task = r;
+        if (cancelled) r.cancel();
+        r.promise.catch(() => {});
+      })
+      .catch((e) => {
+        if (!cancelled) console.error(e); // else the reader closed mid-render
+      });
+    return () => {
+      cancelled = true;
+      if (task) task.cancel();
+    };
+  }, [doc, page, scale]);
+
+  const go = useCallback(
+    (n) =>
+      setPage((p) =>
+        clamp(typeof n === "function" ? n(p) : n, 1, numPages || 1)
+      ),
+    [numPages]
+  );
+
+  // Arrow/Page keys turn pages unless the user is typing
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      if (e.key === "ArrowRight" || e.key === "PageDown") go((p) => p + 1);
+      else if (e.key === "ArrowLeft" || e.key === "PageUp") go((p) => p - 1);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [go]);
+
+  const pageText = async (n) => {
+    if (!texts.current.has(n)) {
+      const content = await (await doc.getPage(n)).getTextContent();
+      texts.current.set(n, content.items.map((i) => i.str).join(" "));
+    }
+    return texts.current.get(n);
+  };
+
+  const runSearch = async (e) => {
+    e.preventDefault();
+    const needle = query.trim().toLowerCase();
+    const token = ++searchToken.current;
+    if (!needle || !doc) {
+      setResults(null);
+      setSearching(false);
+      return;
+    }
+    setSearching(true);
+    const found = [];
+    try {
+      for (let n = 1; n <= numPages && found.length < MAX_RESULTS; n++) {
+        const text = await pageText(n);
+        if (token !== searchToken.current) return; // superseded
+        const lower = text.toLowerCase();
+        for (
+          let at = lower.indexOf(needle);
+          at >= 0 && found.length < MAX_RESULTS;
+          at = lower.indexOf(needle, at + needle.length)
+        ) {
+          const from = Math.max(0, at - SNIPPET);
+          found.push({
+            page: n,
+            before: (from > 0 ? "…" : "") + text.slice(from, at),
+            hit: text.slice(at, at + needle.length),
+            after:
+              text.slice(at + needle.length, at + needle.length + SNIPPET) +
+              "…",
+          });
+        }
+      }
+      setResults(found);
+      if (found.length) go(found[0].page);
+    } catch {
+      // Page reads reject once the document is closed (new item, reader
+      // closed); keep whatever was found
+      if (token === searchToken.current) setResults(found);
+    } finally {
+      if (token === searchToken.current) setSearching(false);
+    }
+  };
+
+  const hitPages = results ? [...new Set(results.map((r) => r.page))] : [];
+  const jumpHit = (dir) => {
+    if (!hitPages.length) return;
+    const next =
+      dir > 0
+        ? hitPages.find((n) => n > page) || hitPages[0]
+        : [...hitPages].reverse().find((n) => n < page) ||
+          hitPages[hitPages.length - 1];
+    go(next);
+  };
+
+  // "… couldn't be opened. {link}." with the link spliced in
+  const failed = t("reader.failed").split("{link}");
+
+  return (
+    <section className="reader">
+      <div className="reader__bar">
+        <Link className="btn" to={backTo}>
+          {t("nav.back")}
+        </Link>
+        <h2 className="reader__title">{item.title}</h2>
+        <div className="reader__tools">
+          <button
+            className="btn"
+            disabled={page <= 1}
+            onClick={() => go(page - 1)}
+          >
+            {t("pager.prev")}
+          </button>
+          <label className="lbl">
+            {t("reader.page")}
+            <input
+              className="reader__page"
+              type="number"
+              min={1}
+              max={numPages || 1}
+              value={page}
+              onChange={(e) => go(Number(e.target.value) || 1)}
+            />
+            {t("reader.of", { n: numPages || "…" })}
+          </label>
+          <button
+            className="btn"
+            disabled={page >= numPages}
+            onClick={() => go(page + 1)}
+          >
+            {t("pager.next")}
+          </button>
+          <button
+            className="btn"
+            aria-label={t("zoom.out")}
+            onClick={() =>
+              setZoom(clamp(scale / ZOOM_STEP, MIN_SCALE, MAX_SCALE))
+            }
+          >
+            −
+          </button>
+          <span className="reader__zoom">{Math.round(scale * 100)}%</span>
+          <button
+            className="btn"
+            aria-label={t("zoom.in")}
+            onClick={() =>
+              setZoom(clamp(scale * ZOOM_STEP, MIN_SCALE, MAX_SCALE))
+            }
+          >
+            +
+          </button>
+          <button
+            className="btn"
+            aria-pressed={zoom === null}
+            onClick={() => setZoom(null)}
+          >
+            {t("reader.fit")}
+          </button>
+          <a
+            className="btn"
+            href={item.file_url}
+            download
+            target="_blank"
+            rel="noreferrer"
+          >
+            {t("reader.download")}
+          </a>
+        </div>
+        <form className="reader__search" role="search" onSubmit={runSearch}>
+          <input
+            className="input"
+            type="search"
+            placeholder={t("reader.search.placeholder")}
+            aria-label={t("reader.search.label")}
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <button className="btn" type="submit" disabled={!doc || searching}>
+            {searching ? t("reader.searching") : t("reader.find")}
+          </button>
+          {results && (
+            <>
+              <span className="muted small" role="status">
+                {results.length
+                  ? t("reader.found", {
+                      matches: t("reader.matches", { n: results.length }),
+                      pages: t("reader.pages", { n: hitPages.length }),
+                    })
+                  : t("reader.noMatches")}
+              </span>
+              <button
+                type="button"
+                className="btn"
+                disabled={!hitPages.length}
+                onClick={() => jumpHit(-1)}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                className="btn"
+                disabled={!hitPages.length}
+                onClick={() => jumpHit(1)}
+              >
+                ↓
+              </button>
+            </>
+          )}
+        </form>
+      </div>
+
+      {resumedAt && (
+        <div className="note" role="status">
+          {t("reader.resumed", { n: resumedAt })}{" "}
+          <button
+            className="note__x"
+            onClick={() => {
+              go(1);
+              setResumedAt(null);
+            }}
+          >
+            {t("reader.restart")}
+          </button>
+        </div>
+      )}
+
+      {status === "error" ? (
+        <div className="warn">
+          {failed[0]}
+          <a href={item.file_url} target="_blank" rel="noreferrer">
+            {t("reader.openDirect")}
+          </a>
+          {failed[1]}
+        </div>
+      ) : (
+        <div className="reader__body">
+          <nav className="reader__thumbs" aria-label={t("reader.thumbs")}>
+            {doc &&
+              Array.from({ length: numPages }, (_, i) => (
+                <Thumb
+                  key={i + 1}
+                  doc={doc}
+                  n={i + 1}
+                  active={page === i + 1}
+                  onSelect={go}
+                />
+              ))}
+          </nav>
+          <div className="reader__stage" ref={stageRef}>
+            {status === "loading" && (
+              <div className="muted">{t("reader.loading")}</div>
+            )}
+            <canvas ref={canvasRef} className="reader__canvas" />
+          </div>
+          {results && results.length > 0 && (
+            <ol className="reader__results" aria-label={t("reader.results")}>
+              {results.map((r, i) => (
+                <li key={i}>
+                  <button
+                    className={r.page === page ? "on" : ""}
+                    onClick={() => go(r.page)}
+                  >
+                    <strong>{t("reader.hitPage", { n: r.page })}</strong>{" "}
+                    {r.before}
+                    <mark>{r.hit}</mark>
+                    {r.after}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
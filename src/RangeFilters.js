@@ -0,0 +1,160 @@
+// RangeFilters.js — rail sections for the range filters in ranges.js
+// "Time to consume" is a pair of sliders over minutesOf(); "Released" offers
+// relative presets plus explicit from/to days.
+
+import React, { useEffect, useState } from "react";
+import { useI18n } from "./I18nContext";
+import { DATE_PRESETS, hasTimeRange, releaseWindow } from "./ranges";
+
+// Range input that reports on release (pointer/key up, blur) rather than on
+// every step, so one drag is one filter change and one history entry
+function Slider({ label, value, min, max, format, onCommit }) {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+  const commit = () => {
+    if (draft !== value) onCommit(draft);
+  };
+  return (
+    <label className="range__row">
+      <span>{label}</span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={1}
+        value={draft}
+        aria-valuetext={format(draft)}
+        onChange={(e) => setDraft(Number(e.target.value))}
+        onPointerUp={commit}
+        onKeyUp={commit}
+        onBlur={commit}
+      />
+      <output>{format(draft)}</output>
+    </label>
+  );
+}
+
+// value: { timeMin, timeMax, released, from, to } (urlState.js);
+// bound: the time slider's top end (ranges.js timeBound)
+export default function RangeFilters({
+  value,
+  bound,
+  onChange,
+  showTime = true,
+  showReleased = true,
+}) {
+  const { t } = useI18n();
+  const { timeMin, timeMax, released } = value;
+  const lo = Math.min(timeMin || 0, bound);
+  const hi = timeMax != null ? Math.min(timeMax, bound) : bound;
+  const minutes = (n) => t("meta.minutes", { n });
+  const span = releaseWindow(value);
+
+  const Clear = ({ patch }) => (
+    <button className="note__x" onClick={() => onChange(patch)}>
+      {t("range.clear")}
+    </button>
+  );
+
+  return (
+    <>
+      {showTime && (
+        <section className="facet">
+          <div className="facet__hdr">
+            <h3>{t("range.time")}</h3>
+            {hasTimeRange(value) && (
+              <Clear patch={{ timeMin: null, timeMax: null }} />
+            )}
+          </div>
+          <Slider
+            label={t("range.atLeast")}
+            value={lo}
+            min={0}
+            max={bound}
+            format={(n) => (n ? minutes(n) : t("range.any"))}
+            onCommit={(n) =>
+              onChange({
+                timeMin: n || null,
+                timeMax: timeMax != null && timeMax < n ? n : timeMax,
+              })
+            }
+          />
+          <Slider
+            label={t("range.atMost")}
+            value={hi}
+            min={1}
+            max={bound}
+            format={(n) => (n >= bound ? t("range.any") : minutes(n))}
+            onCommit={(n) =>
+              onChange({
+                timeMax: n >= bound ? null : n,
+                timeMin: timeMin != null && timeMin > n ? n : timeMin,
+              })
+            }
+          />
+        </section>
+      )}
+      {showReleased && (
+        <section className="facet">
+          <div className="facet__hdr">
+            <h3>{t("range.released")}</h3>
+            {span && <Clear patch={{ released: "", from: "", to: "" }} />}
+          </div>
+          <div className="facet__wrap">
+            {DATE_PRESETS.map((k) => (
+              <button
+                key={k}
+                className={"pill" + (released === k ? " pill--on" : "")}
+                aria-pressed={released === k}
+                onClick={() =>
+                  onChange(
+                    released === k
+                      ? { released: "" }
+                      : { released: k, from: "", to: "" }
+                  )
+                }
+              >
+                {t(`range.preset.${k}`)}
+              </button>
+            ))}
+          </div>
+          {/* Editing a day turns a preset into the explicit range it stood for */}
+          <div className="range__dates">
+            <label className="lbl">
+              {t("range.from")}
+              <input
+                className="input"
+                type="date"
+                value={(span && span.from) || ""}
+                max={(span && span.to) || undefined}
+                onChange={(e) =>
+                  onChange({
+                    released: "",
+                    from: e.target.value,
+                    to: (span && span.to) || "",
+                  })
+                }
+              />
+            </label>
+            <label className="lbl">
+              {t("range.to")}
+              <input
+                className="input"
+                type="date"
+                value={(span && span.to) || ""}
+                min={(span && span.from) || undefined}
+                onChange={(e) =>
+                  onChange({
+                    released: "",
+                    from: (span && span.from) || "",
+                    to: e.target.value,
+                  })
+                }
+              />
+            </label>
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,98 @@
+// Recommendations.js — "Recommended for you" rail above the library grid
+// Compact tiles (cover, title, reason) ranked by recommend.js, plus the
+// "I am a…" persona/industry picker that seeds the profile.
+
+import React, { useEffect, useId, useRef } from "react";
+import { useI18n } from "./I18nContext";
+import { metaParts, typeInfo } from "./contentTypes";
+import { Link, itemPath } from "./router";
+import { analytics, observeCardView } from "./analytics";
+
+function Tile({ rec, position }) {
+  const ref = useRef(null);
+  const p = rec.item;
+  useEffect(
+    () => observeCardView(ref.current, p, "recommended", position),
+    [p, position]
+  );
+  return (
+    <article className="recs__tile" ref={ref}>
+      {p.cover_url && (
+        <img className="recs__cover" src={p.cover_url} alt="" loading="lazy" />
+      )}
+      <span className="tag tag--kind">{typeInfo(p).label}</span>
+      <h3 className="card__title">
+        <Link
+          to={itemPath(p.slug)}
+          onClick={() => analytics.ctaClicked(p, "recommended")}
+        >
+          {p.title}
+        </Link>
+      </h3>
+      <div className="card__meta">{metaParts(p).join(" • ")}</div>
+      {rec.reason && <div className="recs__why">{rec.reason}</div>}
+    </article>
+  );
+}
+
+export default function Recommendations({
+  recs,
+  identity,
+  personas,
+  industries,
+  onIdentity,
+  onReset,
+}) {
+  const id = useId();
+  const { t } = useI18n();
+  return (
+    <section className="recs" aria-labelledby={`${id}-h`}>
+      <div className="recs__hdr">
+        <h2 id={`${id}-h`}>{t("recs.title")}</h2>
+        <span className="lbl">{t("recs.iam")}</span>
+        <select
+          className="select"
+          aria-label={t("recs.role")}
+          value={identity.persona}
+          onChange={(e) => onIdentity({ persona: e.target.value })}
+        >
+          <option value="">{t("recs.anyRole")}</option>
+          {personas.map((v) => (
+            <option key={v} value={v}>
+              {v}
+            </option>
+          ))}
+        </select>
+        <select
+          className="select"
+          aria-label={t("recs.industry")}
+          value={identity.industry}
+          onChange={(e) => onIdentity({ industry: e.target.value })}
+        >
+          <option value="">{t("recs.anyIndustry")}</option>
+          {industries.map((v) => (
+            <option key={v} value={v}>
+              {v}
+            </option>
+          ))}
+        </select>
+        <button
+          className="note__x"
+          title={t("recs.resetTitle")}
+          onClick={onReset}
+        >
+          {t("recs.reset")}
+        </button>
+      </div>
+      {recs.length ? (
+        <div className="recs__row">
+          {recs.map((r, i) => (
+            <Tile key={r.item.id} rec={r} position={i + 1} />
+          ))}
+        </div>
+      ) : (
+        <p className="muted small">{t("recs.empty")}</p>
+      )}
+    </section>
+  );
+}
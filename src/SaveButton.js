@@ -0,0 +1,96 @@
+// SaveButton.js — "Save" menu on cards and the detail page
+// Checkbox per collection plus a quick "new collection" field; the button
+// reads "Saved" once the item is in any collection. Renders nothing outside a
+// CollectionsProvider (the embeddable widget has no collections).
+
+import React, { useEffect, useId, useRef, useState } from "react";
+import { useCollections } from "./CollectionsContext";
+import { useI18n } from "./I18nContext";
+
+export default function SaveButton({ item }) {
+  return useCollections() ? <SaveMenu item={item} /> : null;
+}
+
+function SaveMenu({ item }) {
+  const { collections, create, add, removeItem } = useCollections();
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const ref = useRef(null);
+  const id = useId();
+
+  const saved = collections.some((c) =>
+    c.items.some((x) => x.slug === item.slug)
+  );
+
+  // Close on outside click or Escape
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (ref.current && !ref.current.contains(e.target)) setOpen(false);
+    };
+    const onKey = (e) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", onDown);
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("mousedown", onDown);
+      document.removeEventListener("keydown", onKey);
+    };
+  }, [open]);
+
+  const onCreate = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    create(name, [item.slug]);
+    setName("");
+  };
+
+  return (
+    <span className="save" ref={ref}>
+      <button
+        className="btn"
+        aria-haspopup="true"
+        aria-expanded={open}
+        aria-controls={`${id}-menu`}
+        onClick={() => setOpen((o) => !o)}
+      >
+        {saved ? t("save.saved") : t("save.save")}
+      </button>
+      {open && (
+        <div id={`${id}-menu`} className="save__menu" role="group">
+          <div className="save__title">{t("save.title")}</div>
+          {collections.map((c) => {
+            const inIt = c.items.some((x) => x.slug === item.slug);
+            return (
+              <label key={c.id} className="save__opt">
+                <input
+                  type="checkbox"
+                  checked={inIt}
+                  onChange={() =>
+                    inIt ? removeItem(c.id, item.slug) : add(c.id, item.slug)
+                  }
+                />
+                {c.name}
+                <span className="muted"> ({c.items.length})</span>
+              </label>
+            );
+          })}
+          <form className="save__new" onSubmit={onCreate}>
+            <input
+              className="input"
+              placeholder={t("save.newName")}
+              aria-label={t("coll.newLabel")}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <button className="btn" type="submit" disabled={!name.trim()}>
+              {t("save.add")}
+            </button>
+          </form>
+        </div>
+      )}
+    </span>
+  );
+}
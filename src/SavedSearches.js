@@ -0,0 +1,104 @@
+// SavedSearches.js — rail panel listing saved searches with their match
+// counts and how many of those are new or updated since the last visit.
+
+import React, { useMemo, useState } from "react";
+import { useI18n } from "./I18nContext";
+import { runSaved } from "./searchStore";
+import { freshness, lastVisit } from "./visits";
+
+export default function SavedSearches({
+  searches,
+  index,
+  items,
+  canSave,
+  onSave,
+  onApply,
+  onDelete,
+}) {
+  const { t, locale } = useI18n();
+  const [name, setName] = useState("");
+  const [naming, setNaming] = useState(false);
+
+  const counts = useMemo(
+    () =>
+      searches.map((s) => {
+        const matched = runSaved(index, items, s.state);
+        return {
+          total: matched.length,
+          fresh: matched.filter((p) => freshness(p)).length,
+        };
+      }),
+    [searches, index, items]
+  );
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSave(name);
+    setName("");
+    setNaming(false);
+  };
+
+  return (
+    <section className="facet saved" aria-label={t("searches.title")}>
+      <div className="facet__hdr">
+        <h3>{t("searches.title")}</h3>
+      </div>
+      {searches.length === 0 && (
+        <p className="muted small">{t("searches.empty")}</p>
+      )}
+      <ul className="saved__list">
+        {searches.map((s, i) => (
+          <li key={s.id} className="saved__row">
+            <button className="saved__name" onClick={() => onApply(s)}>
+              {s.name}
+            </button>
+            {counts[i].fresh > 0 ? (
+              <span
+                className="tag tag--new"
+                title={t("searches.freshSince", {
+                  date: new Date(lastVisit().at).toLocaleString(locale),
+                })}
+              >
+                {t("searches.fresh", { n: counts[i].fresh })}
+              </span>
+            ) : (
+              <span className="muted small">{counts[i].total}</span>
+            )}
+            <button
+              className="note__x"
+              aria-label={t("searches.delete", { name: s.name })}
+              onClick={() => onDelete(s.id)}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+      {naming ? (
+        <form className="save__new" onSubmit={submit}>
+          <input
+            className="input"
+            autoFocus
+            placeholder={t("searches.name")}
+            aria-label={t("searches.nameLabel")}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setNaming(false)}
+          />
+          <button className="btn" type="submit">
+            {t("searches.submit")}
+          </button>
+        </form>
+      ) : (
+        <button
+          className="btn"
+          disabled={!canSave}
+          title={canSave ? undefined : t("searches.needFilter")}
+          onClick={() => setNaming(true)}
+        >
+          {t("searches.save")}
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,215 @@
+// SearchBox.js — search input with an ARIA 1.2 combobox suggestion list
+// Suggestions mix asset titles (open the detail page) and facet values
+// (apply that filter), both drawn from the loaded catalogue items.
+
+import React, { useId, useMemo, useState } from "react";
+import { useI18n } from "./I18nContext";
+import { typeInfo } from "./contentTypes";
+import { t as translate } from "./i18n";
+import { itemPath, navigate } from "./router";
+
+const MIN_CHARS = 2;
+const MAX_TITLES = 5;
+const MAX_FACETS = 5;
+
+// facet key (as used by App's facet state) -> item field; the display label
+// is the "suggest.<key>" message
+const FACET_FIELDS = [
+  { key: "type", field: "content_type" },
+  { key: "industries", field: "industries" },
+  { key: "personas", field: "personas" },
+  { key: "topics", field: "topics" },
+  { key: "tags", field: "tags" },
+  { key: "stage", field: "funnel_stage" },
+  { key: "source", field: "sources" },
+];
+
+// Facet values with their item counts, computed once per catalogue; facets
+// an embed locked (App's embed.locked) are never offered
+function facetEntries(items, locked) {
+  const out = [];
+  for (const f of FACET_FIELDS) {
+    if (locked.includes(f.key)) continue;
+    const counts = new Map();
+    for (const p of items) {
+      const v = p[f.field];
+      for (const x of Array.isArray(v) ? v : v ? [v] : []) {
+        counts.set(x, (counts.get(x) || 0) + 1);
+      }
+    }
+    // a facet with a single value (e.g. one source) would match everything
+    if (counts.size < 2) continue;
+    for (const [value, n] of counts) out.push({ ...f, value, n });
+  }
+  return out;
+}
+
+// 0 = label starts with the text, 1 = a later word does, -1 = no match
+function matchRank(label, text) {
+  const l = String(label).toLowerCase();
+  if (l.startsWith(text)) return 0;
+  const i = l.indexOf(text);
+  if (i < 0) return -1;
+  let at = i;
+  while (at >= 0) {
+    if (!/[\p{L}\p{N}]/u.test(l[at - 1])) return 1;
+    at = l.indexOf(text, at + 1);
+  }
+  return -1;
+}
+
+function buildOptions(items, entries, raw, locale) {
+  const text = raw.trim().toLowerCase();
+  if (text.length < MIN_CHARS) return [];
+  const facets = entries
+    .map((e) => ({ e, r: matchRank(e.value, text) }))
+    .filter((x) => x.r >= 0)
+    .sort((a, b) => a.r - b.r || b.e.n - a.e.n)
+    .slice(0, MAX_FACETS)
+    .map(({ e }) => ({
+      kind: "facet",
+      id: `f:${e.key}:${e.value}`,
+      key: e.key,
+      value: e.value,
+      label: translate(
+        "suggest.facet",
+        {
+          facet: translate(`suggest.${e.key}`, null, locale),
+          value: e.value,
+        },
+        locale
+      ),
+      hint: `${e.n}`,
+    }));
+  const titles = items
+    .map((p) => ({ p, r: matchRank(p.title || "", text) }))
+    .filter((x) => x.r >= 0)
+    .sort(
+      (a, b) =>
+        a.r - b.r || new Date(b.p.release_date) - new Date(a.p.release_date)
+    )
+    .slice(0, MAX_TITLES)
+    .map(({ p }) => ({
+      kind: "title",
+      id: `t:${p.slug}`,
+      slug: p.slug,
+      label: p.title,
+      hint: typeInfo(p).label,
+    }));
+  return [...facets, ...titles];
+}
+
+export default function SearchBox({
+  items,
+  value,
+  onChange,
+  onFacet,
+  locked,
+  ...rest
+}) {
+  const { t, locale } = useI18n();
+  const id = useId();
+  const listId = `${id}-list`;
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+
+  const entries = useMemo(() => facetEntries(items, locked), [items, locked]);
+  const options = useMemo(
+    () => buildOptions(items, entries, value, locale),
+    [items, entries, value, locale]
+  );
+  const expanded = open && options.length > 0;
+
+  const choose = (opt) => {
+    setOpen(false);
+    setActive(-1);
+    if (opt.kind === "title") navigate(itemPath(opt.slug));
+    else onFacet(opt.key, opt.value);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (!options.length) return;
+      e.preventDefault();
+      if (!expanded) {
+        setOpen(true);
+        setActive(e.key === "ArrowDown" ? 0 : options.length - 1);
+        return;
+      }
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((a) => (a + step + options.length) % options.length);
+    } else if (e.key === "Enter") {
+      if (expanded && active >= 0) {
+        e.preventDefault();
+        choose(options[active]);
+      } else {
+        setOpen(false);
+      }
+    } else if (e.key === "Escape") {
+      if (expanded) {
+        e.preventDefault();
+        setOpen(false);
+        setActive(-1);
+      } else if (value) {
+        onChange("");
+      }
+    } else if (e.key === "Tab") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="combo">
+      <input
+        {...rest}
+        className="input"
+        type="search"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={
+          expanded && active >= 0 ? `${id}-opt-${active}` : undefined
+        }
+        autoComplete="off"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActive(-1);
+        }}
+        onKeyDown={onKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+      />
+      <ul
+        id={listId}
+        role="listbox"
+        aria-label={t("suggest.label")}
+        className="combo__list"
+        hidden={!expanded}
+      >
+        {options.map((opt, i) => (
+          <li
+            key={opt.id}
+            id={`${id}-opt-${i}`}
+            role="option"
+            aria-selected={i === active}
+            className={
+              "combo__opt combo__opt--" +
+              opt.kind +
+              (i === active ? " combo__opt--on" : "")
+            }
+            // keep focus in the input so blur doesn't close the list first
+            onMouseDown={(e) => e.preventDefault()}
+            onMouseEnter={() => setActive(i)}
+            onClick={() => choose(opt)}
+          >
+            <span className="combo__label">{opt.label}</span>
+            <span className="combo__hint">{opt.hint}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+// SlideCarousel.js — swipeable slide viewer for decks with a `slides` image list
+// Swipe/drag, arrow buttons or ←/→ (when focused) change slides; only the
+// current and next image are in the DOM. "Enlarge" opens the slide in the
+// zoomable lightbox.
+
+import React, { useRef, useState } from "react";
+import { useI18n } from "./I18nContext";
+import Lightbox, { ZoomableImage } from "./Lightbox";
+import { clamp } from "./utils";
+
+const SWIPE_PX = 40; // horizontal travel that counts as a swipe
+
+export default function SlideCarousel({ slides, title, large = false }) {
+  const { t } = useI18n();
+  const [i, setI] = useState(0);
+  const [dx, setDx] = useState(0);
+  const [enlarged, setEnlarged] = useState(false);
+  const start = useRef(null);
+
+  const n = slides.length;
+  const go = (to) => setI(clamp(to, 0, n - 1));
+
+  const onPointerDown = (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    start.current = e.clientX;
+  };
+  const onPointerMove = (e) => {
+    if (start.current !== null) setDx(e.clientX - start.current);
+  };
+  const onPointerUp = () => {
+    if (start.current === null) return;
+    if (dx <= -SWIPE_PX) go(i + 1);
+    else if (dx >= SWIPE_PX) go(i - 1);
+    start.current = null;
+    setDx(0);
+  };
+
+  return (
+    <div
+      className={"slides" + (large ? " slides--large" : "")}
+      role="region"
+      aria-roledescription="carousel"
+      aria-label={t("slides.label", { title })}
+      tabIndex={0}
+      onKeyDown={(e) => {
+        if (e.key === "ArrowRight") go(i + 1);
+        else if (e.key === "ArrowLeft") go(i - 1);
+      }}
+    >
+      <div
+        className="slides__stage"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onPointerLeave={onPointerUp}
+      >
+        <img
+          className="slides__img"
+          src={slides[i]}
+          alt={t("slides.alt", { i: i + 1, n })}
+          draggable={false}
+          style={dx ? { transform: `translateX(${dx}px)` } : undefined}
+        />
+        {/* warm the cache for the next slide */}
+        {i + 1 < n && (
+          <img className="slides__next" src={slides[i + 1]} alt="" />
+        )}
+      </div>
+      <div className="slides__bar">
+        <button
+          className="btn"
+          aria-label={t("slides.prev")}
+          disabled={i === 0}
+          onClick={() => go(i - 1)}
+        >
+          ‹
+        </button>
+        <span className="slides__count" aria-live="polite">
+          {i + 1} / {n}
+        </span>
+        <button
+          className="btn"
+          aria-label={t("slides.next")}
+          disabled={i === n - 1}
+          onClick={() => go(i + 1)}
+        >
+          ›
+        </button>
+        <button className="btn" onClick={() => setEnlarged(true)}>
+          {t("slides.enlarge")}
+        </button>
+      </div>
+      {enlarged && (
+        <Lightbox
+          label={t("slides.enlarged", { title, i: i + 1 })}
+          onClose={() => setEnlarged(false)}
+        >
+          <ZoomableImage
+            src={slides[i]}
+            alt={t("slides.alt", { i: i + 1, n })}
+          />
+        </Lightbox>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+// VideoPlayer.js — dedicated player view at /content/:slug/watch
+// Captions toggle (WebVTT captions_url), chapter list, searchable transcript
+// that seeks on click, and resume from the last position (progress.js).
+// When an item has captions but no transcript, the captions are the transcript.
+// Playback quartiles are reported to analytics.js.
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useI18n } from "./I18nContext";
+import { quartileTracker } from "./analytics";
+import { fmtTime, parseVtt } from "./media";
+import { clearProgress, loadProgress, saveProgress } from "./progress";
+import { Link } from "./router";
+
+const CAPTIONS_KEY = "fairway:captions"; // "on" | "off", shared across videos
+const SAVE_EVERY_SEC = 5;
+const RESUME_MIN_SEC = 5; // don't bother resuming the first few seconds
+const RESUME_TAIL_SEC = 10; // or the last few (treated as finished)
+
+function readCaptionsPref() {
+  try {
+    return window.localStorage.getItem(CAPTIONS_KEY) !== "off";
+  } catch {
+    return true;
+  }
+}
+
+// Index of the last entry whose start_sec <= t (-1 before the first)
+function activeIndex(list, t) {
+  let found = -1;
+  for (let i = 0; i < list.length && list[i].start_sec <= t; i++) found = i;
+  return found;
+}
+
+export default function VideoPlayer({ item, backTo }) {
+  const { t } = useI18n();
+  const videoRef = useRef(null);
+  const lastSaved = useRef(0);
+  const [time, setTime] = useState(0);
+  const [captionsOn, setCaptionsOn] = useState(readCaptionsPref);
+  const [resumedAt, setResumedAt] = useState(null);
+  const [captions, setCaptions] = useState(null); // { url, cues }
+  const [filter, setFilter] = useState("");
+
+  const chapters = item.chapters || [];
+  const trackQuartiles = useMemo(() => quartileTracker(item), [item]);
+
+  // The caption file is fetched here and handed to <track> as a blob: URL.
+  // A cross-origin track URL would need crossOrigin on the <video>, which
+  // also fetches the video itself in CORS mode and breaks hosts without
+  // CORS headers. The cues double as the transcript when there is none.
+  useEffect(() => {
+    setCaptions(null);
+    if (!item.captions_url) return;
+    let cancelled = false;
+    let url = null;
+    fetch(item.captions_url, { mode: "cors" })
+      .then((r) =>
+        r.ok ? r.text() : Promise.reject(new Error(`HTTP ${r.status}`))
+      )
+      .then((text) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(new Blob([text], { type: "text/vtt" }));
+        setCaptions({ url, cues: parseVtt(text) });
+      })
+      .catch((e) => console.warn("Captions unavailable:", e));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [item.captions_url]);
+
+  const transcript = useMemo(
+    () => item.transcript || (captions && captions.cues) || [],
+    [item.transcript, captions]
+  );
+  const needle = filter.trim().toLowerCase();
+  const shownCues = useMemo(
+    () =>
+      transcript
+        .map((c, i) => ({ ...c, i }))
+        .filter((c) => !needle || c.text.toLowerCase().includes(needle)),
+    [transcript, needle]
+  );
+
+  // Caption track visibility follows the toggle (and is remembered)
+  useEffect(() => {
+    const v = videoRef.current;
+    if (!v) return;
+    for (const track of v.textTracks) {
+      if (track.kind === "captions" || track.kind === "subtitles")
+        track.mode = captionsOn ? "showing" : "hidden";
+    }
+    try {
+      window.localStorage.setItem(CAPTIONS_KEY, captionsOn ? "on" : "off");
+    } catch {
+      // preference just won't persist
+    }
+  }, [captionsOn, captions]);
+
+  const seek = (sec) => {
+    const v = videoRef.current;
+    if (!v) return;
+    v.currentTime = sec;
+    if (v.paused) v.play().catch(() => {});
+  };
+
+  const onLoadedMetadata = (e) => {
+    const v = e.currentTarget;
+    const saved = loadProgress("video", item.slug);
+    if (
+      saved > RESUME_MIN_SEC &&
+      (!v.duration || saved < v.duration - RESUME_TAIL_SEC)
+    ) {
+      v.currentTime = saved;
+      setResumedAt(saved);
+    }
+  };
+
+  const onTimeUpdate = (e) => {
+    trackQuartiles(e);
+    const sec = e.currentTarget.currentTime;
+    setTime(sec);
+    if (Math.abs(sec - lastSaved.current) >= SAVE_EVERY_SEC) {
+      lastSaved.current = sec;
+      saveProgress("video", item.slug, sec);
+    }
+  };
+
+  const curChapter = activeIndex(chapters, time);
+  const curCue = activeIndex(transcript, time);
+
+  return (
+    <section className="player">
+      <div className="reader__bar">
+        <Link className="btn" to={backTo}>
+          {t("nav.back")}
+        </Link>
+        <h2 className="reader__title">{item.title}</h2>
+        {captions && (
+          <button
+            className="btn"
+            aria-pressed={captionsOn}
+            onClick={() => setCaptionsOn((on) => !on)}
+          >
+            {captionsOn ? t("player.ccOn") : t("player.ccOff")}
+          </button>
+        )}
+      </div>
+
+      {resumedAt && (
+        <div className="note" role="status">
+          {t("player.resumed", { time: fmtTime(resumedAt) })}{" "}
+          <button
+            className="note__x"
+            onClick={() => {
+              seek(0);
+              setResumedAt(null);
+            }}
+          >
+            {t("player.restart")}
+          </button>
+        </div>
+      )}
+
+      <div className="player__body">
+        <div className="player__main">
+          <video
+            ref={videoRef}
+            className="detail__video"
+            controls
+            preload="metadata"
+            poster={item.cover_url || undefined}
+            src={item.file_url}
+            onLoadedMetadata={onLoadedMetadata}
+            onTimeUpdate={onTimeUpdate}
+            onPause={(e) =>
+              saveProgress("video", item.slug, e.currentTarget.currentTime)
+            }
+            onEnded={() => clearProgress("video", item.slug)}
+          >
+            {captions && (
+              <track
+                kind="captions"
+                src={captions.url}
+                srcLang={item.language || "en"}
+                label={t("player.captions")}
+                default={captionsOn}
+              />
+            )}
+          </video>
+          {chapters.length > 0 && (
+            <nav className="player__chapters" aria-label={t("player.chapters")}>
+              <h3>{t("player.chapters")}</h3>
+              <ol>
+                {chapters.map((c, i) => (
+                  <li key={i}>
+                    <button
+                      className={i === curChapter ? "on" : ""}
+                      aria-current={i === curChapter ? "true" : undefined}
+                      onClick={() => seek(c.start_sec)}
+                    >
+                      <span className="player__t">{fmtTime(c.start_sec)}</span>
+                      {c.title}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            </nav>
+          )}
+        </div>
+
+        {transcript.length > 0 && (
+          <aside
+            className="player__transcript"
+            aria-label={t("player.transcript")}
+          >
+            <h3>{t("player.transcript")}</h3>
+            <input
+              className="input"
+              type="search"
+              placeholder={t("player.search.placeholder")}
+              aria-label={t("player.search.label")}
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+            {needle && (
+              <div className="muted small" role="status">
+                {t("player.matches", { n: shownCues.length })}
+              </div>
+            )}
+            <ol>
+              {shownCues.map((c) => (
+                <li key={c.i}>
+                  <button
+                    className={c.i === curCue ? "on" : ""}
+                    onClick={() => seek(c.start_sec)}
+                  >
+                    <span className="player__t">{fmtTime(c.start_sec)}</span>
+                    {c.text}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </aside>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,220 @@
+// analytics.js — engagement events, batched and fanned out to pluggable sinks
+// Call the typed helpers on `analytics` (analytics.searchSubmitted(...), …)
+// rather than track() directly so payloads stay consistent. Events queue up
+// and flush every FLUSH_MS, at BATCH_SIZE, and when the page is hidden.
+// A sink is { name, send(events) }; events look like
+//   { event, props, ts, session, path }
+// Framework-free apart from the IntersectionObserver/sendBeacon browser APIs.
+
+const BATCH_SIZE = 20;
+const FLUSH_MS = 5000;
+const SESSION_KEY = "fairway:session";
+
+// event -> required props (checked in development only)
+export const EVENTS = {
+  search_submitted: ["query", "results"],
+  facet_toggled: ["facet", "value", "selected"],
+  range_changed: ["range"],
+  sort_changed: ["sort"],
+  page_changed: ["page", "page_size"],
+  card_viewed: ["slug", "list"],
+  cta_clicked: ["slug", "cta"],
+  video_progress: ["slug", "quartile"],
+};
+
+let config = { sinks: [], batchSize: BATCH_SIZE, flushMs: FLUSH_MS };
+let queue = [];
+let timer = null;
+
+function sessionId() {
+  try {
+    let id = window.sessionStorage.getItem(SESSION_KEY);
+    if (!id) {
+      id = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+      window.sessionStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+  } catch {
+    return "anonymous";
+  }
+}
+
+export function configureAnalytics(options) {
+  config = { ...config, ...options };
+}
+
+export function flush() {
+  clearTimeout(timer);
+  timer = null;
+  if (!queue.length) return;
+  const batch = queue;
+  queue = [];
+  for (const sink of config.sinks) {
+    try {
+      sink.send(batch);
+    } catch (e) {
+      console.warn(`Analytics sink "${sink.name}" failed:`, e);
+    }
+  }
+}
+
+export function track(event, props = {}) {
+  if (process.env.NODE_ENV !== "production") {
+    const required = EVENTS[event];
+    if (!required) console.warn(`Unknown analytics event "${event}"`);
+    else {
+      const missing = required.filter((k) => props[k] === undefined);
+      if (missing.length)
+        console.warn(`Analytics "${event}" missing ${missing.join(", ")}`);
+    }
+  }
+  if (!config.sinks.length) return;
+  queue.push({
+    event,
+    props,
+    ts: new Date().toISOString(),
+    session: sessionId(),
+    path: window.location.pathname + window.location.search,
+  });
+  if (queue.length >= config.batchSize) flush();
+  else if (!timer) timer = setTimeout(flush, config.flushMs);
+}
+
+// Typed helpers, one per event
+export const analytics = {
+  searchSubmitted: (query, results) =>
+    track("search_submitted", { query, results, zero: results === 0 }),
+  facetToggled: (facet, value, selected, via = "rail") =>
+    track("facet_toggled", { facet, value, selected, via }),
+  // range: "time" (min/max minutes) or "released" (from/to days, preset)
+  rangeChanged: (range, min, max, preset) =>
+    track("range_changed", { range, min, max, preset }),
+  sortChanged: (sort) => track("sort_changed", { sort }),
+  pageChanged: (page, pageSize) =>
+    track("page_changed", { page, page_size: pageSize }),
+  cardViewed: (item, list, position) =>
+    track("card_viewed", { slug: item.slug, list, position }),
+  ctaClicked: (item, cta) =>
+    track("cta_clicked", { slug: item.slug, cta, type: item.content_type }),
+  videoProgress: (item, quartile) =>
+    track("video_progress", { slug: item.slug, quartile }),
+};
+
+// Last chance to send before the tab goes away
+if (typeof window !== "undefined") {
+  window.addEventListener("pagehide", () => flush());
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+}
+
+/* ---------- Card impressions ---------- */
+
+const VIEW_THRESHOLD = 0.5; // half the card on screen
+const seen = new Set(); // "list:slug" — one impression per page load
+const watched = new Map(); // element -> () => void
+let observer = null;
+
+// Reports the card once when it's half visible; returns the cleanup
+export function observeCardView(el, item, list, position) {
+  const key = `${list}:${item.slug}`;
+  if (!el || seen.has(key) || typeof IntersectionObserver === "undefined")
+    return () => {};
+  if (!observer) {
+    observer = new IntersectionObserver(
+      (entries) => {
+        for (const e of entries) {
+          if (!e.isIntersecting) continue;
+          const report = watched.get(e.target);
+          if (report) report();
+        }
+      },
+      { threshold: VIEW_THRESHOLD }
+    );
+  }
+  const stop = () => {
+    watched.delete(el);
+    observer.unobserve(el);
+  };
+  watched.set(el, () => {
+    stop();
+    if (seen.has(key)) return;
+    seen.add(key);
+    analytics.cardViewed(item, list, position);
+  });
+  observer.observe(el);
+  return stop;
+}
+
+/* ---------- Video quartiles ---------- */
+
+// Returns a timeupdate handler that reports 25/50/75/100% once each
+export function quartileTracker(item) {
+  const reported = new Set();
+  return (e) => {
+    const { currentTime, duration } = e.currentTarget;
+    if (!duration || !Number.isFinite(duration)) return;
+    const pct = (currentTime / duration) * 100;
+    for (const q of [25, 50, 75, 100]) {
+      // "ended" can land a hair short of the full duration
+      if (pct >= (q === 100 ? 99 : q) && !reported.has(q)) {
+        reported.add(q);
+        analytics.videoProgress(item, q);
+      }
+    }
+  };
+}
+
+/* ---------- Sinks ---------- */
+
+export function consoleSink() {
+  return {
+    name: "console",
+    send: (events) => console.info("[analytics]", events),
+  };
+}
+
+// Rolling buffer, handy for inspecting events or a later upload
+export function localStorageSink({
+  key = "fairway:analytics:v1",
+  max = 500,
+} = {}) {
+  return {
+    name: "localStorage",
+    send(events) {
+      try {
+        const buf = JSON.parse(window.localStorage.getItem(key)) || [];
+        window.localStorage.setItem(
+          key,
+          JSON.stringify(buf.concat(events).slice(-max))
+        );
+      } catch {
+        // storage full/disabled: drop the batch
+      }
+    },
+  };
+}
+
+// POSTs each batch as JSON; sendBeacon survives page unloads
+export function beaconSink(url) {
+  return {
+    name: "beacon",
+    send(events) {
+      const body = JSON.stringify({ events });
+      const sent =
+        navigator.sendBeacon &&
+        navigator.sendBeacon(
+          url,
+          new Blob([body], { type: "application/json" })
+        );
+      if (!sent) {
+        fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body,
+          keepalive: true,
+        }).catch((e) => console.warn("Analytics beacon failed:", e));
+      }
+    },
+  };
+}
@@ -0,0 +1,78 @@
+// catalogueCache.js — last good index.json persisted in localStorage
+// Stale-while-revalidate: render the cached copy immediately, then fetch
+// with cache: "no-cache" (the browser revalidates with If-None-Match /
+// If-Modified-Since) and compare validators to decide whether it changed.
+// Validators need `Access-Control-Expose-Headers: ETag, Last-Modified` on a
+// cross-origin bucket; without them we fall back to comparing the body.
+
+const KEY_PREFIX = "fairway:catalogue:";
+const VERSION = 1; // bump when the stored shape changes
+
+const keyFor = (url) => `${KEY_PREFIX}${VERSION}:${url}`;
+
+// { json, etag, lastModified, body, savedAt, checkedAt } or null
+export function readCache(url) {
+  try {
+    const raw = window.localStorage.getItem(keyFor(url));
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    return entry && entry.json ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeCache(url, entry) {
+  try {
+    window.localStorage.setItem(keyFor(url), JSON.stringify(entry));
+    return true;
+  } catch (e) {
+    // Quota exceeded or storage disabled: run uncached rather than fail
+    console.warn("Catalogue cache not saved:", e);
+    return false;
+  }
+}
+
+// Cheap content fingerprint for when validators aren't exposed (FNV-1a)
+function fingerprint(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16) + ":" + text.length;
+}
+
+// Resolves { changed: false, entry } when the server copy matches `cached`,
+// otherwise { changed: true, entry } with the fresh JSON. Rejects on network
+// or HTTP errors so the caller can keep showing the cached copy.
+export async function fetchCatalogue(url, cached) {
+  const r = await fetch(url, { mode: "cors", cache: "no-cache" });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  const etag = r.headers.get("ETag");
+  const lastModified = r.headers.get("Last-Modified");
+  const text = await r.text();
+  const body = fingerprint(text);
+  const now = Date.now();
+
+  if (cached) {
+    const same =
+      etag && cached.etag
+        ? etag === cached.etag
+        : lastModified && cached.lastModified
+        ? lastModified === cached.lastModified
+        : body === cached.body;
+    if (same) return { changed: false, entry: { ...cached, checkedAt: now } };
+  }
+  return {
+    changed: true,
+    entry: {
+      json: JSON.parse(text),
+      etag,
+      lastModified,
+      body,
+      savedAt: now,
+      checkedAt: now,
+    },
+  };
+}
@@ -0,0 +1,178 @@
+// catalogueIO.js — index.json / CSV round-tripping and diffs for the editor
+// Works on raw feed rows (the documented item shape, before schema.js), so
+// an export carries exactly what content ops typed. CSV has one row per item:
+// list fields are "; "-separated, nested fields (chapters, versions, …) are
+// JSON in their cell, and any column not listed below is kept as-is.
+
+import { csvCell } from "./utils";
+
+const LIST_FIELDS = ["industries", "personas", "topics", "tags"];
+const NUMBER_FIELDS = ["version", "duration_sec", "read_time_min", "words"];
+const CSV_COLUMNS = [
+  "id",
+  "slug",
+  "title",
+  "summary",
+  "content_type",
+  "funnel_stage",
+  "release_date",
+  "version",
+  "status",
+  "publish_at",
+  "expires_at",
+  "file_url",
+  "cover_url",
+  "duration_sec",
+  "read_time_min",
+  "words",
+  ...LIST_FIELDS,
+  "gated",
+  "language",
+  "language_group",
+];
+
+// Item rows of a feed (array or { items }), or null when it has none
+export const itemsOf = (json) =>
+  Array.isArray(json)
+    ? json
+    : json && Array.isArray(json.items)
+    ? json.items
+    : null;
+
+// Serialized feed in the published file's own shape (wrapper keys kept)
+export function toFeed(items, published) {
+  const feed =
+    published && !Array.isArray(published) ? { ...published, items } : items;
+  return JSON.stringify(feed, null, 2) + "\n";
+}
+
+// Identity across edits: slugs may be renamed, ids are not
+export const keyOf = (p) => String(p.id ?? p.slug);
+
+/* ---------- CSV ---------- */
+
+export function toCsv(items) {
+  const extra = new Set();
+  for (const p of items)
+    for (const k of Object.keys(p)) if (!CSV_COLUMNS.includes(k)) extra.add(k);
+  const cols = [...CSV_COLUMNS, ...extra];
+  const cell = (v) =>
+    v != null && typeof v === "object" && !Array.isArray(v)
+      ? csvCell(JSON.stringify(v))
+      : Array.isArray(v) && v.some((x) => typeof x === "object")
+      ? csvCell(JSON.stringify(v))
+      : csvCell(v);
+  return [
+    cols.join(","),
+    ...items.map((p) => cols.map((k) => cell(p[k])).join(",")),
+  ].join("\r\n");
+}
+
+// RFC 4180 records: quoted fields may hold commas, quotes and newlines
+function parseRecords(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+function fromCell(key, raw) {
+  const v = raw.trim();
+  if (!v) return undefined;
+  if (LIST_FIELDS.includes(key))
+    return v
+      .split(";")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  if (NUMBER_FIELDS.includes(key) && Number.isFinite(Number(v)))
+    return Number(v);
+  if (key === "id" && /^\d+$/.test(v)) return Number(v); // feeds use numeric ids
+  if (key === "gated") return ["true", "yes", "1"].includes(v.toLowerCase());
+  if (/^[[{]/.test(v)) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      // not JSON after all: keep the text
+    }
+  }
+  return v;
+}
+
+// Items from CSV text; throws when there is no header row
+export function fromCsv(text) {
+  const [header, ...rows] = parseRecords(text.replace(/^\uFEFF/, ""));
+  if (!header) throw new Error("The CSV file is empty.");
+  const cols = header.map((h) => h.trim());
+  if (!cols.includes("title"))
+    throw new Error("The CSV needs a header row with at least a title column.");
+  return rows.map((r) => {
+    const p = {};
+    cols.forEach((k, i) => {
+      const v = fromCell(k, r[i] || "");
+      if (k && v !== undefined) p[k] = v;
+    });
+    return p;
+  });
+}
+
+/* ---------- Diff & versioning ---------- */
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Fields whose values differ, ignoring key order at the top level
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys]
+    .filter((k) => !same(before[k], after[k]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+}
+
+// { added, removed, changed: [{ key, item, fields }] } between two row lists
+export function diffCatalogues(before, after) {
+  const old = new Map(before.map((p) => [keyOf(p), p]));
+  const next = new Map(after.map((p) => [keyOf(p), p]));
+  const changed = [];
+  for (const [k, p] of next) {
+    if (!old.has(k)) continue;
+    const fields = changedFields(old.get(k), p);
+    if (fields.length) changed.push({ key: k, item: p, fields });
+  }
+  return {
+    added: after.filter((p) => !old.has(keyOf(p))),
+    removed: before.filter((p) => !next.has(keyOf(p))),
+    changed,
+  };
+}
+
+// An edited published item moves to the next version (once per publish);
+// a manual higher version is left alone
+export function bumpVersion(next, published) {
+  if (!published) return next;
+  const base = Number(published.version) || 1;
+  const { version: a, ...rest } = next;
+  const { version: b, ...was } = published;
+  if (!changedFields(was, rest).length) return next;
+  return (Number(a) || 1) > base ? next : { ...next, version: base + 1 };
+}
@@ -0,0 +1,118 @@
+import {
+  bumpVersion,
+  diffCatalogues,
+  fromCsv,
+  itemsOf,
+  toCsv,
+  toFeed,
+} from "./catalogueIO";
+
+const ITEMS = [
+  {
+    id: 1,
+    slug: "zero-trust",
+    title: 'Zero Trust, "Explained"',
+    summary: "Line one\nline two",
+    content_type: "whitepaper",
+    version: 2,
+    topics: ["Zero Trust", "Identity"],
+    gated: true,
+    chapters: [{ start_sec: 0, title: "Intro" }],
+  },
+  {
+    id: "ops-7",
+    slug: "ai-ops",
+    title: "AI Ops",
+    content_type: "video",
+    duration_sec: 95,
+    tags: ["Video"],
+    gated: false,
+    sponsor: "Acme",
+  },
+];
+
+describe("CSV", () => {
+  test("round-trips items through toCsv and fromCsv", () => {
+    expect(fromCsv(toCsv(ITEMS))).toEqual(ITEMS);
+  });
+
+  test("writes lists as semicolon cells and quotes commas and quotes", () => {
+    const [header, first] = toCsv(ITEMS).split("\r\n");
+    expect(header.startsWith("id,slug,title,summary,")).toBe(true);
+    expect(header.endsWith(",chapters,sponsor")).toBe(true);
+    expect(first).toContain('"Zero Trust, ""Explained"""');
+    expect(first).toContain(",Zero Trust; Identity,");
+  });
+
+  test("reads hand-written CSV", () => {
+    const csv =
+      "\uFEFFtitle,id,topics,gated,read_time_min,notes\n" +
+      'Primer,12,"Cloud; AI;",yes,7,{not json\n' +
+      ",,,,,\n";
+    expect(fromCsv(csv)).toEqual([
+      {
+        title: "Primer",
+        id: 12,
+        topics: ["Cloud", "AI"],
+        gated: true,
+        read_time_min: 7,
+        notes: "{not json",
+      },
+    ]);
+  });
+
+  test("needs a title column", () => {
+    expect(() => fromCsv("")).toThrow("empty");
+    expect(() => fromCsv("id,slug\n1,a")).toThrow("title column");
+  });
+});
+
+describe("feeds", () => {
+  test("reads items from an array or a wrapper", () => {
+    expect(itemsOf(ITEMS)).toBe(ITEMS);
+    expect(itemsOf({ items: ITEMS })).toBe(ITEMS);
+    expect(itemsOf({ data: [] })).toBeNull();
+  });
+
+  test("keeps the published wrapper keys", () => {
+    const feed = JSON.parse(toFeed([], { version: 3, items: ITEMS }));
+    expect(feed).toEqual({ version: 3, items: [] });
+    expect(JSON.parse(toFeed([], ITEMS))).toEqual([]);
+  });
+});
+
+describe("diffCatalogues", () => {
+  test("matches items by id across slug renames", () => {
+    const renamed = { ...ITEMS[0], slug: "zero-trust-primer" };
+    const added = { id: 3, slug: "new", title: "New" };
+    const diff = diffCatalogues(ITEMS, [renamed, added]);
+    expect(diff.added).toEqual([added]);
+    expect(diff.removed).toEqual([ITEMS[1]]);
+    expect(diff.changed).toEqual([
+      {
+        key: "1",
+        item: renamed,
+        fields: [
+          { field: "slug", before: "zero-trust", after: "zero-trust-primer" },
+        ],
+      },
+    ]);
+  });
+});
+
+describe("bumpVersion", () => {
+  const published = ITEMS[0];
+
+  test("moves an edited item to the next version once", () => {
+    const edited = { ...published, title: "Zero Trust" };
+    expect(bumpVersion(edited, published).version).toBe(3);
+    expect(bumpVersion({ ...edited, version: 3 }, published).version).toBe(3);
+  });
+
+  test("leaves unchanged, new and manually bumped items alone", () => {
+    expect(bumpVersion(published, published)).toBe(published);
+    expect(bumpVersion(published, undefined)).toBe(published);
+    const manual = { ...published, title: "New", version: 5 };
+    expect(bumpVersion(manual, published).version).toBe(5);
+  });
+});
@@ -0,0 +1,155 @@
+// collectionStore.js — saved collections (curated reading lists) in localStorage
+// A collection is { id, name, items: [{ slug, note }], createdAt, updatedAt };
+// items keep the curator's order. Also builds the share URL
+// (/shared?name=…&item=a&note=…&item=b&note=…) and the CSV/JSON exports.
+
+import { minutesOf } from "./contentTypes";
+import { itemPath } from "./router";
+import { csvCell } from "./utils";
+
+const KEY = "fairway:collections:v1";
+
+export function loadCollections() {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function save(list) {
+  try {
+    window.localStorage.setItem(KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn("Collections not saved:", e);
+  }
+  return list;
+}
+
+// Applies fn to one collection and stamps it; returns the new list
+function update(id, fn) {
+  return save(
+    loadCollections().map((c) =>
+      c.id === id ? { ...fn(c), updatedAt: Date.now() } : c
+    )
+  );
+}
+
+/* ---------- Operations (each returns the saved list) ---------- */
+
+export function createCollection(name, slugs = [], notes = {}) {
+  const now = Date.now();
+  const c = {
+    id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+    name: name.trim() || "Untitled collection",
+    items: slugs.map((slug) => ({ slug, note: notes[slug] || "" })),
+    createdAt: now,
+    updatedAt: now,
+  };
+  return save([...loadCollections(), c]);
+}
+
+export const renameCollection = (id, name) =>
+  update(id, (c) => ({ ...c, name: name.trim() || c.name }));
+
+export const deleteCollection = (id) =>
+  save(loadCollections().filter((c) => c.id !== id));
+
+export const addToCollection = (id, slug) =>
+  update(id, (c) =>
+    c.items.some((x) => x.slug === slug)
+      ? c
+      : { ...c, items: [...c.items, { slug, note: "" }] }
+  );
+
+export const removeFromCollection = (id, slug) =>
+  update(id, (c) => ({ ...c, items: c.items.filter((x) => x.slug !== slug) }));
+
+export function moveInCollection(id, from, to) {
+  return update(id, (c) => {
+    if (to < 0 || to >= c.items.length) return c;
+    const items = [...c.items];
+    const [moved] = items.splice(from, 1);
+    items.splice(to, 0, moved);
+    return { ...c, items };
+  });
+}
+
+export const setNote = (id, slug, note) =>
+  update(id, (c) => ({
+    ...c,
+    items: c.items.map((x) => (x.slug === slug ? { ...x, note } : x)),
+  }));
+
+/* ---------- Sharing ---------- */
+
+export function shareUrl(c) {
+  const sp = new URLSearchParams({ name: c.name });
+  for (const x of c.items) {
+    sp.append("item", x.slug);
+    sp.append("note", x.note || "");
+  }
+  return `${window.location.origin}/shared?${sp}`;
+}
+
+// { name, slugs, notes } from a /shared query string
+export function parseShared(search) {
+  const sp = new URLSearchParams(search || "");
+  const slugs = sp.getAll("item");
+  const noteList = sp.getAll("note");
+  const notes = {};
+  slugs.forEach((s, i) => {
+    if (noteList[i]) notes[s] = noteList[i];
+  });
+  return {
+    name: sp.get("name") || "Shared collection",
+    slugs: [...new Set(slugs.filter(Boolean))],
+    notes,
+  };
+}
+
+/* ---------- Export ---------- */
+
+// entries: [{ item, note }] in collection order (missing items skipped)
+function rows(entries) {
+  const origin = window.location.origin;
+  return entries.map(({ item: p, note }, i) => ({
+    position: i + 1,
+    title: p.title,
+    content_type: p.content_type,
+    summary: p.summary,
+    url: origin + itemPath(p.slug),
+    file_url: p.file_url,
+    topics: p.topics || [],
+    personas: p.personas || [],
+    industries: p.industries || [],
+    funnel_stage: p.funnel_stage || "",
+    release_date: p.release_date || "",
+    version: p.version,
+    minutes: minutesOf(p) || "",
+    note: note || "",
+  }));
+}
+
+export function toCsv(entries) {
+  const data = rows(entries);
+  if (!data.length) return "";
+  const cols = Object.keys(data[0]);
+  return [cols, ...data.map((r) => cols.map((k) => r[k]))]
+    .map((line) => line.map(csvCell).join(","))
+    .join("\r\n");
+}
+
+export function toJson(c, entries) {
+  return JSON.stringify(
+    {
+      name: c.name,
+      exported_at: new Date().toISOString(),
+      share_url: shareUrl(c),
+      items: rows(entries),
+    },
+    null,
+    2
+  );
+}
@@ -0,0 +1,95 @@
+// contentTypes.js — per-type presentation rules (labels, CTAs, time to consume)
+// Card and ItemDetail ask this module instead of branching on content_type,
+// so a new type is one entry here (plus its type.<name>.* strings in i18n.js).
+// Types not listed (schema.js passes unknown ones through as generic content)
+// get GENERIC.
+
+import { t } from "./i18n";
+import { WORDS_PER_MIN } from "./schema";
+import { opensInReader } from "./utils";
+
+const SECONDS_PER_SLIDE = 30;
+const IMAGE_EXT = /\.(png|jpe?g|webp|gif|svg|avif)([?#]|$)/i;
+
+// Stated read time wins; else estimate from words (default ~1200 words)
+const readMinutes = (p) =>
+  p.read_time_min || Math.round((p.words || 1200) / WORDS_PER_MIN);
+
+// minutes() may be fractional or null; minutesOf() rounds
+const GENERIC = {
+  minutes: (p) =>
+    p.read_time_min ||
+    (p.duration_sec ? p.duration_sec / 60 : null) ||
+    (p.words ? p.words / WORDS_PER_MIN : null),
+};
+
+const TYPES = {
+  whitepaper: {
+    minutes: readMinutes,
+  },
+  video: {
+    minutes: (p) => (p.duration_sec ? p.duration_sec / 60 : null),
+  },
+  slide: {
+    // ~30s per slide beats a word count for decks
+    minutes: (p) =>
+      p.read_time_min ||
+      (slideCount(p)
+        ? Math.max(1, Math.round((slideCount(p) * SECONDS_PER_SLIDE) / 60))
+        : readMinutes(p)),
+  },
+  infographic: {
+    // Mostly visual: a couple of minutes unless stated
+    minutes: (p) =>
+      p.read_time_min ||
+      (p.words ? Math.max(1, Math.round(p.words / WORDS_PER_MIN)) : 2),
+  },
+};
+
+// { label, cta, download } in the UI locale, plus the type's minutes()
+export function typeInfo(p) {
+  const key = TYPES[p.content_type] ? p.content_type : "generic";
+  return {
+    ...(TYPES[key] || GENERIC),
+    label: t(`type.${key}.label`),
+    cta: t(`type.${key}.cta`),
+    download: t(`type.${key}.download`),
+  };
+}
+
+// Time to consume in whole minutes (at least 1), the same scale for reading
+// and watching: the card meta line, the shortest/longest sorts and the time
+// range filter (ranges.js) all use it. null when there's nothing to go on.
+export function minutesOf(p) {
+  const min = (TYPES[p.content_type] || GENERIC).minutes(p);
+  return min ? Math.max(1, Math.round(min)) : null;
+}
+
+export function slideCount(p) {
+  return p.slide_count || (p.slides ? p.slides.length : 0);
+}
+
+// Full-size image for infographics: the file itself, else the cover
+export function imageOf(p) {
+  return IMAGE_EXT.test(p.file_url || "") ? p.file_url : p.cover_url;
+}
+
+// True when the primary CTA stays in-app (player, reader or lightbox)
+export function hasViewer(p) {
+  return (
+    p.content_type === "video" ||
+    opensInReader(p) ||
+    (p.content_type === "infographic" && !!imageOf(p))
+  );
+}
+
+// "12 min • 24 slides" style fragments for the meta line
+export function metaParts(p) {
+  const parts = [];
+  const min = minutesOf(p);
+  if (min) parts.push(t("meta.minutes", { n: min }));
+  const slides = slideCount(p);
+  if (p.content_type === "slide" && slides)
+    parts.push(t("meta.slides", { n: slides }));
+  return parts;
+}
@@ -0,0 +1,133 @@
+// embed.js — <fairway-library> custom element for partner and campaign sites
+// Renders App in embed mode inside a shadow root, so the library's styles and
+// the host page's can't reach each other. public/embed.js loads the bundle:
+//
+//   <script src="https://<library>/embed.js" async></script>
+//   <fairway-library
+//     filters="industries=Finance&topics=Zero+Trust&stage=Decision"
+//     locked="industries,topics,stage"
+//     page-size="6" layout="carousel" hero="off"></fairway-library>
+//
+// Attributes (all optional):
+//   source     index.json URL to show instead of the library's own sources
+//   filters    preset filters in the library's query syntax (urlState.js) —
+//              the query string of any filtered library page works
+//   locked     comma-separated facet keys (facets.js), or "time"/"released"
+//              for the range filters (ranges.js), to hide from the rail so
+//              visitors can't widen the preset
+//   page-size  cards per page (default 12)
+//   layout     grid | list | carousel (default grid)
+//   hero       "off" hides the banner
+// Changing an attribute re-renders the widget from its new settings.
+
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import App from "./App";
+import { I18nProvider } from "./I18nContext";
+import { LightboxHost } from "./Lightbox";
+import { FACETS } from "./facets";
+import { RANGE_KEYS } from "./ranges";
+import { DEFAULT_STATE, parseQuery } from "./urlState";
+
+const TAG = "fairway-library";
+const ATTRIBUTES = [
+  "source",
+  "filters",
+  "locked",
+  "page-size",
+  "layout",
+  "hero",
+];
+const LAYOUTS = ["grid", "list", "carousel"];
+
+// Inherited host-page styles (font, colour, line-height…) stop at the element
+const HOST_CSS =
+  ":host{all:initial;display:block}:host([hidden]){display:none}";
+
+function readConfig(el, root) {
+  const attr = (name) => (el.getAttribute(name) || "").trim();
+
+  const locked = attr("locked")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+  const unknown = locked.filter(
+    (k) => !FACETS.some((f) => f.key === k) && !RANGE_KEYS.includes(k)
+  );
+  if (unknown.length)
+    console.warn(`<${TAG}>: unknown locked facets ${unknown.join(", ")}`);
+
+  const layout = attr("layout") || "grid";
+  if (!LAYOUTS.includes(layout))
+    console.warn(`<${TAG}>: unknown layout "${layout}", using grid`);
+
+  const size = parseInt(attr("page-size"), 10);
+  const source = attr("source");
+  return {
+    root,
+    sources: source
+      ? [
+          {
+            id: "embed",
+            label: "Fairway Library",
+            url: new URL(source, document.baseURI).href,
+          },
+        ]
+      : null,
+    preset: parseQuery("?" + attr("filters").replace(/^\?/, "")),
+    locked: locked.filter((k) => !unknown.includes(k)),
+    pageSize: size > 0 ? size : DEFAULT_STATE.pageSize,
+    layout: LAYOUTS.includes(layout) ? layout : "grid",
+    hero: attr("hero") !== "off",
+  };
+}
+
+class FairwayLibrary extends HTMLElement {
+  static get observedAttributes() {
+    return ATTRIBUTES;
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      const shadow = this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = HOST_CSS;
+      // lang/dir go on the frame; lightboxes render beside the app, not in it
+      this.frame = document.createElement("div");
+      this.mountPoint = document.createElement("div");
+      this.portal = document.createElement("div");
+      this.frame.append(this.mountPoint, this.portal);
+      shadow.append(style, this.frame);
+    }
+    this.reactRoot = createRoot(this.mountPoint);
+    this.update();
+  }
+
+  disconnectedCallback() {
+    this.reactRoot.unmount();
+    this.reactRoot = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.reactRoot) this.update();
+  }
+
+  update() {
+    // Settings only seed App's state, so new settings mean a fresh instance
+    const key = ATTRIBUTES.map((a) => this.getAttribute(a)).join("\n");
+    this.reactRoot.render(
+      <StrictMode>
+        <I18nProvider root={this.frame}>
+          <LightboxHost.Provider value={this.portal}>
+            <App key={key} embed={readConfig(this, this.shadowRoot)} />
+          </LightboxHost.Provider>
+        </I18nProvider>
+      </StrictMode>
+    );
+  }
+}
+
+export function defineEmbed() {
+  if (window.customElements && !window.customElements.get(TAG))
+    window.customElements.define(TAG, FairwayLibrary);
+}
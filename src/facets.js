@@ -0,0 +1,98 @@
+// facets.js — facet definitions, matching and disjunctive counts
+// Each facet reads its values from an item via valuesOf. Multi-valued facets
+// (an item can carry several industries/topics/…) can match ANY or ALL of the
+// selected values; single-valued ones (type, year, stage) are always ANY.
+
+import { languageName } from "./i18n";
+import { computeYear } from "./utils";
+
+const list = (v) => (Array.isArray(v) ? v.filter(Boolean) : []);
+
+// Order here is the rail order. `key` is also the URL state key and, via
+// i18n.js ("facet.<key>"), the title. `format` turns a value into its label.
+export const FACETS = [
+  {
+    key: "type",
+    title: "Type",
+    valuesOf: (p) => [p.content_type || "content"],
+  },
+  {
+    key: "industries",
+    title: "Industries",
+    valuesOf: (p) => list(p.industries),
+    multi: true,
+  },
+  {
+    key: "personas",
+    title: "Personas",
+    valuesOf: (p) => list(p.personas),
+    multi: true,
+  },
+  {
+    key: "topics",
+    title: "Topics",
+    valuesOf: (p) => list(p.topics),
+    multi: true,
+  },
+  { key: "tags", title: "Tags", valuesOf: (p) => list(p.tags), multi: true },
+  {
+    key: "year",
+    title: "Year",
+    valuesOf: (p) => [computeYear(p.release_date)].filter(Boolean),
+  },
+  {
+    key: "stage",
+    title: "Funnel Stage",
+    valuesOf: (p) => (p.funnel_stage ? [p.funnel_stage] : []),
+  },
+  // An asset published by several sources lists all of them (federation.js)
+  {
+    key: "source",
+    title: "Source",
+    valuesOf: (p) => list(p.sources),
+  },
+  {
+    key: "language",
+    title: "Language",
+    valuesOf: (p) => [p.language || "en"],
+    format: (v) => languageName(v),
+  },
+];
+
+// andKeys: facet keys the user switched to "match all"
+export const facetMode = (def, andKeys) =>
+  def.multi && andKeys.includes(def.key) ? "and" : "or";
+
+export function matchesFacet(p, def, selected, mode) {
+  if (!selected || !selected.length) return true;
+  const values = def.valuesOf(p);
+  return mode === "and"
+    ? selected.every((v) => values.includes(v))
+    : selected.some((v) => values.includes(v));
+}
+
+// Counts per facet value over `universe` (items already narrowed by search).
+// OR facets are counted with every *other* facet applied but not their own,
+// so picking one Industry doesn't hide its siblings. AND facets include their
+// own selection: there a count answers "how many if I also require this".
+// Every value seen in `all` is listed, with 0 when nothing matches.
+export function facetCounts(all, universe, selections, andKeys) {
+  const counts = {};
+  for (const f of FACETS) {
+    const m = {};
+    for (const p of all) for (const v of f.valuesOf(p)) m[v] = 0;
+    counts[f.key] = m;
+  }
+  for (const p of universe) {
+    const failing = FACETS.filter(
+      (f) => !matchesFacet(p, f, selections[f.key], facetMode(f, andKeys))
+    );
+    if (failing.length > 1) continue;
+    for (const f of FACETS) {
+      const own = failing.length === 0 || failing[0] === f;
+      if (!own || (failing.length && facetMode(f, andKeys) === "and")) continue;
+      for (const v of f.valuesOf(p)) counts[f.key][v] += 1;
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,92 @@
+import { FACETS, facetCounts, facetMode, matchesFacet } from "./facets";
+
+const facet = (key) => FACETS.find((f) => f.key === key);
+
+const ITEMS = [
+  {
+    slug: "a",
+    content_type: "video",
+    industries: ["Finance", "Retail"],
+    release_date: "2023-05-01",
+  },
+  {
+    slug: "b",
+    content_type: "video",
+    industries: ["Finance"],
+    release_date: "2024-02-01",
+  },
+  {
+    slug: "c",
+    content_type: "whitepaper",
+    industries: ["Retail"],
+    release_date: "2024-03-01",
+  },
+  { slug: "d", content_type: "whitepaper", industries: ["Health"] },
+];
+
+describe("facetMode", () => {
+  test("only multi-valued facets can match all", () => {
+    expect(facetMode(facet("industries"), ["industries"])).toBe("and");
+    expect(facetMode(facet("industries"), [])).toBe("or");
+    expect(facetMode(facet("type"), ["type"])).toBe("or");
+  });
+});
+
+describe("matchesFacet", () => {
+  const industries = facet("industries");
+
+  test("matches everything when nothing is selected", () => {
+    expect(matchesFacet(ITEMS[3], industries, [], "or")).toBe(true);
+    expect(matchesFacet(ITEMS[3], industries, undefined, "and")).toBe(true);
+  });
+
+  test("or needs any selected value, and needs all of them", () => {
+    const picked = ["Finance", "Retail"];
+    expect(matchesFacet(ITEMS[1], industries, picked, "or")).toBe(true);
+    expect(matchesFacet(ITEMS[1], industries, picked, "and")).toBe(false);
+    expect(matchesFacet(ITEMS[0], industries, picked, "and")).toBe(true);
+  });
+
+  test("reads years from release dates and skips undated items", () => {
+    expect(facet("year").valuesOf(ITEMS[0])).toEqual(["2023"]);
+    expect(facet("year").valuesOf(ITEMS[3])).toEqual([]);
+  });
+});
+
+describe("facetCounts", () => {
+  test("lists every value with zero counts when nothing is selected", () => {
+    const counts = facetCounts(ITEMS, [], {}, []);
+    expect(counts.industries).toEqual({ Finance: 0, Retail: 0, Health: 0 });
+  });
+
+  test("an or facet ignores its own selection but not the others", () => {
+    const counts = facetCounts(ITEMS, ITEMS, { industries: ["Finance"] }, []);
+    // siblings stay visible with their full counts
+    expect(counts.industries).toEqual({ Finance: 2, Retail: 2, Health: 1 });
+    // other facets count only the Finance items
+    expect(counts.type).toEqual({ video: 2, whitepaper: 0 });
+  });
+
+  test("an and facet counts items that also have the value", () => {
+    const counts = facetCounts(ITEMS, ITEMS, { industries: ["Finance"] }, [
+      "industries",
+    ]);
+    expect(counts.industries).toEqual({ Finance: 2, Retail: 1, Health: 0 });
+  });
+
+  test("items failing two facets count nowhere", () => {
+    const counts = facetCounts(
+      ITEMS,
+      ITEMS,
+      { industries: ["Health"], type: ["video"] },
+      []
+    );
+    expect(counts.industries).toEqual({ Finance: 2, Retail: 1, Health: 0 });
+    expect(counts.type).toEqual({ video: 0, whitepaper: 1 });
+  });
+
+  test("counts only the search universe", () => {
+    const counts = facetCounts(ITEMS, ITEMS.slice(0, 2), {}, []);
+    expect(counts.industries).toEqual({ Finance: 2, Retail: 1, Health: 0 });
+  });
+});
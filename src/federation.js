@@ -0,0 +1,37 @@
+// federation.js — merge normalized items from several catalogue sources
+// The same asset published in two buckets shares a slug: the copy with the
+// highest `version` wins (ties go to the source listed first), and the item
+// remembers every source that carries it for the "Source" facet. Distinct
+// assets whose ids collide get the source id as a prefix.
+
+// sources: [{ id, label, url }] in priority order
+// feeds: { [source id]: { items } } — sources without items are skipped
+export function mergeSources(sources, feeds) {
+  const bySlug = new Map(); // slug -> { item, sources: [label] }
+  for (const src of sources) {
+    const feed = feeds[src.id];
+    if (!feed || !feed.items) continue;
+    for (const item of feed.items) {
+      const tagged = { ...item, source: src.label, source_id: src.id };
+      const prev = bySlug.get(item.slug);
+      if (!prev) {
+        bySlug.set(item.slug, { item: tagged, sources: [src.label] });
+        continue;
+      }
+      if (!prev.sources.includes(src.label)) prev.sources.push(src.label);
+      if ((item.version || 1) > (prev.item.version || 1)) prev.item = tagged;
+    }
+  }
+
+  const ids = new Set();
+  const out = [];
+  for (const { item, sources } of bySlug.values()) {
+    let id = item.id;
+    if (ids.has(String(id))) id = `${item.source_id}:${item.id}`;
+    for (let n = 2; ids.has(String(id)); n++)
+      id = `${item.source_id}:${item.id}-${n}`;
+    ids.add(String(id));
+    out.push({ ...item, id, sources });
+  }
+  return out;
+}
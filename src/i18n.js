@@ -0,0 +1,1591 @@
+// i18n.js — UI locale, message catalogs and locale-aware formatting
+// t("results", { n: 3 }) looks the key up in the active locale, then its base
+// language (pt-BR -> pt), then English, so a partial catalog is still usable.
+// A message can be a plural object ({ one, other, … }) picked with
+// Intl.PluralRules on vars.n; numeric vars are formatted for the locale.
+// Catalogue content is localized here too: an item may carry
+// localized: { es: { title, summary } } and/or share a language_group with
+// siblings published in other languages (see schema.js).
+
+export const LOCALES = [
+  { code: "en", label: "English" },
+  { code: "es", label: "Español" },
+  { code: "pt-BR", label: "Português (Brasil)" },
+  { code: "fr", label: "Français" },
+  { code: "de", label: "Deutsch" },
+  { code: "ar", label: "العربية", dir: "rtl" },
+];
+export const DEFAULT_LOCALE = "en";
+const KEY = "fairway:locale:v1";
+
+const MESSAGES = {
+  en: {
+    "hero.tagline": "See more. Know sooner. Decide faster.",
+    "locale.label": "Language",
+    "search.placeholder": "Search titles, summaries, topics, tags…",
+    "search.tip":
+      'Tip: "exact phrase", -exclude, persona:CISO, topic:"Zero Trust"',
+    "search.label": "Search the library",
+    "sort.label": "Sort",
+    "sort.relevance": "Relevance",
+    "sort.newest": "Newest",
+    "sort.updated": "Recently updated",
+    "sort.oldest": "Oldest",
+    "sort.shortest": "Shortest first",
+    "sort.longest": "Longest first",
+    "pageSize.label": "Page size",
+    "collections.link": "Collections ({n})",
+    results: { one: "{n} result", other: "{n} results" },
+    "dym.prefix": "Did you mean",
+    "dym.suffix": "?",
+    loading: "Loading…",
+    dismiss: "Dismiss",
+    "pager.prev": "Prev",
+    "pager.next": "Next",
+    "pager.status": "Page {page} of {pages}",
+    "facet.type": "Type",
+    "facet.industries": "Industries",
+    "facet.personas": "Personas",
+    "facet.topics": "Topics",
+    "facet.tags": "Tags",
+    "facet.year": "Year",
+    "facet.stage": "Funnel Stage",
+    "facet.source": "Source",
+    "facet.language": "Language",
+    "facet.any": "Any",
+    "facet.all": "All",
+    "range.time": "Time to consume",
+    "range.atLeast": "At least",
+    "range.atMost": "At most",
+    "range.any": "Any",
+    "range.released": "Released",
+    "range.from": "From",
+    "range.to": "To",
+    "range.clear": "Clear",
+    "range.preset.30d": "Last 30 days",
+    "range.preset.90d": "Last 90 days",
+    "range.preset.quarter": "This quarter",
+    "range.preset.year": "This year",
+    "facet.match": "{title} match",
+    undated: "Undated",
+    "type.whitepaper.label": "Whitepaper",
+    "type.whitepaper.cta": "Read whitepaper",
+    "type.whitepaper.download": "Download PDF",
+    "type.video.label": "Video",
+    "type.video.cta": "Watch video",
+    "type.video.download": "Open video file",
+    "type.slide.label": "Slide deck",
+    "type.slide.cta": "View slides",
+    "type.slide.download": "Download deck",
+    "type.infographic.label": "Infographic",
+    "type.infographic.cta": "View infographic",
+    "type.infographic.download": "Download image",
+    "type.generic.label": "Content",
+    "type.generic.cta": "Open",
+    "type.generic.download": "Open file",
+    "meta.minutes": "{n} min",
+    "meta.slides": { one: "{n} slide", other: "{n} slides" },
+    "card.details": "Details",
+    "card.related": "Related content ({n})",
+    "card.zoom": "View {title} full size",
+    "tag.gated": "Gated",
+    "badge.new": "New",
+    "badge.updated": "Updated v{v}",
+    "publish.showArchived": "Show archived",
+    "publish.archived": "Archived",
+    "publish.draft": "Draft",
+    "publish.scheduled": "Scheduled {date}",
+    "publish.expired": "Expired",
+    "preview.banner":
+      "Preview mode: drafts, scheduled and expired items are visible.",
+    "preview.exit": "Exit preview",
+    "detail.back": "← Back to library",
+    "detail.released": "Released {date}",
+    "detail.updated": "Updated {date}",
+    "detail.related": "Related content",
+    "detail.notFound": "Content not found",
+    "detail.notFoundBody":
+      "We couldn't find anything at “{slug}”. It may have been renamed or retired.",
+    "versions.title": "Version history",
+    "versions.edition": "Edition",
+    "versions.latest": "v{v} (latest)",
+    "versions.viewing": "You're viewing v{v} from {date}, an earlier edition.",
+    "versions.goLatest": "Go to the latest (v{v})",
+    "save.save": "☆ Save",
+    "save.saved": "★ Saved",
+    "save.title": "Save to collection",
+    "save.newName": "New collection…",
+    "save.add": "Add",
+    "searches.title": "Saved searches",
+    "searches.empty":
+      "Filter the library, then save it here to check back for new assets.",
+    "searches.save": "Save this search",
+    "searches.name": "Name this search…",
+    "searches.submit": "Save",
+    "searches.fresh": "{n} new",
+    "searches.needFilter": "Search or pick a filter first",
+    "recs.title": "Recommended for you",
+    "recs.iam": "I am a…",
+    "recs.anyRole": "Any role",
+    "recs.anyIndustry": "Any industry",
+    "recs.reset": "Reset",
+    "recs.empty":
+      "Pick your role or open a few assets and we'll suggest what to read next. Everything stays on this device.",
+    "hero.alt": "Rolling golf fairway at sunrise",
+    "notice.updated": "Catalogue updated — new content from {source}.",
+    "warn.offline": "you're offline",
+    "warn.down": "the server is unreachable",
+    "warn.sample":
+      "The content library can't be loaded ({why}) and nothing is saved on this device yet — showing sample content only.",
+    "warn.stale":
+      "{source}: {why} — showing the copy saved {date}. It may be out of date.",
+    "warn.missing":
+      "{source}: {why} — its content is missing from the library.",
+    "loading.editor": "Loading editor…",
+    "loading.reader": "Loading reader…",
+    "nav.back": "← Back",
+    "zoom.in": "Zoom in",
+    "zoom.out": "Zoom out",
+    "zoom.reset": "Reset",
+    "zoom.full": "Full size",
+    "lightbox.close": "Close",
+    "slides.label": "{title} slides",
+    "slides.alt": "Slide {i} of {n}",
+    "slides.prev": "Previous slide",
+    "slides.next": "Next slide",
+    "slides.enlarge": "Enlarge",
+    "slides.enlarged": "{title}, slide {i}",
+    "reader.pageN": "Page {n}",
+    "reader.page": "Page",
+    "reader.of": "of {n}",
+    "reader.fit": "Fit width",
+    "reader.download": "Download",
+    "reader.search.placeholder": "Find in document…",
+    "reader.search.label": "Find in document",
+    "reader.searching": "Searching…",
+    "reader.find": "Find",
+    "reader.found": "{matches} on {pages}",
+    "reader.matches": { one: "{n} match", other: "{n} matches" },
+    "reader.pages": { one: "{n} page", other: "{n} pages" },
+    "reader.noMatches": "No matches",
+    "reader.resumed": "Resumed at page {n}, where you left off.",
+    "reader.restart": "Start from the beginning",
+    "reader.failed": "This document couldn't be opened in the reader. {link}.",
+    "reader.openDirect": "Open the PDF directly",
+    "reader.thumbs": "Pages",
+    "reader.loading": "Loading document…",
+    "reader.results": "Search results",
+    "reader.hitPage": "p. {n}",
+    "player.ccOn": "CC on",
+    "player.ccOff": "CC off",
+    "player.resumed": "Resumed at {time}, where you left off.",
+    "player.restart": "Start over",
+    "player.captions": "Captions",
+    "player.chapters": "Chapters",
+    "player.transcript": "Transcript",
+    "player.search.placeholder": "Search transcript…",
+    "player.search.label": "Search transcript",
+    "player.matches": { one: "{n} matching line", other: "{n} matching lines" },
+    "gate.title": "Get instant access",
+    "gate.intro":
+      "Tell us a little about yourself to unlock this and every other gated asset.",
+    "gate.name": "Name",
+    "gate.email": "Work email",
+    "gate.company": "Company",
+    "gate.role": "Role",
+    "gate.other": "Other",
+    "gate.failed": "We couldn't submit the form. Please try again.",
+    "gate.sending": "Sending…",
+    "gate.submit": "Unlock content",
+    "gate.privacy": "See our {link}.",
+    "gate.privacyLink": "privacy policy",
+    "lead.name": "Please enter your name.",
+    "lead.email": "Please enter a valid email address.",
+    "lead.workEmail": "Please use your work email address.",
+    "lead.company": "Please enter your company.",
+    "coll.title": "Collections",
+    "coll.yours": "Your collections",
+    "coll.newLabel": "New collection name",
+    "coll.create": "Create",
+    "coll.none": "No collections yet. Use “☆ Save” on any asset to start one.",
+    "coll.name": "Collection name",
+    "coll.copy": "Copy share link",
+    "coll.copied": "Link copied",
+    "coll.copyPrompt": "Copy this link:",
+    "coll.print": "Print one-pager",
+    "coll.csv": "Export CSV",
+    "coll.json": "Export JSON",
+    "coll.delete": "Delete",
+    "coll.confirmDelete": "Delete “{name}”?",
+    "coll.empty": "Empty so far. Use “☆ Save” on any asset to add it here.",
+    "coll.gone": "“{slug}” is no longer in the library",
+    "coll.up": "Move up",
+    "coll.down": "Move down",
+    "coll.remove": "Remove from collection",
+    "coll.note.placeholder": "Add a note for this prospect…",
+    "coll.note.label": "Note",
+    "coll.found": { one: "{found} of {n} item", other: "{found} of {n} items" },
+    "coll.saveCopy": "Save a copy",
+    "suggest.label": "Search suggestions",
+    "suggest.facet": "{facet}: {value}",
+    "suggest.type": "Type",
+    "suggest.industries": "Industry",
+    "suggest.personas": "Persona",
+    "suggest.topics": "Topic",
+    "suggest.tags": "Tag",
+    "suggest.stage": "Stage",
+    "suggest.source": "Source",
+    "searches.freshSince": "New or updated since {date}",
+    "searches.delete": "Delete saved search {name}",
+    "searches.nameLabel": "Saved search name",
+    "recs.role": "Your role",
+    "recs.industry": "Your industry",
+    "recs.resetTitle": "Forget what this device has learned",
+    "recs.because": "Because you viewed “{title}”",
+    "recs.byRole": "Matches your role ({persona})",
+    "recs.byIndustry": "Matches your industry ({industry})",
+    "recs.byInterest": "Matches your interest in {interest}",
+    "recs.nextStep": "{reason} · next step: {stage}",
+  },
+  es: {
+    "hero.tagline": "Vea más. Sepa antes. Decida más rápido.",
+    "locale.label": "Idioma",
+    "search.placeholder": "Buscar títulos, resúmenes, temas, etiquetas…",
+    "search.tip":
+      'Consejo: "frase exacta", -excluir, persona:CISO, topic:"Zero Trust"',
+    "search.label": "Buscar en la biblioteca",
+    "sort.label": "Ordenar",
+    "sort.relevance": "Relevancia",
+    "sort.newest": "Más recientes",
+    "sort.updated": "Actualizados recientemente",
+    "sort.oldest": "Más antiguos",
+    "sort.shortest": "Más cortos primero",
+    "sort.longest": "Más largos primero",
+    "pageSize.label": "Por página",
+    "collections.link": "Colecciones ({n})",
+    results: { one: "{n} resultado", other: "{n} resultados" },
+    "dym.prefix": "¿Quiso decir",
+    "dym.suffix": "?",
+    loading: "Cargando…",
+    dismiss: "Cerrar",
+    "pager.prev": "Anterior",
+    "pager.next": "Siguiente",
+    "pager.status": "Página {page} de {pages}",
+    "facet.type": "Tipo",
+    "facet.industries": "Sectores",
+    "facet.personas": "Perfiles",
+    "facet.topics": "Temas",
+    "facet.tags": "Etiquetas",
+    "facet.year": "Año",
+    "facet.stage": "Etapa del embudo",
+    "facet.source": "Fuente",
+    "facet.language": "Idioma",
+    "facet.any": "Cualquiera",
+    "facet.all": "Todos",
+    "range.time": "Duración",
+    "range.atLeast": "Al menos",
+    "range.atMost": "Como máximo",
+    "range.any": "Cualquiera",
+    "range.released": "Publicado",
+    "range.from": "Desde",
+    "range.to": "Hasta",
+    "range.clear": "Borrar",
+    "range.preset.30d": "Últimos 30 días",
+    "range.preset.90d": "Últimos 90 días",
+    "range.preset.quarter": "Este trimestre",
+    "range.preset.year": "Este año",
+    "facet.match": "Coincidencia de {title}",
+    undated: "Sin fecha",
+    "type.whitepaper.label": "Informe técnico",
+    "type.whitepaper.cta": "Leer informe",
+    "type.whitepaper.download": "Descargar PDF",
+    "type.video.label": "Vídeo",
+    "type.video.cta": "Ver vídeo",
+    "type.video.download": "Abrir archivo de vídeo",
+    "type.slide.label": "Presentación",
+    "type.slide.cta": "Ver diapositivas",
+    "type.slide.download": "Descargar presentación",
+    "type.infographic.label": "Infografía",
+    "type.infographic.cta": "Ver infografía",
+    "type.infographic.download": "Descargar imagen",
+    "type.generic.label": "Contenido",
+    "type.generic.cta": "Abrir",
+    "type.generic.download": "Abrir archivo",
+    "meta.minutes": "{n} min",
+    "meta.slides": { one: "{n} diapositiva", other: "{n} diapositivas" },
+    "card.details": "Detalles",
+    "card.related": "Contenido relacionado ({n})",
+    "card.zoom": "Ver {title} a tamaño completo",
+    "tag.gated": "Restringido",
+    "badge.new": "Nuevo",
+    "badge.updated": "Actualizado v{v}",
+    "publish.showArchived": "Mostrar archivados",
+    "publish.archived": "Archivado",
+    "publish.draft": "Borrador",
+    "publish.scheduled": "Programado {date}",
+    "publish.expired": "Caducado",
+    "preview.banner":
+      "Modo de vista previa: se ven borradores y contenido programado o caducado.",
+    "preview.exit": "Salir de la vista previa",
+    "detail.back": "← Volver a la biblioteca",
+    "detail.released": "Publicado el {date}",
+    "detail.updated": "Actualizado el {date}",
+    "detail.related": "Contenido relacionado",
+    "detail.notFound": "Contenido no encontrado",
+    "detail.notFoundBody":
+      "No encontramos nada en “{slug}”. Puede que se haya renombrado o retirado.",
+    "versions.title": "Historial de versiones",
+    "versions.edition": "Edición",
+    "versions.latest": "v{v} (actual)",
+    "versions.viewing": "Está viendo la v{v} del {date}, una edición anterior.",
+    "versions.goLatest": "Ir a la versión actual (v{v})",
+    "save.save": "☆ Guardar",
+    "save.saved": "★ Guardado",
+    "save.title": "Guardar en colección",
+    "save.newName": "Nueva colección…",
+    "save.add": "Añadir",
+    "searches.title": "Búsquedas guardadas",
+    "searches.empty":
+      "Filtre la biblioteca y guárdela aquí para ver después los recursos nuevos.",
+    "searches.save": "Guardar esta búsqueda",
+    "searches.name": "Nombre de la búsqueda…",
+    "searches.submit": "Guardar",
+    "searches.fresh": { one: "{n} nuevo", other: "{n} nuevos" },
+    "searches.needFilter": "Primero busque o elija un filtro",
+    "recs.title": "Recomendado para usted",
+    "recs.iam": "Soy…",
+    "recs.anyRole": "Cualquier perfil",
+    "recs.anyIndustry": "Cualquier sector",
+    "recs.reset": "Restablecer",
+    "recs.empty":
+      "Elija su perfil o abra algunos recursos y le sugeriremos qué leer a continuación. Todo se queda en este dispositivo.",
+    "hero.alt": "Calle de golf ondulada al amanecer",
+    "notice.updated": "Catálogo actualizado: hay contenido nuevo de {source}.",
+    "warn.offline": "no hay conexión",
+    "warn.down": "no se puede acceder al servidor",
+    "warn.sample":
+      "No se puede cargar la biblioteca de contenidos ({why}) y aún no hay nada guardado en este dispositivo: solo se muestra contenido de ejemplo.",
+    "warn.stale":
+      "{source}: {why}. Se muestra la copia guardada el {date}; puede estar desactualizada.",
+    "warn.missing":
+      "{source}: {why}. Su contenido no aparece en la biblioteca.",
+    "loading.editor": "Cargando el editor…",
+    "loading.reader": "Cargando el lector…",
+    "nav.back": "← Volver",
+    "zoom.in": "Acercar",
+    "zoom.out": "Alejar",
+    "zoom.reset": "Restablecer",
+    "zoom.full": "Tamaño completo",
+    "lightbox.close": "Cerrar",
+    "slides.label": "Diapositivas de {title}",
+    "slides.alt": "Diapositiva {i} de {n}",
+    "slides.prev": "Diapositiva anterior",
+    "slides.next": "Diapositiva siguiente",
+    "slides.enlarge": "Ampliar",
+    "slides.enlarged": "{title}, diapositiva {i}",
+    "reader.pageN": "Página {n}",
+    "reader.page": "Página",
+    "reader.of": "de {n}",
+    "reader.fit": "Ajustar al ancho",
+    "reader.download": "Descargar",
+    "reader.search.placeholder": "Buscar en el documento…",
+    "reader.search.label": "Buscar en el documento",
+    "reader.searching": "Buscando…",
+    "reader.find": "Buscar",
+    "reader.found": "{matches} en {pages}",
+    "reader.matches": { one: "{n} coincidencia", other: "{n} coincidencias" },
+    "reader.pages": { one: "{n} página", other: "{n} páginas" },
+    "reader.noMatches": "Sin coincidencias",
+    "reader.resumed": "Retomado en la página {n}, donde lo dejó.",
+    "reader.restart": "Empezar desde el principio",
+    "reader.failed": "No se pudo abrir este documento en el lector. {link}.",
+    "reader.openDirect": "Abra el PDF directamente",
+    "reader.thumbs": "Páginas",
+    "reader.loading": "Cargando el documento…",
+    "reader.results": "Resultados de la búsqueda",
+    "reader.hitPage": "p. {n}",
+    "player.ccOn": "Subtítulos: sí",
+    "player.ccOff": "Subtítulos: no",
+    "player.resumed": "Retomado en {time}, donde lo dejó.",
+    "player.restart": "Volver a empezar",
+    "player.captions": "Subtítulos",
+    "player.chapters": "Capítulos",
+    "player.transcript": "Transcripción",
+    "player.search.placeholder": "Buscar en la transcripción…",
+    "player.search.label": "Buscar en la transcripción",
+    "player.matches": {
+      one: "{n} línea coincidente",
+      other: "{n} líneas coincidentes",
+    },
+    "gate.title": "Obtenga acceso inmediato",
+    "gate.intro":
+      "Cuéntenos un poco sobre usted para desbloquear este y todos los demás recursos restringidos.",
+    "gate.name": "Nombre",
+    "gate.email": "Correo de trabajo",
+    "gate.company": "Empresa",
+    "gate.role": "Perfil",
+    "gate.other": "Otro",
+    "gate.failed": "No pudimos enviar el formulario. Inténtelo de nuevo.",
+    "gate.sending": "Enviando…",
+    "gate.submit": "Desbloquear contenido",
+    "gate.privacy": "Consulte nuestra {link}.",
+    "gate.privacyLink": "política de privacidad",
+    "lead.name": "Introduzca su nombre.",
+    "lead.email": "Introduzca una dirección de correo válida.",
+    "lead.workEmail": "Use su dirección de correo de trabajo.",
+    "lead.company": "Introduzca su empresa.",
+    "coll.title": "Colecciones",
+    "coll.yours": "Sus colecciones",
+    "coll.newLabel": "Nombre de la nueva colección",
+    "coll.create": "Crear",
+    "coll.none":
+      "Aún no hay colecciones. Use «☆ Guardar» en cualquier recurso para empezar una.",
+    "coll.name": "Nombre de la colección",
+    "coll.copy": "Copiar enlace para compartir",
+    "coll.copied": "Enlace copiado",
+    "coll.copyPrompt": "Copia este enlace:",
+    "coll.print": "Imprimir resumen",
+    "coll.csv": "Exportar CSV",
+    "coll.json": "Exportar JSON",
+    "coll.delete": "Eliminar",
+    "coll.confirmDelete": "¿Eliminar «{name}»?",
+    "coll.empty":
+      "Vacía por ahora. Use «☆ Guardar» en cualquier recurso para añadirlo aquí.",
+    "coll.gone": "«{slug}» ya no está en la biblioteca",
+    "coll.up": "Subir",
+    "coll.down": "Bajar",
+    "coll.remove": "Quitar de la colección",
+    "coll.note.placeholder": "Añada una nota para este cliente potencial…",
+    "coll.note.label": "Nota",
+    "coll.found": {
+      one: "{found} de {n} elemento",
+      other: "{found} de {n} elementos",
+    },
+    "coll.saveCopy": "Guardar una copia",
+    "suggest.label": "Sugerencias de búsqueda",
+    "suggest.facet": "{facet}: {value}",
+    "suggest.type": "Tipo",
+    "suggest.industries": "Sector",
+    "suggest.personas": "Perfil",
+    "suggest.topics": "Tema",
+    "suggest.tags": "Etiqueta",
+    "suggest.stage": "Etapa",
+    "suggest.source": "Fuente",
+    "searches.freshSince": "Nuevo o actualizado desde {date}",
+    "searches.delete": "Eliminar la búsqueda guardada {name}",
+    "searches.nameLabel": "Nombre de la búsqueda guardada",
+    "recs.role": "Su perfil",
+    "recs.industry": "Su sector",
+    "recs.resetTitle": "Olvidar lo que este dispositivo ha aprendido",
+    "recs.because": "Porque vio «{title}»",
+    "recs.byRole": "Coincide con su perfil ({persona})",
+    "recs.byIndustry": "Coincide con su sector ({industry})",
+    "recs.byInterest": "Coincide con su interés en {interest}",
+    "recs.nextStep": "{reason} · siguiente paso: {stage}",
+  },
+  pt: {
+    "hero.tagline": "Veja mais. Saiba antes. Decida mais rápido.",
+    "locale.label": "Idioma",
+    "search.placeholder": "Pesquisar títulos, resumos, tópicos, tags…",
+    "search.tip":
+      'Dica: "frase exata", -excluir, persona:CISO, topic:"Zero Trust"',
+    "search.label": "Pesquisar na biblioteca",
+    "sort.label": "Ordenar",
+    "sort.relevance": "Relevância",
+    "sort.newest": "Mais recentes",
+    "sort.updated": "Atualizados recentemente",
+    "sort.oldest": "Mais antigos",
+    "sort.shortest": "Mais curtos primeiro",
+    "sort.longest": "Mais longos primeiro",
+    "pageSize.label": "Por página",
+    "collections.link": "Coleções ({n})",
+    results: { one: "{n} resultado", other: "{n} resultados" },
+    "dym.prefix": "Você quis dizer",
+    "dym.suffix": "?",
+    loading: "Carregando…",
+    dismiss: "Fechar",
+    "pager.prev": "Anterior",
+    "pager.next": "Próxima",
+    "pager.status": "Página {page} de {pages}",
+    "facet.type": "Tipo",
+    "facet.industries": "Setores",
+    "facet.personas": "Perfis",
+    "facet.topics": "Tópicos",
+    "facet.tags": "Tags",
+    "facet.year": "Ano",
+    "facet.stage": "Etapa do funil",
+    "facet.source": "Fonte",
+    "facet.language": "Idioma",
+    "facet.any": "Qualquer",
+    "facet.all": "Todos",
+    "range.time": "Duração",
+    "range.atLeast": "Pelo menos",
+    "range.atMost": "No máximo",
+    "range.any": "Qualquer",
+    "range.released": "Publicado",
+    "range.from": "De",
+    "range.to": "Até",
+    "range.clear": "Limpar",
+    "range.preset.30d": "Últimos 30 dias",
+    "range.preset.90d": "Últimos 90 dias",
+    "range.preset.quarter": "Este trimestre",
+    "range.preset.year": "Este ano",
+    "facet.match": "Correspondência de {title}",
+    undated: "Sem data",
+    "type.whitepaper.label": "Whitepaper",
+    "type.whitepaper.cta": "Ler whitepaper",
+    "type.whitepaper.download": "Baixar PDF",
+    "type.video.label": "Vídeo",
+    "type.video.cta": "Assistir ao vídeo",
+    "type.video.download": "Abrir arquivo de vídeo",
+    "type.slide.label": "Apresentação",
+    "type.slide.cta": "Ver slides",
+    "type.slide.download": "Baixar apresentação",
+    "type.infographic.label": "Infográfico",
+    "type.infographic.cta": "Ver infográfico",
+    "type.infographic.download": "Baixar imagem",
+    "type.generic.label": "Conteúdo",
+    "type.generic.cta": "Abrir",
+    "type.generic.download": "Abrir arquivo",
+    "meta.minutes": "{n} min",
+    "meta.slides": { one: "{n} slide", other: "{n} slides" },
+    "card.details": "Detalhes",
+    "card.related": "Conteúdo relacionado ({n})",
+    "card.zoom": "Ver {title} em tamanho original",
+    "tag.gated": "Restrito",
+    "badge.new": "Novo",
+    "badge.updated": "Atualizado v{v}",
+    "publish.showArchived": "Mostrar arquivados",
+    "publish.archived": "Arquivado",
+    "publish.draft": "Rascunho",
+    "publish.scheduled": "Agendado {date}",
+    "publish.expired": "Expirado",
+    "preview.banner":
+      "Modo de pré-visualização: rascunhos e itens agendados ou expirados estão visíveis.",
+    "preview.exit": "Sair da pré-visualização",
+    "detail.back": "← Voltar à biblioteca",
+    "detail.released": "Publicado em {date}",
+    "detail.updated": "Atualizado em {date}",
+    "detail.related": "Conteúdo relacionado",
+    "detail.notFound": "Conteúdo não encontrado",
+    "detail.notFoundBody":
+      "Não encontramos nada em “{slug}”. O conteúdo pode ter sido renomeado ou retirado.",
+    "versions.title": "Histórico de versões",
+    "versions.edition": "Edição",
+    "versions.latest": "v{v} (atual)",
+    "versions.viewing":
+      "Você está vendo a v{v} de {date}, uma edição anterior.",
+    "versions.goLatest": "Ir para a versão atual (v{v})",
+    "save.save": "☆ Salvar",
+    "save.saved": "★ Salvo",
+    "save.title": "Salvar na coleção",
+    "save.newName": "Nova coleção…",
+    "save.add": "Adicionar",
+    "searches.title": "Pesquisas salvas",
+    "searches.empty":
+      "Filtre a biblioteca e salve a pesquisa aqui para conferir depois os materiais novos.",
+    "searches.save": "Salvar esta pesquisa",
+    "searches.name": "Dê um nome a esta pesquisa…",
+    "searches.submit": "Salvar",
+    "searches.fresh": { one: "{n} novo", other: "{n} novos" },
+    "searches.needFilter": "Pesquise ou escolha um filtro primeiro",
+    "recs.title": "Recomendado para você",
+    "recs.iam": "Eu sou…",
+    "recs.anyRole": "Qualquer perfil",
+    "recs.anyIndustry": "Qualquer setor",
+    "recs.reset": "Redefinir",
+    "recs.empty":
+      "Escolha seu perfil ou abra alguns materiais e sugeriremos o que ler em seguida. Tudo fica neste dispositivo.",
+    "hero.alt": "Fairway de golfe ondulado ao nascer do sol",
+    "notice.updated": "Catálogo atualizado: há conteúdo novo de {source}.",
+    "warn.offline": "você está offline",
+    "warn.down": "o servidor está inacessível",
+    "warn.sample":
+      "Não foi possível carregar a biblioteca de conteúdo ({why}) e ainda não há nada salvo neste dispositivo — exibindo apenas conteúdo de exemplo.",
+    "warn.stale":
+      "{source}: {why} — exibindo a cópia salva em {date}. Ela pode estar desatualizada.",
+    "warn.missing":
+      "{source}: {why} — o conteúdo desta fonte não está na biblioteca.",
+    "loading.editor": "Carregando o editor…",
+    "loading.reader": "Carregando o leitor…",
+    "nav.back": "← Voltar",
+    "zoom.in": "Ampliar",
+    "zoom.out": "Reduzir",
+    "zoom.reset": "Redefinir",
+    "zoom.full": "Tamanho original",
+    "lightbox.close": "Fechar",
+    "slides.label": "Slides de {title}",
+    "slides.alt": "Slide {i} de {n}",
+    "slides.prev": "Slide anterior",
+    "slides.next": "Próximo slide",
+    "slides.enlarge": "Ampliar",
+    "slides.enlarged": "{title}, slide {i}",
+    "reader.pageN": "Página {n}",
+    "reader.page": "Página",
+    "reader.of": "de {n}",
+    "reader.fit": "Ajustar à largura",
+    "reader.download": "Baixar",
+    "reader.search.placeholder": "Localizar no documento…",
+    "reader.search.label": "Localizar no documento",
+    "reader.searching": "Pesquisando…",
+    "reader.find": "Localizar",
+    "reader.found": "{matches} em {pages}",
+    "reader.matches": { one: "{n} ocorrência", other: "{n} ocorrências" },
+    "reader.pages": { one: "{n} página", other: "{n} páginas" },
+    "reader.noMatches": "Nenhuma ocorrência",
+    "reader.resumed": "Retomado na página {n}, onde você parou.",
+    "reader.restart": "Começar do início",
+    "reader.failed": "Não foi possível abrir este documento no leitor. {link}.",
+    "reader.openDirect": "Abra o PDF diretamente",
+    "reader.thumbs": "Páginas",
+    "reader.loading": "Carregando o documento…",
+    "reader.results": "Resultados da pesquisa",
+    "reader.hitPage": "p. {n}",
+    "player.ccOn": "Legendas: sim",
+    "player.ccOff": "Legendas: não",
+    "player.resumed": "Retomado em {time}, onde você parou.",
+    "player.restart": "Recomeçar",
+    "player.captions": "Legendas",
+    "player.chapters": "Capítulos",
+    "player.transcript": "Transcrição",
+    "player.search.placeholder": "Pesquisar na transcrição…",
+    "player.search.label": "Pesquisar na transcrição",
+    "player.matches": {
+      one: "{n} linha encontrada",
+      other: "{n} linhas encontradas",
+    },
+    "gate.title": "Tenha acesso imediato",
+    "gate.intro":
+      "Conte um pouco sobre você para desbloquear este e todos os outros materiais restritos.",
+    "gate.name": "Nome",
+    "gate.email": "E-mail corporativo",
+    "gate.company": "Empresa",
+    "gate.role": "Perfil",
+    "gate.other": "Outro",
+    "gate.failed": "Não foi possível enviar o formulário. Tente novamente.",
+    "gate.sending": "Enviando…",
+    "gate.submit": "Desbloquear conteúdo",
+    "gate.privacy": "Veja nossa {link}.",
+    "gate.privacyLink": "política de privacidade",
+    "lead.name": "Informe seu nome.",
+    "lead.email": "Informe um endereço de e-mail válido.",
+    "lead.workEmail": "Use seu e-mail corporativo.",
+    "lead.company": "Informe sua empresa.",
+    "coll.title": "Coleções",
+    "coll.yours": "Suas coleções",
+    "coll.newLabel": "Nome da nova coleção",
+    "coll.create": "Criar",
+    "coll.none":
+      "Nenhuma coleção ainda. Use “☆ Salvar” em qualquer material para começar uma.",
+    "coll.name": "Nome da coleção",
+    "coll.copy": "Copiar link de compartilhamento",
+    "coll.copied": "Link copiado",
+    "coll.copyPrompt": "Copie este link:",
+    "coll.print": "Imprimir resumo",
+    "coll.csv": "Exportar CSV",
+    "coll.json": "Exportar JSON",
+    "coll.delete": "Excluir",
+    "coll.confirmDelete": "Excluir “{name}”?",
+    "coll.empty":
+      "Vazia por enquanto. Use “☆ Salvar” em qualquer material para adicioná-lo aqui.",
+    "coll.gone": "“{slug}” não está mais na biblioteca",
+    "coll.up": "Mover para cima",
+    "coll.down": "Mover para baixo",
+    "coll.remove": "Remover da coleção",
+    "coll.note.placeholder": "Adicione uma nota para este cliente potencial…",
+    "coll.note.label": "Nota",
+    "coll.found": { one: "{found} de {n} item", other: "{found} de {n} itens" },
+    "coll.saveCopy": "Salvar uma cópia",
+    "suggest.label": "Sugestões de pesquisa",
+    "suggest.facet": "{facet}: {value}",
+    "suggest.type": "Tipo",
+    "suggest.industries": "Setor",
+    "suggest.personas": "Perfil",
+    "suggest.topics": "Tópico",
+    "suggest.tags": "Tag",
+    "suggest.stage": "Etapa",
+    "suggest.source": "Fonte",
+    "searches.freshSince": "Novo ou atualizado desde {date}",
+    "searches.delete": "Excluir a pesquisa salva {name}",
+    "searches.nameLabel": "Nome da pesquisa salva",
+    "recs.role": "Seu perfil",
+    "recs.industry": "Seu setor",
+    "recs.resetTitle": "Esquecer o que este dispositivo aprendeu",
+    "recs.because": "Porque você viu “{title}”",
+    "recs.byRole": "Combina com seu perfil ({persona})",
+    "recs.byIndustry": "Combina com seu setor ({industry})",
+    "recs.byInterest": "Combina com seu interesse em {interest}",
+    "recs.nextStep": "{reason} · próximo passo: {stage}",
+  },
+  fr: {
+    "hero.tagline": "Voir plus. Savoir plus tôt. Décider plus vite.",
+    "locale.label": "Langue",
+    "search.placeholder": "Rechercher titres, résumés, thèmes, tags…",
+    "search.tip":
+      'Astuce : "expression exacte", -exclure, persona:CISO, topic:"Zero Trust"',
+    "search.label": "Rechercher dans la bibliothèque",
+    "sort.label": "Trier",
+    "sort.relevance": "Pertinence",
+    "sort.newest": "Plus récents",
+    "sort.updated": "Mis à jour récemment",
+    "sort.oldest": "Plus anciens",
+    "sort.shortest": "Plus courts d’abord",
+    "sort.longest": "Plus longs d’abord",
+    "pageSize.label": "Par page",
+    "collections.link": "Collections ({n})",
+    results: { one: "{n} résultat", other: "{n} résultats" },
+    "dym.prefix": "Vouliez-vous dire",
+    "dym.suffix": " ?",
+    loading: "Chargement…",
+    dismiss: "Fermer",
+    "pager.prev": "Précédent",
+    "pager.next": "Suivant",
+    "pager.status": "Page {page} sur {pages}",
+    "facet.type": "Type",
+    "facet.industries": "Secteurs",
+    "facet.personas": "Profils",
+    "facet.topics": "Thèmes",
+    "facet.tags": "Tags",
+    "facet.year": "Année",
+    "facet.stage": "Étape du funnel",
+    "facet.source": "Source",
+    "facet.language": "Langue",
+    "facet.any": "Au moins un",
+    "facet.all": "Tous",
+    "range.time": "Durée",
+    "range.atLeast": "Au moins",
+    "range.atMost": "Au plus",
+    "range.any": "Toutes",
+    "range.released": "Publié",
+    "range.from": "Du",
+    "range.to": "Au",
+    "range.clear": "Effacer",
+    "range.preset.30d": "30 derniers jours",
+    "range.preset.90d": "90 derniers jours",
+    "range.preset.quarter": "Ce trimestre",
+    "range.preset.year": "Cette année",
+    "facet.match": "Correspondance {title}",
+    undated: "Non daté",
+    "type.whitepaper.label": "Livre blanc",
+    "type.whitepaper.cta": "Lire le livre blanc",
+    "type.whitepaper.download": "Télécharger le PDF",
+    "type.video.label": "Vidéo",
+    "type.video.cta": "Regarder la vidéo",
+    "type.video.download": "Ouvrir le fichier vidéo",
+    "type.slide.label": "Présentation",
+    "type.slide.cta": "Voir les diapositives",
+    "type.slide.download": "Télécharger la présentation",
+    "type.infographic.label": "Infographie",
+    "type.infographic.cta": "Voir l'infographie",
+    "type.infographic.download": "Télécharger l’image",
+    "type.generic.label": "Contenu",
+    "type.generic.cta": "Ouvrir",
+    "type.generic.download": "Ouvrir le fichier",
+    "meta.minutes": "{n} min",
+    "meta.slides": { one: "{n} diapositive", other: "{n} diapositives" },
+    "card.details": "Détails",
+    "card.related": "Contenus associés ({n})",
+    "card.zoom": "Afficher {title} en taille réelle",
+    "tag.gated": "Accès réservé",
+    "badge.new": "Nouveau",
+    "badge.updated": "Mis à jour v{v}",
+    "publish.showArchived": "Afficher les archives",
+    "publish.archived": "Archivé",
+    "publish.draft": "Brouillon",
+    "publish.scheduled": "Programmé {date}",
+    "publish.expired": "Expiré",
+    "preview.banner":
+      "Mode aperçu : brouillons, contenus programmés et expirés visibles.",
+    "preview.exit": "Quitter l’aperçu",
+    "detail.back": "← Retour à la bibliothèque",
+    "detail.released": "Publié le {date}",
+    "detail.updated": "Mis à jour le {date}",
+    "detail.related": "Contenus associés",
+    "detail.notFound": "Contenu introuvable",
+    "detail.notFoundBody":
+      "Nous n’avons rien trouvé à l’adresse « {slug} ». Le contenu a peut-être été renommé ou retiré.",
+    "versions.title": "Historique des versions",
+    "versions.edition": "Édition",
+    "versions.latest": "v{v} (actuelle)",
+    "versions.viewing":
+      "Vous consultez la v{v} du {date}, une édition antérieure.",
+    "versions.goLatest": "Aller à la dernière version (v{v})",
+    "save.save": "☆ Enregistrer",
+    "save.saved": "★ Enregistré",
+    "save.title": "Enregistrer dans une collection",
+    "save.newName": "Nouvelle collection…",
+    "save.add": "Ajouter",
+    "searches.title": "Recherches enregistrées",
+    "searches.empty":
+      "Filtrez la bibliothèque, puis enregistrez la recherche ici pour retrouver ensuite les nouveaux contenus.",
+    "searches.save": "Enregistrer cette recherche",
+    "searches.name": "Nommez cette recherche…",
+    "searches.submit": "Enregistrer",
+    "searches.fresh": { one: "{n} nouveau", other: "{n} nouveaux" },
+    "searches.needFilter":
+      "Lancez une recherche ou choisissez d’abord un filtre",
+    "recs.title": "Recommandé pour vous",
+    "recs.iam": "Je suis…",
+    "recs.anyRole": "Tous les profils",
+    "recs.anyIndustry": "Tous les secteurs",
+    "recs.reset": "Réinitialiser",
+    "recs.empty":
+      "Choisissez votre profil ou ouvrez quelques contenus et nous vous suggérerons quoi lire ensuite. Tout reste sur cet appareil.",
+    "hero.alt": "Fairway de golf vallonné au lever du soleil",
+    "notice.updated": "Catalogue mis à jour : nouveaux contenus de {source}.",
+    "warn.offline": "vous êtes hors ligne",
+    "warn.down": "le serveur est injoignable",
+    "warn.sample":
+      "Impossible de charger la bibliothèque de contenus ({why}) et rien n’est encore enregistré sur cet appareil : seuls des contenus d’exemple sont affichés.",
+    "warn.stale":
+      "{source} : {why}. Affichage de la copie enregistrée le {date}, qui n’est peut-être plus à jour.",
+    "warn.missing":
+      "{source} : {why}. Ses contenus sont absents de la bibliothèque.",
+    "loading.editor": "Chargement de l’éditeur…",
+    "loading.reader": "Chargement de la liseuse…",
+    "nav.back": "← Retour",
+    "zoom.in": "Zoom avant",
+    "zoom.out": "Zoom arrière",
+    "zoom.reset": "Réinitialiser",
+    "zoom.full": "Taille réelle",
+    "lightbox.close": "Fermer",
+    "slides.label": "Diapositives : {title}",
+    "slides.alt": "Diapositive {i} sur {n}",
+    "slides.prev": "Diapositive précédente",
+    "slides.next": "Diapositive suivante",
+    "slides.enlarge": "Agrandir",
+    "slides.enlarged": "{title}, diapositive {i}",
+    "reader.pageN": "Page {n}",
+    "reader.page": "Page",
+    "reader.of": "sur {n}",
+    "reader.fit": "Ajuster à la largeur",
+    "reader.download": "Télécharger",
+    "reader.search.placeholder": "Rechercher dans le document…",
+    "reader.search.label": "Rechercher dans le document",
+    "reader.searching": "Recherche…",
+    "reader.find": "Rechercher",
+    "reader.found": "{matches} sur {pages}",
+    "reader.matches": { one: "{n} résultat", other: "{n} résultats" },
+    "reader.pages": { one: "{n} page", other: "{n} pages" },
+    "reader.noMatches": "Aucun résultat",
+    "reader.resumed": "Reprise à la page {n}, là où vous vous étiez arrêté.",
+    "reader.restart": "Reprendre au début",
+    "reader.failed":
+      "Ce document n’a pas pu être ouvert dans la liseuse. {link}.",
+    "reader.openDirect": "Ouvrir directement le PDF",
+    "reader.thumbs": "Pages",
+    "reader.loading": "Chargement du document…",
+    "reader.results": "Résultats de la recherche",
+    "reader.hitPage": "p. {n}",
+    "player.ccOn": "Sous-titres activés",
+    "player.ccOff": "Sous-titres désactivés",
+    "player.resumed": "Reprise à {time}, là où vous vous étiez arrêté.",
+    "player.restart": "Recommencer",
+    "player.captions": "Sous-titres",
+    "player.chapters": "Chapitres",
+    "player.transcript": "Transcription",
+    "player.search.placeholder": "Rechercher dans la transcription…",
+    "player.search.label": "Rechercher dans la transcription",
+    "player.matches": {
+      one: "{n} ligne correspondante",
+      other: "{n} lignes correspondantes",
+    },
+    "gate.title": "Accédez-y immédiatement",
+    "gate.intro":
+      "Parlez-nous un peu de vous pour débloquer ce contenu et tous les autres contenus réservés.",
+    "gate.name": "Nom",
+    "gate.email": "E-mail professionnel",
+    "gate.company": "Entreprise",
+    "gate.role": "Profil",
+    "gate.other": "Autre",
+    "gate.failed": "Le formulaire n’a pas pu être envoyé. Veuillez réessayer.",
+    "gate.sending": "Envoi…",
+    "gate.submit": "Débloquer le contenu",
+    "gate.privacy": "Consultez notre {link}.",
+    "gate.privacyLink": "politique de confidentialité",
+    "lead.name": "Veuillez saisir votre nom.",
+    "lead.email": "Veuillez saisir une adresse e-mail valide.",
+    "lead.workEmail": "Veuillez utiliser votre adresse e-mail professionnelle.",
+    "lead.company": "Veuillez saisir votre entreprise.",
+    "coll.title": "Collections",
+    "coll.yours": "Vos collections",
+    "coll.newLabel": "Nom de la nouvelle collection",
+    "coll.create": "Créer",
+    "coll.none":
+      "Aucune collection pour l’instant. Utilisez « ☆ Enregistrer » sur un contenu pour en commencer une.",
+    "coll.name": "Nom de la collection",
+    "coll.copy": "Copier le lien de partage",
+    "coll.copied": "Lien copié",
+    "coll.copyPrompt": "Copiez ce lien :",
+    "coll.print": "Imprimer la synthèse",
+    "coll.csv": "Exporter en CSV",
+    "coll.json": "Exporter en JSON",
+    "coll.delete": "Supprimer",
+    "coll.confirmDelete": "Supprimer « {name} » ?",
+    "coll.empty":
+      "Vide pour l’instant. Utilisez « ☆ Enregistrer » sur un contenu pour l’ajouter ici.",
+    "coll.gone": "« {slug} » n’est plus dans la bibliothèque",
+    "coll.up": "Monter",
+    "coll.down": "Descendre",
+    "coll.remove": "Retirer de la collection",
+    "coll.note.placeholder": "Ajoutez une note pour ce prospect…",
+    "coll.note.label": "Note",
+    "coll.found": {
+      one: "{found} sur {n} élément",
+      other: "{found} sur {n} éléments",
+    },
+    "coll.saveCopy": "Enregistrer une copie",
+    "suggest.label": "Suggestions de recherche",
+    "suggest.facet": "{facet} : {value}",
+    "suggest.type": "Type",
+    "suggest.industries": "Secteur",
+    "suggest.personas": "Profil",
+    "suggest.topics": "Thème",
+    "suggest.tags": "Tag",
+    "suggest.stage": "Étape",
+    "suggest.source": "Source",
+    "searches.freshSince": "Nouveau ou mis à jour depuis le {date}",
+    "searches.delete": "Supprimer la recherche enregistrée {name}",
+    "searches.nameLabel": "Nom de la recherche enregistrée",
+    "recs.role": "Votre profil",
+    "recs.industry": "Votre secteur",
+    "recs.resetTitle": "Oublier ce que cet appareil a appris",
+    "recs.because": "Parce que vous avez consulté « {title} »",
+    "recs.byRole": "Correspond à votre profil ({persona})",
+    "recs.byIndustry": "Correspond à votre secteur ({industry})",
+    "recs.byInterest": "Correspond à votre intérêt pour {interest}",
+    "recs.nextStep": "{reason} · étape suivante : {stage}",
+  },
+  de: {
+    "hero.tagline": "Mehr sehen. Früher wissen. Schneller entscheiden.",
+    "locale.label": "Sprache",
+    "search.placeholder": "Titel, Zusammenfassungen, Themen, Tags durchsuchen…",
+    "search.tip":
+      'Tipp: "exakte Phrase", -ausschließen, persona:CISO, topic:"Zero Trust"',
+    "search.label": "Bibliothek durchsuchen",
+    "sort.label": "Sortieren",
+    "sort.relevance": "Relevanz",
+    "sort.newest": "Neueste",
+    "sort.updated": "Zuletzt aktualisiert",
+    "sort.oldest": "Älteste",
+    "sort.shortest": "Kürzeste zuerst",
+    "sort.longest": "Längste zuerst",
+    "pageSize.label": "Pro Seite",
+    "collections.link": "Sammlungen ({n})",
+    results: { one: "{n} Ergebnis", other: "{n} Ergebnisse" },
+    "dym.prefix": "Meinten Sie",
+    "dym.suffix": "?",
+    loading: "Wird geladen…",
+    dismiss: "Schließen",
+    "pager.prev": "Zurück",
+    "pager.next": "Weiter",
+    "pager.status": "Seite {page} von {pages}",
+    "facet.type": "Typ",
+    "facet.industries": "Branchen",
+    "facet.personas": "Rollen",
+    "facet.topics": "Themen",
+    "facet.tags": "Tags",
+    "facet.year": "Jahr",
+    "facet.stage": "Funnel-Phase",
+    "facet.source": "Quelle",
+    "facet.language": "Sprache",
+    "facet.any": "Beliebig",
+    "facet.all": "Alle",
+    "range.time": "Zeitaufwand",
+    "range.atLeast": "Mindestens",
+    "range.atMost": "Höchstens",
+    "range.any": "Beliebig",
+    "range.released": "Veröffentlicht",
+    "range.from": "Von",
+    "range.to": "Bis",
+    "range.clear": "Zurücksetzen",
+    "range.preset.30d": "Letzte 30 Tage",
+    "range.preset.90d": "Letzte 90 Tage",
+    "range.preset.quarter": "Dieses Quartal",
+    "range.preset.year": "Dieses Jahr",
+    "facet.match": "{title}-Abgleich",
+    undated: "Ohne Datum",
+    "type.whitepaper.label": "Whitepaper",
+    "type.whitepaper.cta": "Whitepaper lesen",
+    "type.whitepaper.download": "PDF herunterladen",
+    "type.video.label": "Video",
+    "type.video.cta": "Video ansehen",
+    "type.video.download": "Videodatei öffnen",
+    "type.slide.label": "Foliensatz",
+    "type.slide.cta": "Folien ansehen",
+    "type.slide.download": "Foliensatz herunterladen",
+    "type.infographic.label": "Infografik",
+    "type.infographic.cta": "Infografik ansehen",
+    "type.infographic.download": "Bild herunterladen",
+    "type.generic.label": "Inhalt",
+    "type.generic.cta": "Öffnen",
+    "type.generic.download": "Datei öffnen",
+    "meta.minutes": "{n} Min.",
+    "meta.slides": { one: "{n} Folie", other: "{n} Folien" },
+    "card.details": "Details",
+    "card.related": "Ähnliche Inhalte ({n})",
+    "card.zoom": "{title} in Originalgröße ansehen",
+    "tag.gated": "Zugangsgeschützt",
+    "badge.new": "Neu",
+    "badge.updated": "Aktualisiert v{v}",
+    "publish.showArchived": "Archivierte anzeigen",
+    "publish.archived": "Archiviert",
+    "publish.draft": "Entwurf",
+    "publish.scheduled": "Geplant {date}",
+    "publish.expired": "Abgelaufen",
+    "preview.banner":
+      "Vorschaumodus: Entwürfe, geplante und abgelaufene Inhalte sind sichtbar.",
+    "preview.exit": "Vorschau beenden",
+    "detail.back": "← Zurück zur Bibliothek",
+    "detail.released": "Veröffentlicht am {date}",
+    "detail.updated": "Aktualisiert am {date}",
+    "detail.related": "Ähnliche Inhalte",
+    "detail.notFound": "Inhalt nicht gefunden",
+    "detail.notFoundBody":
+      "Unter „{slug}“ haben wir nichts gefunden. Der Inhalt wurde möglicherweise umbenannt oder entfernt.",
+    "versions.title": "Versionsverlauf",
+    "versions.edition": "Ausgabe",
+    "versions.latest": "v{v} (aktuell)",
+    "versions.viewing": "Sie sehen v{v} vom {date}, eine frühere Ausgabe.",
+    "versions.goLatest": "Zur aktuellen Version (v{v})",
+    "save.save": "☆ Merken",
+    "save.saved": "★ Gemerkt",
+    "save.title": "In Sammlung merken",
+    "save.newName": "Neue Sammlung…",
+    "save.add": "Hinzufügen",
+    "searches.title": "Gespeicherte Suchen",
+    "searches.empty":
+      "Filtern Sie die Bibliothek und speichern Sie die Suche hier, um später nach neuen Inhalten zu sehen.",
+    "searches.save": "Diese Suche speichern",
+    "searches.name": "Diese Suche benennen…",
+    "searches.submit": "Speichern",
+    "searches.fresh": "{n} neu",
+    "searches.needFilter": "Suchen Sie zuerst oder wählen Sie einen Filter",
+    "recs.title": "Für Sie empfohlen",
+    "recs.iam": "Ich bin…",
+    "recs.anyRole": "Alle Rollen",
+    "recs.anyIndustry": "Alle Branchen",
+    "recs.reset": "Zurücksetzen",
+    "recs.empty":
+      "Wählen Sie Ihre Rolle oder öffnen Sie einige Inhalte, dann schlagen wir vor, was Sie als Nächstes lesen können. Alles bleibt auf diesem Gerät.",
+    "hero.alt": "Hügeliges Golf-Fairway bei Sonnenaufgang",
+    "notice.updated": "Katalog aktualisiert – neue Inhalte von {source}.",
+    "warn.offline": "Sie sind offline",
+    "warn.down": "der Server ist nicht erreichbar",
+    "warn.sample":
+      "Die Inhaltsbibliothek kann nicht geladen werden ({why}) und auf diesem Gerät ist noch nichts gespeichert – es werden nur Beispielinhalte angezeigt.",
+    "warn.stale":
+      "{source}: {why} – angezeigt wird die am {date} gespeicherte Kopie. Sie ist möglicherweise veraltet.",
+    "warn.missing": "{source}: {why} – ihre Inhalte fehlen in der Bibliothek.",
+    "loading.editor": "Editor wird geladen…",
+    "loading.reader": "Reader wird geladen…",
+    "nav.back": "← Zurück",
+    "zoom.in": "Vergrößern",
+    "zoom.out": "Verkleinern",
+    "zoom.reset": "Zurücksetzen",
+    "zoom.full": "Originalgröße",
+    "lightbox.close": "Schließen",
+    "slides.label": "Folien: {title}",
+    "slides.alt": "Folie {i} von {n}",
+    "slides.prev": "Vorherige Folie",
+    "slides.next": "Nächste Folie",
+    "slides.enlarge": "Vergrößern",
+    "slides.enlarged": "{title}, Folie {i}",
+    "reader.pageN": "Seite {n}",
+    "reader.page": "Seite",
+    "reader.of": "von {n}",
+    "reader.fit": "An Breite anpassen",
+    "reader.download": "Herunterladen",
+    "reader.search.placeholder": "Im Dokument suchen…",
+    "reader.search.label": "Im Dokument suchen",
+    "reader.searching": "Suche läuft…",
+    "reader.find": "Suchen",
+    "reader.found": "{matches} auf {pages}",
+    "reader.matches": { one: "{n} Treffer", other: "{n} Treffer" },
+    "reader.pages": { one: "{n} Seite", other: "{n} Seiten" },
+    "reader.noMatches": "Keine Treffer",
+    "reader.resumed": "Fortgesetzt auf Seite {n}, wo Sie aufgehört haben.",
+    "reader.restart": "Von vorn beginnen",
+    "reader.failed":
+      "Dieses Dokument konnte im Reader nicht geöffnet werden. {link}.",
+    "reader.openDirect": "PDF direkt öffnen",
+    "reader.thumbs": "Seiten",
+    "reader.loading": "Dokument wird geladen…",
+    "reader.results": "Suchergebnisse",
+    "reader.hitPage": "S. {n}",
+    "player.ccOn": "Untertitel an",
+    "player.ccOff": "Untertitel aus",
+    "player.resumed": "Fortgesetzt bei {time}, wo Sie aufgehört haben.",
+    "player.restart": "Von vorn",
+    "player.captions": "Untertitel",
+    "player.chapters": "Kapitel",
+    "player.transcript": "Transkript",
+    "player.search.placeholder": "Transkript durchsuchen…",
+    "player.search.label": "Transkript durchsuchen",
+    "player.matches": {
+      one: "{n} passende Zeile",
+      other: "{n} passende Zeilen",
+    },
+    "gate.title": "Sofort Zugriff erhalten",
+    "gate.intro":
+      "Erzählen Sie uns kurz etwas über sich, um diesen und alle anderen geschützten Inhalte freizuschalten.",
+    "gate.name": "Name",
+    "gate.email": "Geschäftliche E-Mail",
+    "gate.company": "Unternehmen",
+    "gate.role": "Rolle",
+    "gate.other": "Andere",
+    "gate.failed":
+      "Das Formular konnte nicht gesendet werden. Bitte versuchen Sie es erneut.",
+    "gate.sending": "Wird gesendet…",
+    "gate.submit": "Inhalt freischalten",
+    "gate.privacy": "Siehe unsere {link}.",
+    "gate.privacyLink": "Datenschutzerklärung",
+    "lead.name": "Bitte geben Sie Ihren Namen ein.",
+    "lead.email": "Bitte geben Sie eine gültige E-Mail-Adresse ein.",
+    "lead.workEmail": "Bitte verwenden Sie Ihre geschäftliche E-Mail-Adresse.",
+    "lead.company": "Bitte geben Sie Ihr Unternehmen ein.",
+    "coll.title": "Sammlungen",
+    "coll.yours": "Ihre Sammlungen",
+    "coll.newLabel": "Name der neuen Sammlung",
+    "coll.create": "Anlegen",
+    "coll.none":
+      "Noch keine Sammlungen. Mit „☆ Merken“ bei einem Inhalt legen Sie eine an.",
+    "coll.name": "Name der Sammlung",
+    "coll.copy": "Link zum Teilen kopieren",
+    "coll.copied": "Link kopiert",
+    "coll.copyPrompt": "Diesen Link kopieren:",
+    "coll.print": "Übersicht drucken",
+    "coll.csv": "Als CSV exportieren",
+    "coll.json": "Als JSON exportieren",
+    "coll.delete": "Löschen",
+    "coll.confirmDelete": "„{name}“ löschen?",
+    "coll.empty":
+      "Noch leer. Mit „☆ Merken“ bei einem Inhalt fügen Sie ihn hier hinzu.",
+    "coll.gone": "„{slug}“ ist nicht mehr in der Bibliothek",
+    "coll.up": "Nach oben",
+    "coll.down": "Nach unten",
+    "coll.remove": "Aus der Sammlung entfernen",
+    "coll.note.placeholder": "Notiz für diesen Interessenten hinzufügen…",
+    "coll.note.label": "Notiz",
+    "coll.found": {
+      one: "{found} von {n} Inhalt",
+      other: "{found} von {n} Inhalten",
+    },
+    "coll.saveCopy": "Kopie speichern",
+    "suggest.label": "Suchvorschläge",
+    "suggest.facet": "{facet}: {value}",
+    "suggest.type": "Typ",
+    "suggest.industries": "Branche",
+    "suggest.personas": "Rolle",
+    "suggest.topics": "Thema",
+    "suggest.tags": "Tag",
+    "suggest.stage": "Phase",
+    "suggest.source": "Quelle",
+    "searches.freshSince": "Neu oder aktualisiert seit {date}",
+    "searches.delete": "Gespeicherte Suche {name} löschen",
+    "searches.nameLabel": "Name der gespeicherten Suche",
+    "recs.role": "Ihre Rolle",
+    "recs.industry": "Ihre Branche",
+    "recs.resetTitle": "Vergessen, was dieses Gerät gelernt hat",
+    "recs.because": "Weil Sie „{title}“ angesehen haben",
+    "recs.byRole": "Passt zu Ihrer Rolle ({persona})",
+    "recs.byIndustry": "Passt zu Ihrer Branche ({industry})",
+    "recs.byInterest": "Passt zu Ihrem Interesse an {interest}",
+    "recs.nextStep": "{reason} · nächster Schritt: {stage}",
+  },
+  ar: {
+    "hero.tagline": "شاهد أكثر. اعرف أسرع. قرّر أسرع.",
+    "locale.label": "اللغة",
+    "search.placeholder": "ابحث في العناوين والملخصات والمواضيع والوسوم…",
+    "search.tip":
+      'تلميح: "عبارة مطابقة"، -استبعاد، persona:CISO، topic:"Zero Trust"',
+    "search.label": "ابحث في المكتبة",
+    "sort.label": "الترتيب",
+    "sort.relevance": "الأكثر صلة",
+    "sort.newest": "الأحدث",
+    "sort.updated": "المحدَّث مؤخرًا",
+    "sort.oldest": "الأقدم",
+    "sort.shortest": "الأقصر أولًا",
+    "sort.longest": "الأطول أولًا",
+    "pageSize.label": "لكل صفحة",
+    "collections.link": "المجموعات ({n})",
+    results: {
+      zero: "لا توجد نتائج",
+      one: "نتيجة واحدة",
+      two: "نتيجتان",
+      few: "{n} نتائج",
+      many: "{n} نتيجة",
+      other: "{n} نتيجة",
+    },
+    "dym.prefix": "هل تقصد",
+    "dym.suffix": "؟",
+    loading: "جارٍ التحميل…",
+    dismiss: "إغلاق",
+    "pager.prev": "السابق",
+    "pager.next": "التالي",
+    "pager.status": "الصفحة {page} من {pages}",
+    "facet.type": "النوع",
+    "facet.industries": "القطاعات",
+    "facet.personas": "الأدوار",
+    "facet.topics": "المواضيع",
+    "facet.tags": "الوسوم",
+    "facet.year": "السنة",
+    "facet.stage": "مرحلة المسار",
+    "facet.source": "المصدر",
+    "facet.language": "اللغة",
+    "facet.any": "أيّ",
+    "facet.all": "الكل",
+    "range.time": "المدة",
+    "range.atLeast": "على الأقل",
+    "range.atMost": "على الأكثر",
+    "range.any": "أي مدة",
+    "range.released": "تاريخ النشر",
+    "range.from": "من",
+    "range.to": "إلى",
+    "range.clear": "مسح",
+    "range.preset.30d": "آخر 30 يومًا",
+    "range.preset.90d": "آخر 90 يومًا",
+    "range.preset.quarter": "هذا الربع",
+    "range.preset.year": "هذا العام",
+    "facet.match": "مطابقة {title}",
+    undated: "بلا تاريخ",
+    "type.whitepaper.label": "ورقة بيضاء",
+    "type.whitepaper.cta": "اقرأ الورقة",
+    "type.whitepaper.download": "تنزيل PDF",
+    "type.video.label": "فيديو",
+    "type.video.cta": "شاهد الفيديو",
+    "type.video.download": "فتح ملف الفيديو",
+    "type.slide.label": "عرض تقديمي",
+    "type.slide.cta": "اعرض الشرائح",
+    "type.slide.download": "تنزيل العرض",
+    "type.infographic.label": "رسم معلوماتي",
+    "type.infographic.cta": "اعرض الرسم",
+    "type.infographic.download": "تنزيل الصورة",
+    "type.generic.label": "محتوى",
+    "type.generic.cta": "فتح",
+    "type.generic.download": "فتح الملف",
+    "meta.minutes": "{n} دقيقة",
+    "meta.slides": {
+      zero: "لا شرائح",
+      one: "شريحة واحدة",
+      two: "شريحتان",
+      few: "{n} شرائح",
+      many: "{n} شريحة",
+      other: "{n} شريحة",
+    },
+    "card.details": "التفاصيل",
+    "card.related": "محتوى ذو صلة ({n})",
+    "card.zoom": "عرض {title} بالحجم الكامل",
+    "tag.gated": "محمي",
+    "badge.new": "جديد",
+    "badge.updated": "محدَّث v{v}",
+    "publish.showArchived": "إظهار المؤرشف",
+    "publish.archived": "مؤرشف",
+    "publish.draft": "مسودة",
+    "publish.scheduled": "مجدول {date}",
+    "publish.expired": "منتهي الصلاحية",
+    "preview.banner":
+      "وضع المعاينة: المسودات والعناصر المجدولة والمنتهية ظاهرة.",
+    "preview.exit": "الخروج من المعاينة",
+    "detail.back": "→ العودة إلى المكتبة",
+    "detail.released": "نُشر في {date}",
+    "detail.updated": "حُدّث في {date}",
+    "detail.related": "محتوى ذو صلة",
+    "detail.notFound": "المحتوى غير موجود",
+    "detail.notFoundBody":
+      "لم نعثر على شيء في «{slug}». ربما أُعيدت تسميته أو أُزيل.",
+    "versions.title": "سجل الإصدارات",
+    "versions.edition": "الإصدار",
+    "versions.latest": "v{v} (الأحدث)",
+    "versions.viewing": "أنت تشاهد v{v} بتاريخ {date}، وهي إصدار سابق.",
+    "versions.goLatest": "الانتقال إلى الأحدث (v{v})",
+    "save.save": "☆ حفظ",
+    "save.saved": "★ محفوظ",
+    "save.title": "حفظ في مجموعة",
+    "save.newName": "مجموعة جديدة…",
+    "save.add": "إضافة",
+    "searches.title": "عمليات البحث المحفوظة",
+    "searches.empty":
+      "صفِّ المكتبة ثم احفظ البحث هنا للعودة لاحقًا إلى المحتوى الجديد.",
+    "searches.save": "احفظ هذا البحث",
+    "searches.name": "سمِّ هذا البحث…",
+    "searches.submit": "حفظ",
+    "searches.fresh": {
+      zero: "لا جديد",
+      one: "جديد واحد",
+      two: "جديدان",
+      few: "{n} جديدة",
+      many: "{n} جديدًا",
+      other: "{n} جديد",
+    },
+    "searches.needFilter": "ابحث أو اختر عامل تصفية أولًا",
+    "recs.title": "موصى به لك",
+    "recs.iam": "أنا…",
+    "recs.anyRole": "أي دور",
+    "recs.anyIndustry": "أي قطاع",
+    "recs.reset": "إعادة تعيين",
+    "recs.empty":
+      "اختر دورك أو افتح بعض المحتويات وسنقترح عليك ما تقرأه بعد ذلك. كل شيء يبقى على هذا الجهاز.",
+    "hero.alt": "ممر غولف متموّج عند شروق الشمس",
+    "notice.updated": "تم تحديث الفهرس — محتوى جديد من {source}.",
+    "warn.offline": "أنت غير متصل بالإنترنت",
+    "warn.down": "تعذّر الوصول إلى الخادم",
+    "warn.sample":
+      "تعذّر تحميل مكتبة المحتوى ({why}) ولا يوجد شيء محفوظ على هذا الجهاز بعد — يُعرض محتوى تجريبي فقط.",
+    "warn.stale":
+      "{source}: {why} — تُعرض النسخة المحفوظة في {date}. قد تكون قديمة.",
+    "warn.missing": "{source}: {why} — محتواه غير موجود في المكتبة.",
+    "loading.editor": "جارٍ تحميل المحرر…",
+    "loading.reader": "جارٍ تحميل القارئ…",
+    "nav.back": "→ رجوع",
+    "zoom.in": "تكبير",
+    "zoom.out": "تصغير",
+    "zoom.reset": "إعادة تعيين",
+    "zoom.full": "الحجم الكامل",
+    "lightbox.close": "إغلاق",
+    "slides.label": "شرائح {title}",
+    "slides.alt": "الشريحة {i} من {n}",
+    "slides.prev": "الشريحة السابقة",
+    "slides.next": "الشريحة التالية",
+    "slides.enlarge": "تكبير",
+    "slides.enlarged": "{title}، الشريحة {i}",
+    "reader.pageN": "الصفحة {n}",
+    "reader.page": "الصفحة",
+    "reader.of": "من {n}",
+    "reader.fit": "ملاءمة العرض",
+    "reader.download": "تنزيل",
+    "reader.search.placeholder": "ابحث في المستند…",
+    "reader.search.label": "ابحث في المستند",
+    "reader.searching": "جارٍ البحث…",
+    "reader.find": "بحث",
+    "reader.found": "{matches} في {pages}",
+    "reader.matches": { one: "تطابق واحد", other: "{n} تطابق" },
+    "reader.pages": { one: "صفحة واحدة", other: "{n} صفحة" },
+    "reader.noMatches": "لا توجد تطابقات",
+    "reader.resumed": "تم الاستئناف من الصفحة {n}، حيث توقفت.",
+    "reader.restart": "البدء من البداية",
+    "reader.failed": "تعذّر فتح هذا المستند في القارئ. {link}.",
+    "reader.openDirect": "افتح ملف PDF مباشرة",
+    "reader.thumbs": "الصفحات",
+    "reader.loading": "جارٍ تحميل المستند…",
+    "reader.results": "نتائج البحث",
+    "reader.hitPage": "ص {n}",
+    "player.ccOn": "الترجمة: تشغيل",
+    "player.ccOff": "الترجمة: إيقاف",
+    "player.resumed": "تم الاستئناف عند {time}، حيث توقفت.",
+    "player.restart": "البدء من جديد",
+    "player.captions": "الترجمة",
+    "player.chapters": "الفصول",
+    "player.transcript": "النص المكتوب",
+    "player.search.placeholder": "ابحث في النص…",
+    "player.search.label": "ابحث في النص",
+    "player.matches": { one: "سطر واحد مطابق", other: "{n} سطر مطابق" },
+    "gate.title": "احصل على وصول فوري",
+    "gate.intro":
+      "أخبرنا قليلًا عن نفسك لفتح هذا المحتوى وكل المحتويات المقيّدة الأخرى.",
+    "gate.name": "الاسم",
+    "gate.email": "البريد الإلكتروني للعمل",
+    "gate.company": "الشركة",
+    "gate.role": "الدور",
+    "gate.other": "أخرى",
+    "gate.failed": "تعذّر إرسال النموذج. يُرجى المحاولة مرة أخرى.",
+    "gate.sending": "جارٍ الإرسال…",
+    "gate.submit": "افتح المحتوى",
+    "gate.privacy": "اطّلع على {link}.",
+    "gate.privacyLink": "سياسة الخصوصية",
+    "lead.name": "يُرجى إدخال اسمك.",
+    "lead.email": "يُرجى إدخال عنوان بريد إلكتروني صالح.",
+    "lead.workEmail": "يُرجى استخدام بريدك الإلكتروني للعمل.",
+    "lead.company": "يُرجى إدخال اسم شركتك.",
+    "coll.title": "المجموعات",
+    "coll.yours": "مجموعاتك",
+    "coll.newLabel": "اسم المجموعة الجديدة",
+    "coll.create": "إنشاء",
+    "coll.none":
+      "لا توجد مجموعات بعد. استخدم «☆ حفظ» على أي محتوى لبدء مجموعة.",
+    "coll.name": "اسم المجموعة",
+    "coll.copy": "نسخ رابط المشاركة",
+    "coll.copied": "تم نسخ الرابط",
+    "coll.copyPrompt": "انسخ هذا الرابط:",
+    "coll.print": "طباعة ملخص",
+    "coll.csv": "تصدير CSV",
+    "coll.json": "تصدير JSON",
+    "coll.delete": "حذف",
+    "coll.confirmDelete": "حذف «{name}»؟",
+    "coll.empty": "فارغة حتى الآن. استخدم «☆ حفظ» على أي محتوى لإضافته هنا.",
+    "coll.gone": "«{slug}» لم يعد موجودًا في المكتبة",
+    "coll.up": "نقل لأعلى",
+    "coll.down": "نقل لأسفل",
+    "coll.remove": "إزالة من المجموعة",
+    "coll.note.placeholder": "أضف ملاحظة لهذا العميل المحتمل…",
+    "coll.note.label": "ملاحظة",
+    "coll.found": "{found} من {n}",
+    "coll.saveCopy": "حفظ نسخة",
+    "suggest.label": "اقتراحات البحث",
+    "suggest.facet": "{facet}: {value}",
+    "suggest.type": "النوع",
+    "suggest.industries": "القطاع",
+    "suggest.personas": "الدور",
+    "suggest.topics": "الموضوع",
+    "suggest.tags": "الوسم",
+    "suggest.stage": "المرحلة",
+    "suggest.source": "المصدر",
+    "searches.freshSince": "جديد أو محدَّث منذ {date}",
+    "searches.delete": "حذف البحث المحفوظ {name}",
+    "searches.nameLabel": "اسم البحث المحفوظ",
+    "recs.role": "دورك",
+    "recs.industry": "قطاعك",
+    "recs.resetTitle": "نسيان ما تعلّمه هذا الجهاز",
+    "recs.because": "لأنك شاهدت «{title}»",
+    "recs.byRole": "يناسب دورك ({persona})",
+    "recs.byIndustry": "يناسب قطاعك ({industry})",
+    "recs.byInterest": "يناسب اهتمامك بـ{interest}",
+    "recs.nextStep": "{reason} · الخطوة التالية: {stage}",
+  },
+};
+
+// "pt-BR" -> ["pt-BR", "pt", "en"]
+function chain(locale) {
+  const base = locale.split("-")[0];
+  return [...new Set([locale, base, DEFAULT_LOCALE])];
+}
+
+// Best supported locale for a list of preferences (navigator.languages style)
+export function matchLocale(wanted) {
+  for (const w of wanted || []) {
+    if (!w) continue;
+    const lower = w.toLowerCase();
+    const exact = LOCALES.find((l) => l.code.toLowerCase() === lower);
+    if (exact) return exact.code;
+    const base = LOCALES.find(
+      (l) => l.code.split("-")[0] === lower.split("-")[0]
+    );
+    if (base) return base.code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function detectLocale() {
+  try {
+    const saved = window.localStorage.getItem(KEY);
+    if (saved && LOCALES.some((l) => l.code === saved)) return saved;
+  } catch {
+    // storage disabled: fall through to the browser's languages
+  }
+  return matchLocale(
+    typeof navigator !== "undefined" ? navigator.languages : []
+  );
+}
+
+/* ---------- Active locale ---------- */
+
+let active = typeof window === "undefined" ? DEFAULT_LOCALE : detectLocale();
+
+export const getLocale = () => active;
+export const localeDir = (locale = active) =>
+  (LOCALES.find((l) => l.code === locale) || {}).dir || "ltr";
+
+export function setLocale(locale) {
+  active = LOCALES.some((l) => l.code === locale) ? locale : DEFAULT_LOCALE;
+  try {
+    window.localStorage.setItem(KEY, active);
+  } catch {
+    // not remembered across visits; still applies now
+  }
+  return active;
+}
+
+/* ---------- Formatting ---------- */
+
+const numberFormats = new Map();
+export function fmtNumber(n, locale = active) {
+  if (!numberFormats.has(locale))
+    numberFormats.set(locale, new Intl.NumberFormat(locale));
+  return numberFormats.get(locale).format(n);
+}
+
+const dateFormats = new Map();
+export function fmtDateIn(iso, locale = active) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || Number.isNaN(d.getTime())) return t("undated", null, locale);
+  if (!dateFormats.has(locale))
+    dateFormats.set(
+      locale,
+      new Intl.DateTimeFormat(locale, { dateStyle: "medium" })
+    );
+  return dateFormats.get(locale).format(d);
+}
+
+const pluralRules = new Map();
+function pluralOf(n, locale) {
+  if (!pluralRules.has(locale))
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale).select(n);
+}
+
+// Message for key with {name} placeholders filled; the key itself if no
+// catalog has it (so a missing string is visible, not blank)
+export function t(key, vars, locale = active) {
+  for (const l of chain(locale)) {
+    let msg = MESSAGES[l] && MESSAGES[l][key];
+    if (msg == null) continue;
+    if (typeof msg === "object") {
+      const n = vars && typeof vars.n === "number" ? vars.n : 0;
+      msg = msg[pluralOf(n, l)] || msg.other;
+    }
+    return msg.replace(/\{(\w+)\}/g, (m, name) =>
+      !vars || vars[name] == null
+        ? m
+        : typeof vars[name] === "number"
+        ? fmtNumber(vars[name], locale)
+        : String(vars[name])
+    );
+  }
+  return key;
+}
+
+// "es" -> "Spanish" (or "español" when the UI is Spanish)
+export function languageName(code, locale = active) {
+  try {
+    return new Intl.DisplayNames([locale], { type: "language" }).of(code);
+  } catch {
+    return code;
+  }
+}
+
+/* ---------- Catalogue content ---------- */
+
+// Title/summary in the closest locale the item offers, else as published
+export function localize(p, locale = active) {
+  if (!p.localized) return p;
+  for (const l of chain(locale)) {
+    const v = p.localized[l] || p.localized[l.toLowerCase()];
+    if (v)
+      return {
+        ...p,
+        title: v.title || p.title,
+        summary: v.summary || p.summary,
+      };
+  }
+  return p;
+}
+
+// Language siblings (same language_group) collapse to one per group: the
+// locale's language, else English, else whichever ranks first. Order kept.
+export function collapseSiblings(list, locale = active) {
+  const prefs = chain(locale).map((l) => l.toLowerCase());
+  const rank = (p) => {
+    const lang = (p.language || DEFAULT_LOCALE).toLowerCase();
+    const i = prefs.findIndex((l) => lang === l || lang.split("-")[0] === l);
+    return i === -1 ? prefs.length : i;
+  };
+  const best = new Map();
+  for (const p of list) {
+    if (!p.language_group) continue;
+    const cur = best.get(p.language_group);
+    if (!cur || rank(p) < rank(cur)) best.set(p.language_group, p);
+  }
+  return list.filter(
+    (p) => !p.language_group || best.get(p.language_group) === p
+  );
+}
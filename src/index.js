@@ -1,13 +1,32 @@
+import "./publicPath";
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 
 import App from "./App";
+import { CollectionsProvider } from "./CollectionsContext";
+import { I18nProvider } from "./I18nContext";
+import { defineEmbed } from "./embed";
+import { setExternalBase } from "./router";
 
-const rootElement = document.getElementById("root");
-const root = createRoot(rootElement);
+// public/embed.js sets FAIRWAY_EMBED_BASE before loading this bundle onto a
+// partner page. Only the library's own page gets the full app: a partner's
+// #root belongs to the partner.
+if (window.FAIRWAY_EMBED_BASE) {
+  // Links in the widgets lead back to the library
+  setExternalBase(window.FAIRWAY_EMBED_BASE);
+} else {
+  const root = createRoot(document.getElementById("root"));
 
-root.render(
-  <StrictMode>
-    <App />
-  </StrictMode>
-);
+  root.render(
+    <StrictMode>
+      <I18nProvider>
+        <CollectionsProvider>
+          <App />
+        </CollectionsProvider>
+      </I18nProvider>
+    </StrictMode>
+  );
+}
+
+// <fairway-library> widgets, on partner pages or the library's own
+defineEmbed();
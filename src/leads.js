@@ -0,0 +1,144 @@
+// leads.js — lead capture for gated items: validation, remembered visitor,
+// and pluggable submission adapters.
+// An adapter is { name, submit(payload) -> Promise }; submit rejects when the
+// lead didn't get through so the form can say so. payload:
+//   { name, email, company, persona, item: { id, slug, title, content_type },
+//     page, submitted_at, returning }
+// `returning` is true for a remembered visitor opening another gated item
+// (no form shown, but who-read-what still reaches the adapter).
+
+import { t } from "./i18n";
+
+const LEAD_KEY = "fairway:lead:v1";
+const LOG_KEY = "fairway:leads:v1";
+const MAX_LOGGED = 100;
+
+// Consumer mailboxes rejected when the form asks for a work email
+const FREE_MAIL = new Set([
+  "gmail.com",
+  "googlemail.com",
+  "hotmail.com",
+  "outlook.com",
+  "live.com",
+  "msn.com",
+  "aol.com",
+  "icloud.com",
+  "me.com",
+  "mac.com",
+  "proton.me",
+  "protonmail.com",
+  "gmx.com",
+  "gmx.de",
+  "web.de",
+  "mail.com",
+  "yandex.com",
+  "yandex.ru",
+  "zoho.com",
+  "qq.com",
+  "163.com",
+]);
+
+export function isFreeMail(email) {
+  const domain = (String(email || "").split("@")[1] || "").trim().toLowerCase();
+  if (!domain) return false;
+  // yahoo.com, yahoo.co.uk, ymail.com, …
+  return FREE_MAIL.has(domain) || /^(yahoo|ymail|hotmail|live)\./.test(domain);
+}
+
+// { field: message } for every problem; empty object when valid
+export function validateLead(lead, { requireWorkEmail = true } = {}) {
+  const errors = {};
+  const email = (lead.email || "").trim();
+  if (!(lead.name || "").trim()) errors.name = t("lead.name");
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email))
+    errors.email = t("lead.email");
+  else if (requireWorkEmail && isFreeMail(email))
+    errors.email = t("lead.workEmail");
+  if (!(lead.company || "").trim()) errors.company = t("lead.company");
+  return errors;
+}
+
+/* ---------- Remembered visitor ---------- */
+
+export function loadLead() {
+  try {
+    return JSON.parse(window.localStorage.getItem(LEAD_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveLead(lead) {
+  try {
+    window.localStorage.setItem(LEAD_KEY, JSON.stringify(lead));
+  } catch {
+    // storage disabled: they'll be asked again next visit
+  }
+}
+
+export function forgetLead() {
+  try {
+    window.localStorage.removeItem(LEAD_KEY);
+  } catch {
+    // nothing stored
+  }
+}
+
+/* ---------- Adapters ---------- */
+
+// Development/demo adapter: keeps the last submissions locally, and logs
+// them outside production builds (a lead is personal data)
+export function localLeadAdapter() {
+  return {
+    name: "local",
+    submit(payload) {
+      if (process.env.NODE_ENV !== "production")
+        console.info("Lead captured:", payload);
+      try {
+        const log = JSON.parse(window.localStorage.getItem(LOG_KEY)) || [];
+        log.push(payload);
+        window.localStorage.setItem(
+          LOG_KEY,
+          JSON.stringify(log.slice(-MAX_LOGGED))
+        );
+      } catch {
+        // the console copy is enough
+      }
+      return Promise.resolve();
+    },
+  };
+}
+
+// Generic JSON POST (Zapier/Make hooks, a CRM endpoint, a serverless fn)
+export function webhookLeadAdapter(url, { headers = {} } = {}) {
+  return {
+    name: "webhook",
+    async submit(payload) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(payload),
+        keepalive: true,
+      });
+      if (!res.ok) throw new Error(`Lead webhook HTTP ${res.status}`);
+    },
+  };
+}
+
+export function leadPayload(lead, item, returning = false) {
+  return {
+    name: lead.name,
+    email: lead.email,
+    company: lead.company,
+    persona: lead.persona || null,
+    item: {
+      id: item.id,
+      slug: item.slug,
+      title: item.title,
+      content_type: item.content_type,
+    },
+    page: window.location.href,
+    submitted_at: new Date().toISOString(),
+    returning,
+  };
+}
@@ -0,0 +1,70 @@
+// media.js — video helpers: timestamps, WebVTT parsing, single-playback guard
+// Framework-free so schema.js (and build scripts) can share the parsers.
+
+// "1:02:03.5", "02:03", "93" or 93 -> seconds (NaN when unparseable)
+export function parseTimestamp(v) {
+  if (typeof v === "number") return Number.isFinite(v) && v >= 0 ? v : NaN;
+  const m = /^\s*(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:[.,]\d+)?)\s*$/.exec(
+    String(v || "")
+  );
+  if (m) {
+    return (
+      Number(m[1] || 0) * 3600 +
+      Number(m[2]) * 60 +
+      Number(m[3].replace(",", "."))
+    );
+  }
+  const n = Number(v);
+  return String(v).trim() && Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+// 83 -> "1:23", 3723 -> "1:02:03"
+export function fmtTime(sec) {
+  const s = Math.max(0, Math.floor(sec || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`;
+}
+
+// Minimal WebVTT cue parser -> [{ start_sec, end_sec, text }]
+// (cue settings and inline tags are dropped; enough for a transcript)
+export function parseVtt(text) {
+  const cues = [];
+  const blocks = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const i = lines.findIndex((l) => l.includes("-->"));
+    if (i < 0) continue;
+    const [from, rest] = lines[i].split("-->");
+    const start = parseTimestamp(from);
+    const end = parseTimestamp((rest || "").trim().split(/\s+/)[0]);
+    const body = lines
+      .slice(i + 1)
+      .join(" ")
+      .replace(/<[^>]+>/g, "")
+      .trim();
+    if (Number.isNaN(start) || !body) continue;
+    cues.push({
+      start_sec: start,
+      end_sec: Number.isNaN(end) ? null : end,
+      text: body,
+    });
+  }
+  return cues;
+}
+
+// Pause every other <video>/<audio> when one starts playing. Call once from
+// an effect; returns the cleanup.
+export function installSinglePlayback(root = document) {
+  const onPlay = (e) => {
+    root.querySelectorAll("video, audio").forEach((el) => {
+      if (el !== e.target && !el.paused) el.pause();
+    });
+  };
+  // "play" doesn't bubble, so listen in the capture phase
+  root.addEventListener("play", onPlay, true);
+  return () => root.removeEventListener("play", onPlay, true);
+}
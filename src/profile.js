@@ -0,0 +1,94 @@
+// profile.js — on-device interest profile for recommendations (localStorage)
+// Nothing leaves the browser. Shape:
+//   { viewed: [{ slug, at }],           newest first
+//     weights: { "topics:Zero Trust": 2.4, … },  decayed interest per value
+//     identity: { persona, industry } }  the optional "I am a…" picker
+// Every new signal decays older weights a little, so interests drift with
+// what the visitor looks at now.
+
+const KEY = "fairway:profile:v1";
+const MAX_VIEWED = 50;
+const DECAY = 0.95;
+const MIN_WEIGHT = 0.05; // pruned below this
+const LEARNED_FIELDS = ["personas", "industries", "topics", "tags"];
+const VIEW_WEIGHT = 1;
+const FILTER_WEIGHT = 0.5; // a facet click says less than opening an asset
+
+const EMPTY = {
+  viewed: [],
+  weights: {},
+  identity: { persona: "", industry: "" },
+};
+
+export function loadProfile() {
+  try {
+    const p = JSON.parse(window.localStorage.getItem(KEY));
+    return p ? { ...EMPTY, ...p } : EMPTY;
+  } catch {
+    return EMPTY;
+  }
+}
+
+function save(profile) {
+  try {
+    window.localStorage.setItem(KEY, JSON.stringify(profile));
+  } catch {
+    // storage disabled: recommendations just won't persist
+  }
+  return profile;
+}
+
+function decayed(weights) {
+  const out = {};
+  for (const [k, w] of Object.entries(weights)) {
+    if (w * DECAY >= MIN_WEIGHT) out[k] = w * DECAY;
+  }
+  return out;
+}
+
+const weightKey = (field, value) => `${field}:${value}`;
+
+// Opened an asset (detail page, reader or player). Returns the new profile.
+export function recordView(item) {
+  const profile = loadProfile();
+  const weights = decayed(profile.weights);
+  for (const f of LEARNED_FIELDS) {
+    for (const v of item[f] || []) {
+      const k = weightKey(f, v);
+      weights[k] = (weights[k] || 0) + VIEW_WEIGHT;
+    }
+  }
+  const viewed = [
+    { slug: item.slug, at: Date.now() },
+    ...profile.viewed.filter((v) => v.slug !== item.slug),
+  ].slice(0, MAX_VIEWED);
+  return save({ ...profile, viewed, weights });
+}
+
+// Selected a facet value; only the learned fields count
+export function recordFilter(field, value) {
+  if (!LEARNED_FIELDS.includes(field)) return loadProfile();
+  const profile = loadProfile();
+  const weights = decayed(profile.weights);
+  const k = weightKey(field, value);
+  weights[k] = (weights[k] || 0) + FILTER_WEIGHT;
+  return save({ ...profile, weights });
+}
+
+export function setIdentity(identity) {
+  const profile = loadProfile();
+  return save({ ...profile, identity: { ...profile.identity, ...identity } });
+}
+
+export function interestIn(profile, field, value) {
+  return profile.weights[weightKey(field, value)] || 0;
+}
+
+export function clearProfile() {
+  try {
+    window.localStorage.removeItem(KEY);
+  } catch {
+    // nothing stored
+  }
+  return EMPTY;
+}
@@ -0,0 +1,45 @@
+// progress.js — per-item reading/playback positions kept in localStorage
+// kind: "pdf" (value = page number) | "video" (value = seconds)
+
+const KEY = "fairway:progress:v1";
+const MAX_ENTRIES = 200; // oldest positions are dropped beyond this
+
+function readAll() {
+  try {
+    return JSON.parse(window.localStorage.getItem(KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadProgress(kind, slug) {
+  const entry = readAll()[`${kind}:${slug}`];
+  return entry ? entry.value : null;
+}
+
+export function saveProgress(kind, slug, value) {
+  const all = readAll();
+  all[`${kind}:${slug}`] = { value, at: Date.now() };
+  const keys = Object.keys(all);
+  if (keys.length > MAX_ENTRIES) {
+    keys
+      .sort((a, b) => all[a].at - all[b].at)
+      .slice(0, keys.length - MAX_ENTRIES)
+      .forEach((k) => delete all[k]);
+  }
+  try {
+    window.localStorage.setItem(KEY, JSON.stringify(all));
+  } catch {
+    // storage full/disabled: resume just won't work
+  }
+}
+
+export function clearProgress(kind, slug) {
+  const all = readAll();
+  delete all[`${kind}:${slug}`];
+  try {
+    window.localStorage.setItem(KEY, JSON.stringify(all));
+  } catch {
+    // nothing to clear if storage is unavailable
+  }
+}
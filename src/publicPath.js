@@ -0,0 +1,7 @@
+// publicPath.js — fetch lazy chunks from the library's origin when embedded
+// public/embed.js sets FAIRWAY_EMBED_BASE before loading the bundle; without
+// it chunks would resolve against the partner page. Must be the first import
+// in index.js so it runs before anything can load a chunk.
+/* global __webpack_public_path__:writable */
+
+__webpack_public_path__ = window.FAIRWAY_EMBED_BASE || __webpack_public_path__;
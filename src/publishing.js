@@ -0,0 +1,73 @@
+// publishing.js — which catalogue items a visitor sees
+// Items carry an optional status ("draft" | "published" | "archived") and
+// publish_at / expires_at times (schema.js). Drafts, embargoed items (before
+// publish_at) and expired ones (from expires_at) are hidden; archived items
+// stay reachable by link and show in the library only when asked for.
+// Preview mode, switched on with ?preview=<PREVIEW_TOKEN>, lets reviewers see
+// the hidden ones too for the rest of the browser session. The token only
+// keeps drafts out of casual view: the feed itself is public.
+
+import { t } from "./i18n";
+import { PREVIEW_TOKEN } from "./siteConfig";
+import { fmtDate } from "./utils";
+
+const KEY = "fairway:preview:v1";
+
+// "draft" | "scheduled" | "expired" | "archived" | "live"
+export function publishState(p, now = Date.now()) {
+  if (p.status === "draft") return "draft";
+  if (p.publish_at && new Date(p.publish_at).getTime() > now)
+    return "scheduled";
+  if (p.expires_at && new Date(p.expires_at).getTime() <= now) return "expired";
+  return p.status === "archived" ? "archived" : "live";
+}
+
+export const isArchived = (p) => p.status === "archived";
+
+// Reachable at all (detail pages, search, collections); archived included
+export const isAvailable = (p, preview = false, now) =>
+  preview || ["live", "archived"].includes(publishState(p, now));
+
+// Time (ms) of the next publish_at/expires_at after now, when what is
+// available changes by itself; null when nothing is scheduled
+export function nextChange(items, now = Date.now()) {
+  let next = null;
+  for (const p of items)
+    for (const at of [p.publish_at, p.expires_at]) {
+      const ms = at ? new Date(at).getTime() : NaN;
+      if (ms > now && (next === null || ms < next)) next = ms;
+    }
+  return next;
+}
+
+// Badge text for anything that isn't plainly live, else null
+export function publishLabel(p, now) {
+  const state = publishState(p, now);
+  if (state === "live") return null;
+  if (state === "scheduled")
+    return t("publish.scheduled", { date: fmtDate(p.publish_at) });
+  return t(`publish.${state}`);
+}
+
+// Preview mode for this session. ?preview=<token> turns it on, ?preview=off
+// turns it off; without a configured token it is never on.
+export function readPreview(search = window.location.search) {
+  if (!PREVIEW_TOKEN) return false;
+  const asked = new URLSearchParams(search).get("preview");
+  try {
+    if (asked === "off") window.sessionStorage.removeItem(KEY);
+    else if (asked === PREVIEW_TOKEN)
+      window.sessionStorage.setItem(KEY, PREVIEW_TOKEN);
+    return window.sessionStorage.getItem(KEY) === PREVIEW_TOKEN;
+  } catch {
+    return asked === PREVIEW_TOKEN; // storage disabled: this page load only
+  }
+}
+
+export function exitPreview() {
+  try {
+    window.sessionStorage.removeItem(KEY);
+  } catch {
+    // nothing stored
+  }
+}
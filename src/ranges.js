@@ -0,0 +1,86 @@
+// ranges.js — range filters next to the discrete facets: time to consume and
+// release date. Time to consume is minutesOf() (contentTypes.js), one scale
+// for every type. A release window is either explicit from/to days or a
+// preset resolved against today, so a saved or shared "last 30 days" keeps
+// meaning the last 30 days.
+
+import { minutesOf } from "./contentTypes";
+
+// Rail order; keys are the `released` state value and i18n "range.preset.<key>"
+export const DATE_PRESETS = ["30d", "90d", "quarter", "year"];
+
+// Filters that embeds can lock like facets (see embed.js)
+export const RANGE_KEYS = ["time", "released"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const pad = (n) => String(n).padStart(2, "0");
+// Local calendar day as "YYYY-MM-DD" (sorts and compares as a string)
+const localDay = (d) =>
+  `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export const isDay = (s) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(s || "") && !Number.isNaN(Date.parse(s));
+
+// A release_date's calendar day: date-only feed values are taken as written
+function dayOf(iso) {
+  if (!iso) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(iso)) return iso.slice(0, 10);
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? null : localDay(d);
+}
+
+// Preset -> { from, to } days, both inclusive; null for an unknown preset
+export function presetRange(preset, now = new Date()) {
+  const to = localDay(now);
+  switch (preset) {
+    case "30d":
+    case "90d":
+      return {
+        from: localDay(new Date(now - (parseInt(preset, 10) - 1) * DAY_MS)),
+        to,
+      };
+    case "quarter":
+      return {
+        from: localDay(
+          new Date(now.getFullYear(), Math.floor(now.getMonth() / 3) * 3, 1)
+        ),
+        to,
+      };
+    case "year":
+      return { from: localDay(new Date(now.getFullYear(), 0, 1)), to };
+    default:
+      return null;
+  }
+}
+
+// The release window a UI state asks for ({ from, to }, either may be null),
+// or null when there is none
+export function releaseWindow(s, now) {
+  if (s.released) return presetRange(s.released, now);
+  if (s.from || s.to) return { from: s.from || null, to: s.to || null };
+  return null;
+}
+
+export const hasTimeRange = (s) => s.timeMin != null || s.timeMax != null;
+
+// s: urlState-shaped { timeMin, timeMax, released, from, to }. Items with no
+// known time (or date) drop out once that range is set.
+export function matchesRanges(p, s, now) {
+  if (hasTimeRange(s)) {
+    const m = minutesOf(p);
+    if (m == null) return false;
+    if (s.timeMin != null && m < s.timeMin) return false;
+    if (s.timeMax != null && m > s.timeMax) return false;
+  }
+  const w = releaseWindow(s, now);
+  if (w) {
+    const d = dayOf(p.release_date);
+    if (!d || (w.from && d < w.from) || (w.to && d > w.to)) return false;
+  }
+  return true;
+}
+
+// Upper end of the time slider: the longest asset, at least 1 minute
+export function timeBound(items) {
+  return items.reduce((max, p) => Math.max(max, minutesOf(p) || 0), 1);
+}
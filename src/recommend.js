@@ -0,0 +1,122 @@
+// recommend.js — "Recommended for you" ranking from the local profile
+// score = similarity to recently viewed items (recency-weighted)
+//       + learned interest in the item's facet values (profile.js)
+//       + "I am a…" persona/industry match
+//       + a nudge toward the next funnel stage after the furthest one reached
+// Each pick carries a short reason, preferring "Because you viewed X".
+
+import { t } from "./i18n";
+import { FUNNEL_STAGES } from "./schema";
+import { interestIn } from "./profile";
+
+const FIELD_WEIGHTS = { topics: 3, tags: 2, personas: 1, industries: 1 };
+const RECENT_VIEWS = 10; // only the latest views feed similarity
+const VIEW_DECAY = 0.8; // each older view counts this much less
+const INTEREST_SCALE = 0.5;
+const IDENTITY_PERSONA = 3;
+const IDENTITY_INDUSTRY = 2;
+const NEXT_STAGE = 2;
+const SAME_STAGE = 0.5;
+
+function overlap(a, b, fields = FIELD_WEIGHTS) {
+  let s = 0;
+  for (const [f, w] of Object.entries(fields)) {
+    const other = b[f] || [];
+    for (const v of a[f] || []) if (other.includes(v)) s += w;
+  }
+  return s;
+}
+
+// Furthest stage among recent views, or null when nothing viewed has one
+function stageReached(viewedItems) {
+  let idx = -1;
+  for (const p of viewedItems)
+    idx = Math.max(idx, FUNNEL_STAGES.indexOf(p.funnel_stage));
+  return idx >= 0 ? idx : null;
+}
+
+// [{ item, score, reason }] best first; empty until there's any signal
+export function recommend(items, profile, n) {
+  const bySlug = new Map(items.map((p) => [p.slug, p]));
+  const viewedSlugs = new Set(profile.viewed.map((v) => v.slug));
+  const recent = profile.viewed
+    .slice(0, RECENT_VIEWS)
+    .map((v) => bySlug.get(v.slug))
+    .filter(Boolean);
+  const { persona, industry } = profile.identity;
+  const hasSignal =
+    recent.length || Object.keys(profile.weights).length || persona || industry;
+  if (!hasSignal) return [];
+
+  const reached = stageReached(recent);
+  // Nothing viewed yet: start people at the top of the funnel
+  const target =
+    reached === null ? 0 : Math.min(reached + 1, FUNNEL_STAGES.length - 1);
+
+  const scored = [];
+  for (const p of items) {
+    if (viewedSlugs.has(p.slug)) continue;
+
+    let best = null;
+    let bestSim = 0;
+    let similarity = 0;
+    recent.forEach((v, i) => {
+      const sim = overlap(p, v) * VIEW_DECAY ** i;
+      similarity += sim;
+      if (sim > bestSim) {
+        bestSim = sim;
+        best = v;
+      }
+    });
+
+    let interest = 0;
+    let topInterest = null;
+    for (const f of Object.keys(FIELD_WEIGHTS)) {
+      for (const v of p[f] || []) {
+        const w = interestIn(profile, f, v);
+        interest += w;
+        if (w > 0 && (!topInterest || w > topInterest.w))
+          topInterest = { v, w };
+      }
+    }
+
+    const personaHit = persona && (p.personas || []).includes(persona);
+    const industryHit = industry && (p.industries || []).includes(industry);
+    const stageIdx = FUNNEL_STAGES.indexOf(p.funnel_stage);
+
+    const relevance =
+      similarity +
+      INTEREST_SCALE * interest +
+      (personaHit ? IDENTITY_PERSONA : 0) +
+      (industryHit ? IDENTITY_INDUSTRY : 0);
+    if (relevance <= 0) continue;
+    const nudge =
+      stageIdx === target ? NEXT_STAGE : stageIdx === reached ? SAME_STAGE : 0;
+
+    const reason = best
+      ? t("recs.because", { title: best.title })
+      : personaHit
+      ? t("recs.byRole", { persona })
+      : industryHit
+      ? t("recs.byIndustry", { industry })
+      : topInterest
+      ? t("recs.byInterest", { interest: topInterest.v })
+      : "";
+    scored.push({
+      item: p,
+      score: relevance + nudge,
+      reason:
+        nudge === NEXT_STAGE && reached !== null
+          ? t("recs.nextStep", { reason, stage: p.funnel_stage })
+          : reason,
+    });
+  }
+
+  return scored
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(b.item.release_date) - new Date(a.item.release_date)
+    )
+    .slice(0, n);
+}
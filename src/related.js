@@ -0,0 +1,117 @@
+// related.js — item-to-item "related content" for the catalogue
+// Each item becomes a sparse, unit-length feature vector:
+//   facet values (topics > tags > personas = industries), IDF-weighted so a
+//   value every item shares says little, and
+//   title/summary terms (TF-IDF, stemmed via search.js), title counting double.
+// Similarity is the cosine of two vectors, accumulated through an inverted
+// index so only items sharing a feature are ever compared. buildRelated()
+// indexes the raw catalogue once per load; an item's neighbour list is
+// worked out the first time it's asked for and cached, so a page of cards
+// costs at most a page of lookups, and a locale switch none.
+
+import { tokenize } from "./search";
+
+const FIELD_WEIGHTS = { topics: 3, tags: 2, personas: 1, industries: 1 };
+const TEXT_WEIGHT = 1.5; // text block vs. facet block
+const TITLE_BOOST = 2;
+const MAX_DF_RATIO = 0.5; // features on over half the items don't pick neighbours
+const MIN_SCORE = 0.05;
+const KEEP = 12; // neighbours kept per item (callers slice what they show)
+
+function rawFeatures(p) {
+  const f = new Map();
+  const add = (k, w) => f.set(k, (f.get(k) || 0) + w);
+  for (const [field, w] of Object.entries(FIELD_WEIGHTS))
+    for (const v of p[field] || []) add(`${field}:${v.toLowerCase()}`, w);
+  for (const t of tokenize(p.title)) add(`t:${t}`, TITLE_BOOST);
+  for (const t of tokenize(p.summary)) add(`t:${t}`, 1);
+  return f;
+}
+
+// Similarity index for relatedTo(); rebuild whenever the catalogue changes
+// (not per locale or preview: relatedTo() maps into what's shown)
+export function buildRelated(items) {
+  const N = items.length;
+  const raw = items.map(rawFeatures);
+
+  const df = new Map();
+  for (const f of raw)
+    for (const k of f.keys()) df.set(k, (df.get(k) || 0) + 1);
+
+  // Weight, normalize the facet and text blocks separately, then combine
+  const vectors = raw.map((f) => {
+    const facet = [];
+    const text = [];
+    for (const [k, w] of f) {
+      const idf = Math.log(1 + N / df.get(k));
+      if (k.startsWith("t:")) text.push([k, (1 + Math.log(w)) * idf]);
+      else facet.push([k, w * idf]);
+    }
+    const norm = (arr, scale) => {
+      const len = Math.hypot(...arr.map(([, w]) => w)) || 1;
+      return arr.map(([k, w]) => [k, (w / len) * scale]);
+    };
+    const v = [...norm(facet, 1), ...norm(text, TEXT_WEIGHT)];
+    const len = Math.hypot(...v.map(([, w]) => w)) || 1;
+    return v.map(([k, w]) => [k, w / len]);
+  });
+
+  const postings = new Map(); // feature -> [[doc, weight]]
+  const maxDf = Math.max(2, N * MAX_DF_RATIO);
+  vectors.forEach((v, i) => {
+    for (const [k, w] of v) {
+      const d = df.get(k);
+      if (d < 2 || d > maxDf) continue; // unique or near-universal
+      if (!postings.has(k)) postings.set(k, []);
+      postings.get(k).push([i, w]);
+    }
+  });
+
+  return {
+    items,
+    vectors,
+    postings,
+    time: items.map((p) => new Date(p.release_date).getTime() || 0),
+    acc: new Float64Array(N),
+    bySlug: new Map(items.map((p, i) => [p.slug, i])),
+    cache: new Map(), // i -> [{ item, score }]
+  };
+}
+
+// Top KEEP items sharing features with item i, by cosine then recency
+function neighbours(index, i) {
+  const { items, vectors, postings, time, acc, cache } = index;
+  if (cache.has(i)) return cache.get(i);
+  const touched = [];
+  for (const [k, w] of vectors[i]) {
+    const list = postings.get(k);
+    if (!list) continue;
+    for (const [j, wj] of list) {
+      if (j === i) continue;
+      if (acc[j] === 0) touched.push(j);
+      acc[j] += w * wj;
+    }
+  }
+  const top = touched
+    .filter((j) => acc[j] >= MIN_SCORE)
+    .sort((a, b) => acc[b] - acc[a] || time[b] - time[a])
+    .slice(0, KEEP)
+    .map((j) => ({ item: items[j], score: acc[j] }));
+  for (const j of touched) acc[j] = 0;
+  cache.set(i, top);
+  return top;
+}
+
+// Top n related items for a slug ([] when unknown), taken from `shown`
+// (slug -> item as displayed): neighbours that aren't shown are skipped
+export function relatedTo(index, slug, n, shown) {
+  const i = index.bySlug.get(slug);
+  if (i === undefined) return [];
+  const out = [];
+  for (const { item } of neighbours(index, i)) {
+    const p = shown.get(item.slug);
+    if (p) out.push(p);
+    if (out.length === n) break;
+  }
+  return out;
+}
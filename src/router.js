@@ -0,0 +1,126 @@
+// router.js — minimal History API router (no dependency)
+// Routes:
+//   /                 -> library grid (UI state lives in the query string, see urlState.js)
+//   /content/:slug    -> asset detail view
+//   /content/:slug/read -> in-app PDF reader (whitepapers, slides)
+//   /content/:slug/watch -> video player (captions, chapters, transcript)
+//   /collections[/:id] -> saved collections (CollectionsPage.js)
+//   /shared?name=…&item=… -> read-only shared collection
+//   /editor           -> catalogue editor for content ops (Editor.js)
+// A path that can't be decoded is { name: "notFound" }, which App shows as
+// the detail page's "Content not found".
+// public/_redirects sends every path to index.html, so deep links survive a refresh.
+// Inside the embeddable widget (embed.js) there is no routing: links and
+// navigate() open the library site in a new tab instead.
+
+import React, { useEffect, useState } from "react";
+
+const NAV_EVENT = "fairway:navigate";
+
+// Library origin for links when embedded on another site; null = route in-app
+let externalBase = null;
+export function setExternalBase(url) {
+  externalBase = url ? url.replace(/\/+$/, "") : null;
+}
+
+// A path segment decoded, or null when it is malformed (e.g. "%E0%A4%A")
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+export function matchRoute(pathname) {
+  const m = /^\/content\/([^/]+)(?:\/(read|watch))?\/?$/.exec(pathname || "/");
+  if (m) {
+    const slug = decodeSegment(m[1]);
+    if (slug === null) return { name: "notFound", slug: m[1] };
+    if (m[2] === "read") return { name: "reader", slug };
+    if (m[2] === "watch") return { name: "watch", slug };
+    return { name: "item", slug };
+  }
+  const c = /^\/collections(?:\/([^/]+))?\/?$/.exec(pathname || "/");
+  if (c) {
+    const id = c[1] ? decodeSegment(c[1]) : null;
+    if (c[1] && id === null) return { name: "notFound", slug: c[1] };
+    return { name: "collections", id };
+  }
+  if (/^\/shared\/?$/.test(pathname || "/")) return { name: "shared" };
+  if (/^\/editor\/?$/.test(pathname || "/")) return { name: "editor" };
+  return { name: "library" };
+}
+
+export const itemPath = (slug) => `/content/${encodeURIComponent(slug)}`;
+export const readerPath = (slug) => `${itemPath(slug)}/read`;
+export const watchPath = (slug) => `${itemPath(slug)}/watch`;
+export const collectionsPath = (id) =>
+  id ? `/collections/${encodeURIComponent(id)}` : "/collections";
+export const editorPath = () => "/editor";
+
+export function navigate(to, { replace = false } = {}) {
+  if (externalBase !== null) {
+    window.open(externalBase + to, "_blank", "noopener");
+    return;
+  }
+  const fn = replace ? "replaceState" : "pushState";
+  window.history[fn](null, "", to);
+  window.scrollTo(0, 0);
+  window.dispatchEvent(new Event(NAV_EVENT));
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(() =>
+    matchRoute(window.location.pathname)
+  );
+  useEffect(() => {
+    const update = () => setRoute(matchRoute(window.location.pathname));
+    window.addEventListener("popstate", update);
+    window.addEventListener(NAV_EVENT, update);
+    return () => {
+      window.removeEventListener("popstate", update);
+      window.removeEventListener(NAV_EVENT, update);
+    };
+  }, []);
+  return route;
+}
+
+// <a> that navigates in-app; modified clicks (new tab, etc.) fall through to the browser
+export function Link({ to, onClick, children, ...rest }) {
+  if (externalBase !== null) {
+    return (
+      <a
+        href={externalBase + to}
+        target="_blank"
+        rel="noopener noreferrer"
+        onClick={onClick}
+        {...rest}
+      >
+        {children}
+      </a>
+    );
+  }
+  return (
+    <a
+      href={to}
+      onClick={(e) => {
+        if (onClick) onClick(e);
+        if (
+          e.defaultPrevented ||
+          e.button !== 0 ||
+          e.metaKey ||
+          e.ctrlKey ||
+          e.shiftKey ||
+          e.altKey
+        )
+          return;
+        e.preventDefault();
+        navigate(to);
+      }}
+      {...rest}
+    >
+      {children}
+    </a>
+  );
+}
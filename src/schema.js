@@ -0,0 +1,516 @@
+// schema.js — validate and normalize index.json items before the UI sees them
+// Follows the item shape documented at the top of App.js. Every row comes
+// back either normalized (types coerced, defaults filled, arrays trimmed and
+// deduplicated) or quarantined, with a list of issues per row so content ops
+// can fix the source feed.
+
+import { parseTimestamp } from "./media";
+
+export const CONTENT_TYPES = ["whitepaper", "video", "slide", "infographic"];
+export const FUNNEL_STAGES = [
+  "Awareness",
+  "Consideration",
+  "Decision",
+  "Retention",
+];
+// Publishing status (see publishing.js); missing means "published"
+export const STATUSES = ["draft", "published", "archived"];
+export const WORDS_PER_MIN = 200; // reading speed behind read time estimates
+const LIST_FIELDS = ["industries", "personas", "topics", "tags"];
+
+const TYPE_ALIASES = {
+  pdf: "whitepaper",
+  paper: "whitepaper",
+  ebook: "whitepaper",
+  report: "whitepaper",
+  mp4: "video",
+  videos: "video",
+  webinar: "video",
+  slides: "slide",
+  deck: "slide",
+  presentation: "slide",
+  image: "infographic",
+};
+
+// "Zero Trust: A Primer" -> "zero-trust-a-primer"; letters and digits of any
+// script survive (accents on Latin letters are dropped), so a title in Arabic
+// still gives a slug. "" when there's nothing usable.
+export function slugify(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+const isBlank = (v) => v == null || (typeof v === "string" && !v.trim());
+
+function toNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN;
+  if (typeof v === "string") return parseFloat(v.replace(/^v/i, ""));
+  return NaN;
+}
+
+function toDateString(v) {
+  if (isBlank(v)) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : String(v).trim();
+}
+
+// http(s) or site-relative only; rejects javascript:/data: and friends
+function isUrl(v) {
+  if (typeof v !== "string" || !v.trim()) return false;
+  try {
+    const u = new URL(v.trim(), "https://example.com");
+    return u.protocol === "https:" || u.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// Infer a type from the file extension when content_type is missing/unknown
+function typeFromUrl(url) {
+  const ext = (/\.([a-z0-9]+)(?:[?#]|$)/i.exec(url || "") || [])[1];
+  if (!ext) return null;
+  const e = ext.toLowerCase();
+  if (["mp4", "webm", "mov", "m4v"].includes(e)) return "video";
+  if (["pdf"].includes(e)) return "whitepaper";
+  if (["ppt", "pptx", "key"].includes(e)) return "slide";
+  if (["png", "jpg", "jpeg", "webp", "gif", "svg"].includes(e))
+    return "infographic";
+  return null;
+}
+
+// Array of trimmed, non-empty, case-insensitively unique strings.
+// Accepts a comma-separated string too (common in CSV-born feeds).
+function cleanList(v) {
+  const raw = Array.isArray(v)
+    ? v
+    : typeof v === "string"
+    ? v.split(",")
+    : v == null
+    ? []
+    : [v];
+  const seen = new Set();
+  const out = [];
+  for (const x of raw) {
+    if (x == null || typeof x === "object") continue;
+    const s = String(x).trim().replace(/\s+/g, " ");
+    if (!s || seen.has(s.toLowerCase())) continue;
+    seen.add(s.toLowerCase());
+    out.push(s);
+  }
+  return out;
+}
+
+// chapters/transcript: [{ start_sec, <labelKey> }] sorted by time. Accepts
+// start_sec, start or time ("1:23" or seconds). undefined when absent/empty.
+function cleanCues(v, labelKey, field, warn) {
+  if (v == null) return undefined;
+  if (!Array.isArray(v)) {
+    warn(field, `${field} should be an array`);
+    return undefined;
+  }
+  const out = [];
+  for (const c of v) {
+    const label = c && String(c[labelKey] ?? "").trim();
+    const start = c ? parseTimestamp(c.start_sec ?? c.start ?? c.time) : NaN;
+    if (!label || Number.isNaN(start)) continue;
+    out.push({ start_sec: start, [labelKey]: label });
+  }
+  if (out.length !== v.length)
+    warn(
+      field,
+      `dropped ${
+        v.length - out.length
+      } ${field} entries without a time or ${labelKey}`
+    );
+  out.sort((a, b) => a.start_sec - b.start_sec);
+  return out.length ? out : undefined;
+}
+
+// Plain-text transcript, one line per cue: "[1:23] text" or "1:23 text"
+function transcriptFromText(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) =>
+      /^\s*\[?(\d+(?::\d{1,2}){1,2}(?:\.\d+)?)\]?\s+(.*)$/.exec(line)
+    )
+    .filter(Boolean)
+    .map((m) => ({ start_sec: m[1], text: m[2] }));
+}
+
+// versions: [{ version, date, file_url?, notes: string[] }], newest first.
+// notes may be a single string. undefined when absent/empty.
+function cleanVersions(v, warn) {
+  if (v == null) return undefined;
+  if (!Array.isArray(v)) {
+    warn("versions", "versions should be an array");
+    return undefined;
+  }
+  const seen = new Set();
+  const out = [];
+  for (const r of v) {
+    const version = r ? toNumber(r.version) : NaN;
+    const date = r ? toDateString(r.date) : null;
+    if (!(version >= 1) || !date || seen.has(version)) continue;
+    seen.add(version);
+    const notes = (Array.isArray(r.notes) ? r.notes : [r.notes])
+      .filter((n) => typeof n === "string" && n.trim())
+      .map((n) => n.trim());
+    let file;
+    if (!isBlank(r.file_url)) {
+      if (isUrl(r.file_url)) file = r.file_url.trim();
+      else warn("versions", `invalid file_url dropped from v${version}`);
+    }
+    out.push({ version, date, file_url: file, notes });
+  }
+  if (out.length !== v.length)
+    warn(
+      "versions",
+      `dropped ${
+        v.length - out.length
+      } versions entries without a version/date or repeating one`
+    );
+  out.sort((a, b) => b.version - a.version);
+  return out.length ? out : undefined;
+}
+
+// "PT_br" -> "pt-BR"; null unless it looks like a BCP 47 language[-region]
+function cleanLanguage(v) {
+  const m = /^([a-z]{2,3})(?:[-_]([a-z]{2}|\d{3}))?$/i.exec(
+    String(v || "").trim()
+  );
+  return m ? m[1].toLowerCase() + (m[2] ? `-${m[2].toUpperCase()}` : "") : null;
+}
+
+// localized: { [language]: { title?, summary? } }. undefined when absent/empty.
+function cleanLocalized(v, warn) {
+  if (v == null) return undefined;
+  if (typeof v !== "object" || Array.isArray(v)) {
+    warn("localized", "localized should be an object keyed by language");
+    return undefined;
+  }
+  const out = {};
+  for (const [key, text] of Object.entries(v)) {
+    const lang = cleanLanguage(key);
+    const title = text && !isBlank(text.title) ? String(text.title).trim() : "";
+    const summary =
+      text && !isBlank(text.summary) ? String(text.summary).trim() : "";
+    if (!lang || !(title || summary)) {
+      warn("localized", `dropped localized "${key}" (bad language or empty)`);
+      continue;
+    }
+    out[lang] = { title: title || undefined, summary: summary || undefined };
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+// Returns { item, issues }; item is null when the row must be quarantined.
+// issue: { level: "error"|"warning", field, message }
+export function normalizeItem(raw, index) {
+  const issues = [];
+  const warn = (field, message) =>
+    issues.push({ level: "warning", field, message });
+  const fail = (field, message) =>
+    issues.push({ level: "error", field, message });
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    fail("item", `row ${index} is not an object`);
+    return { item: null, issues };
+  }
+  const p = { ...raw };
+
+  // title + file_url are the only fields a card can't do without
+  if (isBlank(p.title)) fail("title", "missing title");
+  else p.title = String(p.title).trim();
+  if (!isUrl(p.file_url)) fail("file_url", "missing or invalid file_url");
+  else p.file_url = String(p.file_url).trim();
+
+  if (isBlank(p.slug)) {
+    const fromId = ["string", "number"].includes(typeof p.id)
+      ? slugify(p.id)
+      : "";
+    p.slug = slugify(p.title) || fromId;
+    if (p.slug) warn("slug", `missing slug, generated "${p.slug}"`);
+    else fail("slug", "missing slug and no title or id to derive one from");
+  } else if (slugify(p.slug) !== String(p.slug)) {
+    const s = slugify(p.slug);
+    if (s) warn("slug", `slug "${p.slug}" normalized to "${s}"`);
+    else fail("slug", `slug "${p.slug}" has no letters or digits`);
+    p.slug = s;
+  }
+
+  if (isBlank(p.id) || (typeof p.id !== "string" && typeof p.id !== "number")) {
+    if (p.slug) warn("id", `missing id, using slug "${p.slug}"`);
+    p.id = p.slug;
+  }
+
+  if (isBlank(p.summary)) {
+    if (p.summary !== undefined) warn("summary", "empty summary");
+    else warn("summary", "missing summary");
+    p.summary = "";
+  } else p.summary = String(p.summary).trim();
+
+  for (const f of LIST_FIELDS) {
+    const cleaned = cleanList(p[f]);
+    const before = Array.isArray(p[f]) ? p[f].length : null;
+    if (p[f] != null && !Array.isArray(p[f]))
+      warn(f, `${f} should be an array`);
+    else if (before != null && before !== cleaned.length)
+      warn(f, `removed ${before - cleaned.length} empty/duplicate ${f}`);
+    p[f] = cleaned;
+  }
+
+  const type = String(p.content_type || "")
+    .trim()
+    .toLowerCase();
+  if (CONTENT_TYPES.includes(type)) p.content_type = type;
+  else if (TYPE_ALIASES[type]) {
+    warn("content_type", `"${p.content_type}" read as "${TYPE_ALIASES[type]}"`);
+    p.content_type = TYPE_ALIASES[type];
+  } else {
+    const inferred = typeFromUrl(p.file_url);
+    const label = type
+      ? `unknown content_type "${type}"`
+      : "missing content_type";
+    if (inferred) {
+      warn("content_type", `${label}, inferred "${inferred}" from file_url`);
+      p.content_type = inferred;
+    } else {
+      warn("content_type", `${label}, shown as generic content`);
+      p.content_type = type || "content";
+    }
+  }
+
+  if (!isBlank(p.funnel_stage)) {
+    const stage = FUNNEL_STAGES.find(
+      (s) => s.toLowerCase() === String(p.funnel_stage).trim().toLowerCase()
+    );
+    if (!stage)
+      warn("funnel_stage", `unknown funnel_stage "${p.funnel_stage}"`);
+    p.funnel_stage = stage;
+  } else p.funnel_stage = undefined;
+
+  const date = toDateString(p.release_date);
+  if (!date)
+    warn(
+      "release_date",
+      isBlank(p.release_date)
+        ? "missing release_date"
+        : `invalid release_date "${p.release_date}"`
+    );
+  p.release_date = date;
+
+  const version = toNumber(p.version);
+  if (!(version >= 1)) {
+    if (p.version !== undefined)
+      warn("version", `invalid version "${p.version}"`);
+    p.version = 1;
+  } else p.version = version;
+
+  // Edition history; `version` follows its newest entry and `updated_at` is
+  // the latest revision date (release_date when there is no history)
+  p.versions = cleanVersions(p.versions, warn);
+  if (p.versions && p.versions[0].version > p.version) {
+    warn(
+      "version",
+      `version ${p.version} is behind versions (v${p.versions[0].version})`
+    );
+    p.version = p.versions[0].version;
+  }
+  p.updated_at = (p.versions || []).reduce(
+    (latest, r) =>
+      !latest || new Date(r.date) > new Date(latest) ? r.date : latest,
+    p.release_date
+  );
+
+  const words = toNumber(p.words);
+  p.words = words > 0 ? Math.round(words) : undefined;
+  // Read time from words where reading is the measure; videos (duration)
+  // and decks (slide count) are timed by contentTypes.js, which also
+  // estimates anything still unset
+  const rt = toNumber(p.read_time_min);
+  if (rt > 0) p.read_time_min = rt;
+  else {
+    if (p.read_time_min !== undefined)
+      warn("read_time_min", `invalid read_time_min "${p.read_time_min}"`);
+    p.read_time_min = undefined;
+    if (p.words && !["video", "slide"].includes(p.content_type)) {
+      p.read_time_min = Math.max(1, Math.round(p.words / WORDS_PER_MIN));
+      warn(
+        "read_time_min",
+        `missing read_time_min, estimated ${p.read_time_min} from words`
+      );
+    }
+  }
+
+  const dur = toNumber(p.duration_sec);
+  p.duration_sec = dur >= 0 ? dur : undefined;
+  if (p.content_type === "video" && p.duration_sec === undefined)
+    warn("duration_sec", "video without duration_sec");
+
+  if (isBlank(p.cover_url)) p.cover_url = undefined;
+  else if (!isUrl(p.cover_url)) {
+    warn("cover_url", "invalid cover_url dropped");
+    p.cover_url = undefined;
+  }
+
+  // Optional video extras: captions, chapters, transcript
+  if (isBlank(p.captions_url)) p.captions_url = undefined;
+  else if (!isUrl(p.captions_url)) {
+    warn("captions_url", "invalid captions_url dropped");
+    p.captions_url = undefined;
+  }
+  p.chapters = cleanCues(p.chapters, "title", "chapters", warn);
+  if (typeof p.transcript === "string")
+    p.transcript = transcriptFromText(p.transcript);
+  p.transcript = cleanCues(p.transcript, "text", "transcript", warn);
+
+  // Content language (English unless stated), per-language title/summary
+  // variants, and language_group tying translated siblings together (i18n.js)
+  const language = cleanLanguage(p.language);
+  if (!language && !isBlank(p.language))
+    warn("language", `invalid language "${p.language}", read as "en"`);
+  p.language = language || "en";
+  p.localized = cleanLocalized(p.localized, warn);
+  p.language_group = isBlank(p.language_group)
+    ? undefined
+    : String(p.language_group).trim();
+
+  // Publishing schedule (publishing.js): draft/published/archived plus
+  // optional embargo and expiry times
+  const status = String(p.status || "")
+    .trim()
+    .toLowerCase();
+  if (status && !STATUSES.includes(status))
+    warn("status", `unknown status "${p.status}", read as "published"`);
+  p.status = STATUSES.includes(status) ? status : "published";
+  for (const f of ["publish_at", "expires_at"]) {
+    const at = toDateString(p[f]);
+    if (!at && !isBlank(p[f])) warn(f, `invalid ${f} "${p[f]}" ignored`);
+    p[f] = at || undefined;
+  }
+  if (
+    p.publish_at &&
+    p.expires_at &&
+    new Date(p.expires_at) <= new Date(p.publish_at)
+  )
+    warn("expires_at", "expires_at is not after publish_at, never shown");
+
+  // Lead-capture flag; feeds written by hand use "yes"/"true"/1 too
+  p.gated =
+    p.gated === true ||
+    ["true", "yes", "1"].includes(String(p.gated).trim().toLowerCase());
+
+  // Slide decks: optional per-slide images for the carousel
+  if (p.slides != null) {
+    const list = Array.isArray(p.slides) ? p.slides : [];
+    const slides = list.filter(isUrl).map((u) => u.trim());
+    if (!Array.isArray(p.slides)) warn("slides", "slides should be an array");
+    else if (slides.length !== list.length)
+      warn(
+        "slides",
+        `dropped ${list.length - slides.length} invalid slide URLs`
+      );
+    p.slides = slides.length ? slides : undefined;
+  }
+  const slideCount = toNumber(p.slide_count);
+  p.slide_count =
+    slideCount > 0
+      ? Math.round(slideCount)
+      : p.slides
+      ? p.slides.length
+      : undefined;
+  if (
+    p.content_type === "infographic" &&
+    typeFromUrl(p.file_url) !== "infographic" &&
+    !p.cover_url
+  )
+    warn("cover_url", "infographic without an image file or cover_url");
+
+  const ok = !issues.some((i) => i.level === "error");
+  return { item: ok ? p : null, issues };
+}
+
+// Normalizes a whole feed (array or { items }). Duplicate ids/slugs get a
+// numeric suffix so React keys and /content/:slug stay unique.
+// Returns { items, quarantined, report, stats }.
+export function normalizeCatalogue(json) {
+  const rows = Array.isArray(json) ? json : json && json.items;
+  const report = [];
+  const items = [];
+  const quarantined = [];
+  if (!Array.isArray(rows)) {
+    report.push({
+      index: -1,
+      label: "feed",
+      issues: [
+        { level: "error", field: "items", message: "feed has no items array" },
+      ],
+    });
+    return { items, quarantined, report, stats: stats(0, items, report) };
+  }
+
+  const ids = new Set();
+  const slugs = new Set();
+  const unique = (set, v) => {
+    let out = v;
+    for (let n = 2; set.has(String(out)); n++) out = `${v}-${n}`;
+    set.add(String(out));
+    return out;
+  };
+
+  rows.forEach((raw, i) => {
+    const { item, issues } = normalizeItem(raw, i);
+    if (item) {
+      const id = unique(ids, item.id);
+      if (id !== item.id) {
+        issues.push({
+          level: "warning",
+          field: "id",
+          message: `duplicate id "${item.id}", renamed "${id}"`,
+        });
+        item.id = id;
+      }
+      const slug = unique(slugs, item.slug);
+      if (slug !== item.slug) {
+        issues.push({
+          level: "warning",
+          field: "slug",
+          message: `duplicate slug "${item.slug}", renamed "${slug}"`,
+        });
+        item.slug = slug;
+      }
+      items.push(item);
+    } else quarantined.push({ index: i, raw, issues });
+    if (issues.length) {
+      report.push({
+        index: i,
+        label: (raw && (raw.slug || raw.title || raw.id)) || `row ${i}`,
+        quarantined: !item,
+        issues,
+      });
+    }
+  });
+
+  return {
+    items,
+    quarantined,
+    report,
+    stats: stats(rows.length, items, report),
+  };
+}
+
+function stats(total, items, report) {
+  const all = report.flatMap((r) => r.issues);
+  return {
+    total,
+    valid: items.length,
+    quarantined: total - items.length,
+    errors: all.filter((i) => i.level === "error").length,
+    warnings: all.filter((i) => i.level === "warning").length,
+  };
+}
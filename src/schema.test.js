@@ -0,0 +1,143 @@
+import { normalizeCatalogue, normalizeItem, slugify } from "./schema";
+
+const row = (extra) => ({
+  id: 1,
+  slug: "zero-trust",
+  title: "Zero Trust",
+  summary: "A primer.",
+  content_type: "whitepaper",
+  release_date: "2024-01-15",
+  file_url: "/files/zero-trust.pdf",
+  ...extra,
+});
+const fields = (issues, level) =>
+  issues.filter((i) => i.level === level).map((i) => i.field);
+
+describe("slugify", () => {
+  test("dashes words and drops Latin accents", () => {
+    expect(slugify("Zero Trust: A Primer")).toBe("zero-trust-a-primer");
+    expect(slugify("  Café — Déjà vu!  ")).toBe("cafe-deja-vu");
+  });
+
+  test("keeps letters of other scripts", () => {
+    expect(slugify("دليل الأمان")).toBe("دليل-الأمان");
+    expect(slugify("보안 가이드")).toBe("보안-가이드");
+  });
+
+  test("is empty when there are no letters or digits", () => {
+    expect(slugify("!!! ---")).toBe("");
+    expect(slugify(null)).toBe("");
+  });
+});
+
+describe("normalizeItem", () => {
+  test("passes a clean row through without issues", () => {
+    const { item, issues } = normalizeItem(row(), 0);
+    expect(issues).toEqual([]);
+    expect(item).toMatchObject({
+      slug: "zero-trust",
+      version: 1,
+      status: "published",
+      language: "en",
+      gated: false,
+      updated_at: "2024-01-15",
+    });
+  });
+
+  test("quarantines rows without a title or a usable file_url", () => {
+    const { item, issues } = normalizeItem(
+      row({ title: " ", file_url: "data:text/html,hi" }),
+      0
+    );
+    expect(item).toBeNull();
+    expect(fields(issues, "error")).toEqual(["title", "file_url"]);
+  });
+
+  test("derives a missing slug from the title, then the id", () => {
+    expect(normalizeItem(row({ slug: "" }), 0).item.slug).toBe("zero-trust");
+    const arabic = row({ slug: undefined, title: "دليل الأمان" });
+    expect(normalizeItem(arabic, 0).item.slug).toBe("دليل-الأمان");
+    const symbols = row({ slug: undefined, title: "???", id: "ZT-01" });
+    expect(normalizeItem(symbols, 0).item.slug).toBe("zt-01");
+  });
+
+  test("quarantines a slug with no letters or digits", () => {
+    const { item, issues } = normalizeItem(row({ slug: "---" }), 0);
+    expect(item).toBeNull();
+    expect(fields(issues, "error")).toEqual(["slug"]);
+  });
+
+  test("reads type aliases and infers a type from the file", () => {
+    expect(
+      normalizeItem(row({ content_type: "Webinar" }), 0).item
+    ).toMatchObject({ content_type: "video" });
+    const untyped = row({ content_type: "", file_url: "/v/intro.mp4" });
+    expect(normalizeItem(untyped, 0).item.content_type).toBe("video");
+  });
+
+  test("cleans lists, stages and versions", () => {
+    const { item } = normalizeItem(
+      row({
+        topics: [" Cloud ", "cloud", "", "AI"],
+        tags: "Video, Demo",
+        funnel_stage: "decision",
+        version: "v2",
+      }),
+      0
+    );
+    expect(item.topics).toEqual(["Cloud", "AI"]);
+    expect(item.tags).toEqual(["Video", "Demo"]);
+    expect(item.funnel_stage).toBe("Decision");
+    expect(item.version).toBe(2);
+  });
+
+  test("estimates read time from words for reading formats only", () => {
+    expect(normalizeItem(row({ words: 1000 }), 0).item.read_time_min).toBe(5);
+    const video = row({ content_type: "video", words: 1000 });
+    expect(normalizeItem(video, 0).item.read_time_min).toBeUndefined();
+    const given = row({ words: 1000, read_time_min: "12" });
+    expect(normalizeItem(given, 0).item.read_time_min).toBe(12);
+  });
+
+  test("keeps undated items with a warning", () => {
+    const { item, issues } = normalizeItem(row({ release_date: "soon" }), 0);
+    expect(item.release_date).toBeNull();
+    expect(item.updated_at).toBeNull();
+    expect(fields(issues, "warning")).toEqual(["release_date"]);
+  });
+});
+
+describe("normalizeCatalogue", () => {
+  test("accepts an array or an { items } wrapper", () => {
+    expect(normalizeCatalogue([row()]).items).toHaveLength(1);
+    expect(normalizeCatalogue({ items: [row()] }).items).toHaveLength(1);
+  });
+
+  test("reports a feed without items", () => {
+    const { items, stats } = normalizeCatalogue({ data: [] });
+    expect(items).toEqual([]);
+    expect(stats.errors).toBe(1);
+  });
+
+  test("renames duplicate ids and slugs", () => {
+    const { items, report } = normalizeCatalogue([row(), row(), row()]);
+    expect(items.map((p) => p.slug)).toEqual([
+      "zero-trust",
+      "zero-trust-2",
+      "zero-trust-3",
+    ]);
+    expect(items.map((p) => p.id)).toEqual([1, "1-2", "1-3"]);
+    expect(report.map((r) => r.index)).toEqual([1, 2]);
+  });
+
+  test("quarantines bad rows and counts them", () => {
+    const { items, quarantined, stats } = normalizeCatalogue([
+      row(),
+      row({ id: 2, slug: "b", file_url: "" }),
+      "not an item",
+    ]);
+    expect(items).toHaveLength(1);
+    expect(quarantined.map((q) => q.index)).toEqual([1, 2]);
+    expect(stats).toMatchObject({ total: 3, valid: 1, quarantined: 2 });
+  });
+});
@@ -0,0 +1,371 @@
+// search.js — indexed, ranked full-text search over catalogue items
+// Build once per catalogue with buildIndex(items), then search(index, q) per keystroke.
+// Query syntax:
+//   zero trust          every term must match (any field), ranked BM25F
+//   "zero trust"        phrase: tokens adjacent within one field value
+//   -video  -"ai ops"   exclude items matching the term / phrase
+//   persona:CISO  topic:"Zero Trust"  -tag:Video   field filters (see FIELD_ALIASES)
+// Plain terms with no exact hit fall back to fuzzy matches within editBudget();
+// suggest(index, q) offers a "did you mean" rewrite when nothing matches at all.
+
+// Per-field BM25F weights: title > summary > topics/tags > personas/industries.
+// Weight-0 fields are indexed for field filters only (type:video, stage:Decision).
+const FIELDS = {
+  title: 3,
+  summary: 1.5,
+  topics: 1,
+  tags: 1,
+  personas: 0.75,
+  industries: 0.75,
+  content_type: 0,
+  funnel_stage: 0,
+};
+
+const FIELD_ALIASES = {
+  title: "title",
+  summary: "summary",
+  topic: "topics",
+  topics: "topics",
+  tag: "tags",
+  tags: "tags",
+  persona: "personas",
+  personas: "personas",
+  industry: "industries",
+  industries: "industries",
+  type: "content_type",
+  stage: "funnel_stage",
+};
+
+const K1 = 1.2;
+const B = 0.75;
+const PHRASE_BOOST = 2; // per weighted field containing the whole phrase
+const FUZZY_PENALTY = 0.25; // score multiplier lost per edit on a fuzzy match
+
+// "Did you mean" only proposes words readers would recognise from the UI
+const SUGGEST_FIELDS = ["title", "topics", "tags"];
+
+// "it" and "ai" are deliberately absent: both are real catalogue vocabulary.
+const STOPWORDS = new Set(
+  "a an and are as at be by for from how in into is of on or the to what with your".split(
+    " "
+  )
+);
+
+/* ---------- Text analysis ---------- */
+
+// Light suffix stripper: one inflectional suffix, then one derivational
+// suffix (only when a 4+ char stem remains), then a trailing "e", so
+// governance/govern, securing/secure/secured and policies/policy collide.
+export function stem(w) {
+  if (w.length <= 3 || /\d/.test(w)) return w;
+  if (w.endsWith("ies") && w.length > 4) w = w.slice(0, -3) + "y";
+  else if (/(ss|x|ch|sh)es$/.test(w)) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+  for (const suf of ["ation", "ance", "ence", "ing", "ed", "er", "ly"]) {
+    if (w.endsWith(suf) && w.length - suf.length >= 4) {
+      w = w.slice(0, -suf.length);
+      break;
+    }
+  }
+  if (w.endsWith("e") && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+// Lower-cased, mark-folded words without stopwords (not yet stemmed). Any
+// script counts: dropping combining marks folds Latin accents and Arabic
+// harakat alike, so "café"/"cafe" and "كِتاب"/"كتاب" meet.
+export function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .normalize("NFC")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+export function tokenize(text) {
+  return words(text).map(stem);
+}
+
+/* ---------- Edit distance ---------- */
+
+// Typos allowed per word: none for short words (too many false friends),
+// one up to 7 chars, two beyond that.
+export function editBudget(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 7) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance (adjacent transpositions cost 1), with
+// early exit once every cell in a row exceeds max. Returns max + 1 if over.
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prev2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return Math.min(prev[b.length], max + 1);
+}
+
+/* ---------- Index ---------- */
+
+// Each field is a list of segments (one per array value) so phrases never
+// span two different topics/tags.
+function valuesOf(item, field) {
+  const v = item[field];
+  if (Array.isArray(v)) return v;
+  return v == null || v === "" ? [] : [v];
+}
+
+const segmentsOf = (item, field) => valuesOf(item, field).map(tokenize);
+
+export function buildIndex(items) {
+  const scored = Object.keys(FIELDS).filter((f) => FIELDS[f] > 0);
+  const totals = {};
+  const postings = new Map(); // term -> Set(doc index), scored fields only
+  const vocab = new Map(); // unstemmed word -> { stem, n, suggest }, for fuzzy/suggest
+  const docs = items.map((item, i) => {
+    const fields = {};
+    const tf = {}; // field -> Map(term -> count)
+    const len = {};
+    for (const f of Object.keys(FIELDS)) {
+      fields[f] = segmentsOf(item, f);
+      const counts = new Map();
+      let n = 0;
+      for (const seg of fields[f]) {
+        for (const t of seg) {
+          counts.set(t, (counts.get(t) || 0) + 1);
+          n++;
+        }
+      }
+      tf[f] = counts;
+      len[f] = n;
+      totals[f] = (totals[f] || 0) + n;
+      if (FIELDS[f] > 0) {
+        for (const t of counts.keys()) {
+          if (!postings.has(t)) postings.set(t, new Set());
+          postings.get(t).add(i);
+        }
+        for (const w of valuesOf(item, f).flatMap(words)) {
+          const v = vocab.get(w) || { stem: stem(w), n: 0, suggest: false };
+          v.n++;
+          if (SUGGEST_FIELDS.includes(f)) v.suggest = true;
+          vocab.set(w, v);
+        }
+      }
+    }
+    return { item, fields, tf, len };
+  });
+  const avgLen = {};
+  for (const f of scored)
+    avgLen[f] = docs.length ? totals[f] / docs.length || 1 : 1;
+  return { docs, postings, vocab, avgLen, N: docs.length };
+}
+
+/* ---------- Query parsing ---------- */
+
+export function parseSearch(raw) {
+  const query = { terms: [], phrases: [], fields: [], excludes: [] };
+  const re = /(-?)(?:([a-z_]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let m;
+  while ((m = re.exec(raw || ""))) {
+    const [, neg, prefix, quoted, bare] = m;
+    const field = prefix && FIELD_ALIASES[prefix.toLowerCase()];
+    // unknown prefixes (e.g. "ratio:3") are just text
+    const text =
+      prefix && !field ? `${prefix} ${quoted ?? bare}` : (quoted ?? bare);
+    const tokens = tokenize(text);
+    if (!tokens.length) continue;
+    const clause = field
+      ? { kind: "field", field, tokens }
+      : quoted != null
+        ? { kind: "phrase", tokens }
+        : { kind: "term", tokens }; // "zero-trust" unquoted -> both terms
+    if (neg) query.excludes.push(clause);
+    else if (clause.kind === "field") query.fields.push(clause);
+    else if (clause.kind === "phrase") query.phrases.push(clause);
+    else
+      query.terms.push(...words(text).map((w) => ({ word: w, stem: stem(w) })));
+  }
+  return query;
+}
+
+const isEmpty = (query) =>
+  !query.terms.length &&
+  !query.phrases.length &&
+  !query.fields.length &&
+  !query.excludes.length;
+
+/* ---------- Matching ---------- */
+
+function segmentHasRun(seg, tokens) {
+  outer: for (let i = 0; i + tokens.length <= seg.length; i++) {
+    for (let j = 0; j < tokens.length; j++) {
+      if (seg[i + j] !== tokens[j]) continue outer;
+    }
+    return true;
+  }
+  return false;
+}
+
+function fieldHasRun(doc, field, tokens) {
+  return doc.fields[field].some((seg) => segmentHasRun(seg, tokens));
+}
+
+function matchesClause(index, i, clause) {
+  const doc = index.docs[i];
+  if (clause.kind === "field")
+    return fieldHasRun(doc, clause.field, clause.tokens);
+  if (clause.kind === "term") {
+    return clause.tokens.every((t) => index.postings.get(t)?.has(i));
+  }
+  return Object.keys(FIELDS).some(
+    (f) => FIELDS[f] > 0 && fieldHasRun(doc, f, clause.tokens)
+  );
+}
+
+/* ---------- Scoring ---------- */
+
+function idf(index, term) {
+  const df = index.postings.get(term)?.size || 0;
+  return Math.log(1 + (index.N - df + 0.5) / (df + 0.5));
+}
+
+function bm25f(index, doc, term) {
+  let tf = 0;
+  for (const [f, w] of Object.entries(FIELDS)) {
+    if (!w) continue;
+    const n = doc.tf[f].get(term);
+    if (!n) continue;
+    tf += (w * n) / (1 - B + (B * doc.len[f]) / index.avgLen[f]);
+  }
+  return tf ? (idf(index, term) * tf) / (K1 + tf) : 0;
+}
+
+/* ---------- Fuzzy expansion ---------- */
+
+// Alternatives for one query term: the exact stem when it is indexed,
+// otherwise every vocabulary stem within the term's edit budget.
+function expandTerm(index, { word, stem: st }) {
+  if (index.postings.has(st)) return [{ stem: st, weight: 1 }];
+  const max = editBudget(word);
+  const best = new Map(); // stem -> weight
+  if (!max) return [];
+  for (const [w, v] of index.vocab) {
+    const d = editDistance(word, w, max);
+    if (d > max) continue;
+    const weight = 1 - FUZZY_PENALTY * d;
+    if (weight > (best.get(v.stem) || 0)) best.set(v.stem, weight);
+  }
+  return [...best].map(([s, weight]) => ({ stem: s, weight }));
+}
+
+// Returns null for an empty query (everything matches, nothing to rank),
+// otherwise a Map of matching item -> relevance score.
+export function search(index, raw) {
+  const query = parseSearch(raw);
+  if (isEmpty(query)) return null;
+
+  const terms = query.terms.map((t) => expandTerm(index, t));
+  if (terms.some((alts) => !alts.length)) return new Map();
+  const docsFor = (alts) => {
+    const set = new Set();
+    for (const a of alts)
+      for (const i of index.postings.get(a.stem)) set.add(i);
+    return set;
+  };
+  const termDocs = terms.map(docsFor);
+
+  const positive = [...query.phrases, ...query.fields];
+  // Seed candidates from the rarest term when there is one
+  let candidates = null;
+  for (const set of termDocs) {
+    if (!candidates || set.size < candidates.length) candidates = [...set];
+  }
+  if (!candidates) candidates = index.docs.map((_, i) => i);
+
+  const results = new Map();
+  for (const i of candidates) {
+    if (!termDocs.every((set) => set.has(i))) continue;
+    if (!positive.every((c) => matchesClause(index, i, c))) continue;
+    if (query.excludes.some((c) => matchesClause(index, i, c))) continue;
+
+    const doc = index.docs[i];
+    let score = 0;
+    for (const alts of terms) {
+      score += Math.max(
+        ...alts.map((a) => a.weight * bm25f(index, doc, a.stem))
+      );
+    }
+    for (const ph of query.phrases) {
+      for (const t of ph.tokens) score += bm25f(index, doc, t);
+      for (const [f, w] of Object.entries(FIELDS)) {
+        if (w && fieldHasRun(doc, f, ph.tokens)) score += w * PHRASE_BOOST;
+      }
+    }
+    results.set(doc.item, score);
+  }
+  return results;
+}
+
+/* ---------- Did you mean ---------- */
+
+// Closest title/topic/tag word to `word`, allowing one more edit than search
+// does; ties go to the more frequent word.
+function closestWord(index, word) {
+  const max = editBudget(word) + 1;
+  let best = null;
+  for (const [w, v] of index.vocab) {
+    if (!v.suggest || w === word) continue;
+    const d = editDistance(word, w, max);
+    if (d > max) continue;
+    if (!best || d < best.d || (d === best.d && v.n > best.n)) {
+      best = { w, d, n: v.n };
+    }
+  }
+  return best && best.w;
+}
+
+// Rewrites misspelt plain words in `raw` (phrases, field prefixes and
+// exclusions are left alone). Returns null unless the rewrite has results.
+export function suggest(index, raw) {
+  let changed = false;
+  const fixed = String(raw || "").replace(
+    /(^|\s)([^\s"\-:][^\s":]*)(?=\s|$)/g,
+    (all, lead, token) => {
+      const ws = words(token);
+      if (ws.length !== 1 || ws[0] !== token.toLowerCase()) return all;
+      const known = index.vocab.get(ws[0]);
+      if (known && known.suggest) return all;
+      const w = closestWord(index, ws[0]);
+      if (!w) return all;
+      changed = true;
+      return lead + w;
+    }
+  );
+  if (!changed) return null;
+  const res = search(index, fixed);
+  return res && res.size ? fixed : null;
+}
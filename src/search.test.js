@@ -0,0 +1,134 @@
+import { buildIndex, parseSearch, search, suggest, words } from "./search";
+
+const ITEMS = [
+  {
+    slug: "zero-trust-primer",
+    title: "Zero Trust Primer",
+    summary: "Where to start with identity-first security.",
+    topics: ["Zero Trust"],
+    personas: ["CISO"],
+    content_type: "whitepaper",
+  },
+  {
+    slug: "cloud-costs",
+    title: "Cutting Cloud Costs",
+    summary: "A zero trust network is one of many trust models.",
+    topics: ["Cloud"],
+    personas: ["CFO"],
+    content_type: "video",
+  },
+  {
+    slug: "ai-ops-video",
+    title: "AI Ops in Practice",
+    summary: "Operations teams automating incident response.",
+    topics: ["AI Ops", "Trust"],
+    tags: ["Video"],
+    content_type: "video",
+  },
+  {
+    slug: "دليل-الأمان",
+    title: "دليل الأمان السحابي",
+    summary: "مقدمة إلى أمن السحابة",
+    topics: ["أمن"],
+    content_type: "whitepaper",
+  },
+];
+
+const index = buildIndex(ITEMS);
+const slugs = (results) => [...results.keys()].map((p) => p.slug);
+const ranked = (results) =>
+  [...results].sort((a, b) => b[1] - a[1]).map(([p]) => p.slug);
+
+describe("words", () => {
+  test("lower-cases, folds accents and drops stopwords", () => {
+    expect(words("The Café of Zürich")).toEqual(["cafe", "zurich"]);
+  });
+
+  test("keeps letters and digits of any script", () => {
+    expect(words("دليل الأمان")).toEqual(["دليل", "الامان"]);
+    expect(words("보안 가이드 2024")).toEqual(["보안", "가이드", "2024"]);
+    expect(words("Краткое руководство")).toEqual(["краткое", "руководство"]);
+  });
+
+  test("folds Arabic diacritics like Latin accents", () => {
+    expect(words("كِتاب")).toEqual(words("كتاب"));
+  });
+});
+
+describe("search", () => {
+  test("returns null for an empty query", () => {
+    expect(search(index, "")).toBeNull();
+    expect(search(index, "   ")).toBeNull();
+  });
+
+  test("requires every term and ranks title hits above summary hits", () => {
+    const results = search(index, "zero trust");
+    expect(slugs(results).sort()).toEqual(["cloud-costs", "zero-trust-primer"]);
+    expect(ranked(results)[0]).toBe("zero-trust-primer");
+  });
+
+  test("matches stems", () => {
+    expect(slugs(search(index, "operation"))).toEqual(["ai-ops-video"]);
+  });
+
+  test("phrases need adjacent tokens within one field value", () => {
+    expect(slugs(search(index, '"trust zero"'))).toEqual([]);
+    expect(slugs(search(index, '"zero trust"')).sort()).toEqual([
+      "cloud-costs",
+      "zero-trust-primer",
+    ]);
+  });
+
+  test("excludes terms and phrases", () => {
+    expect(slugs(search(index, "trust -cloud")).sort()).toEqual([
+      "ai-ops-video",
+      "zero-trust-primer",
+    ]);
+    expect(slugs(search(index, 'trust -"ai ops"')).sort()).toEqual([
+      "cloud-costs",
+      "zero-trust-primer",
+    ]);
+  });
+
+  test("field filters only look at their field", () => {
+    expect(slugs(search(index, "persona:ciso"))).toEqual(["zero-trust-primer"]);
+    expect(slugs(search(index, "type:video")).sort()).toEqual([
+      "ai-ops-video",
+      "cloud-costs",
+    ]);
+    expect(slugs(search(index, "trust -tag:video")).sort()).toEqual([
+      "cloud-costs",
+      "zero-trust-primer",
+    ]);
+  });
+
+  test("unknown prefixes are searched as text", () => {
+    expect(parseSearch("ratio:3").fields).toEqual([]);
+    expect(parseSearch("ratio:3").terms.map((t) => t.word)).toEqual([
+      "ratio",
+      "3",
+    ]);
+  });
+
+  test("falls back to fuzzy matches within the edit budget", () => {
+    expect(slugs(search(index, "primr"))).toEqual(["zero-trust-primer"]);
+    expect(search(index, "zzzzzz").size).toBe(0);
+  });
+
+  test("searches non-Latin text instead of matching everything", () => {
+    const results = search(index, "السحابي");
+    expect(results).not.toBeNull();
+    expect(slugs(results)).toEqual(["دليل-الأمان"]);
+    expect(slugs(search(index, "topic:أمن"))).toEqual(["دليل-الأمان"]);
+  });
+});
+
+describe("suggest", () => {
+  test("rewrites a misspelt word when the rewrite has results", () => {
+    expect(suggest(index, "clowd")).toBe("cloud");
+  });
+
+  test("returns null when the query is already fine", () => {
+    expect(suggest(index, "cloud")).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+// searchStore.js — named query + facet combinations kept in localStorage
+// A saved search is { id, name, state, createdAt } where state is the
+// urlState.js shape minus paging. runSaved() applies one to the catalogue the
+// same way the library does (search.js ranking aside).
+
+import { FACETS, facetMode, matchesFacet } from "./facets";
+import { isArchived } from "./publishing";
+import { matchesRanges } from "./ranges";
+import { search } from "./search";
+import { DEFAULT_STATE } from "./urlState";
+
+const KEY = "fairway:searches:v1";
+const SAVED_KEYS = Object.keys(DEFAULT_STATE).filter(
+  (k) => k !== "page" && k !== "pageSize"
+);
+
+export function loadSearches() {
+  try {
+    const list = JSON.parse(window.localStorage.getItem(KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function save(list) {
+  try {
+    window.localStorage.setItem(KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn("Saved searches not stored:", e);
+  }
+  return list;
+}
+
+export function saveSearch(name, urlState) {
+  const state = {};
+  for (const k of SAVED_KEYS) state[k] = urlState[k];
+  const s = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: name.trim() || "Untitled search",
+    state,
+    createdAt: Date.now(),
+  };
+  return save([...loadSearches(), s]);
+}
+
+export const deleteSearch = (id) =>
+  save(loadSearches().filter((s) => s.id !== id));
+
+// Nothing to save when the library is unfiltered
+export const isFiltered = (urlState) =>
+  SAVED_KEYS.filter((k) => k !== "sort").some((k) =>
+    Array.isArray(urlState[k]) ? urlState[k].length : urlState[k]
+  );
+
+// Facet key (facets.js) -> state key (urlState.js) where they differ
+const STATE_KEY = { type: "ctype" };
+
+// Items a saved search matches today; index is search.js's buildIndex()
+export function runSaved(index, items, state) {
+  const s = { ...DEFAULT_STATE, ...state };
+  const hits = search(index, s.q);
+  return (hits ? items.filter((p) => hits.has(p)) : items).filter(
+    (p) =>
+      (s.archived || !isArchived(p)) &&
+      matchesRanges(p, s) &&
+      FACETS.every((f) =>
+        matchesFacet(
+          p,
+          f,
+          s[STATE_KEY[f.key] || f.key],
+          facetMode(f, s.facetAnd)
+        )
+      )
+  );
+}
@@ -0,0 +1,28 @@
+// siteConfig.js — where the catalogue lives and where the site is published
+// Plain data: read by the app and by scripts/prerender.mjs at build time.
+
+// Set this to your custom domain once SSL is live
+// e.g. https://learning.the.fairway.fairwaydigitalmedia.com/index.json
+// No cache-buster needed: catalogueCache.js revalidates on every load.
+export const DATA_URL =
+  "https://pub-9d76e1d511764457a42a4f9797dbe836.r2.dev/index.json";
+
+// Catalogue sources, fetched in parallel and merged (see federation.js).
+// Order is priority: on a slug clash with equal versions the earlier source wins.
+// `id` must be stable (cache keys, id prefixes); `label` is the Source facet value.
+export const SOURCES = [
+  { id: "main", label: "Fairway Library", url: DATA_URL },
+  // { id: "partners", label: "Partner co-marketing", url: "https://…/partners/index.json" },
+  // { id: "emea", label: "EMEA team", url: "https://…/emea/index.json" },
+];
+
+// Public origin of the library: canonical links, sitemap.xml and the feed.
+// The SITE_URL environment variable overrides it for a build.
+export const SITE_URL = "https://learning.the.fairway.fairwaydigitalmedia.com";
+export const SITE_NAME = "Fairway Content Library";
+
+// Reviewers open the library with ?preview=<token> to see drafts, embargoed
+// and expired items (publishing.js). Set REACT_APP_PREVIEW_TOKEN at build
+// time; when it's empty, preview mode is off. It ships in the bundle, so it
+// is a speed bump, not access control.
+export const PREVIEW_TOKEN = process.env.REACT_APP_PREVIEW_TOKEN || "";
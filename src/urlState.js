@@ -0,0 +1,137 @@
+// urlState.js — serialize library UI state to/from the query string
+// Keeps search, facets, ranges, sort and paging shareable
+// (e.g. ?persona=CISO&stage=Decision&type=whitepaper&tmax=15&released=30d).
+
+import { DATE_PRESETS, isDay } from "./ranges";
+
+// Defaults are omitted from the URL so a bare "/" is the unfiltered library.
+export const DEFAULT_STATE = {
+  q: "",
+  ctype: [],
+  industries: [],
+  personas: [],
+  topics: [],
+  tags: [],
+  stage: [],
+  year: [],
+  source: [],
+  language: [],
+  facetAnd: [], // multi-valued facets switched from "any" to "all" matching
+  timeMin: null, // time to consume in minutes (ranges.js); null = open end
+  timeMax: null,
+  released: "", // release date preset (DATE_PRESETS) …
+  from: "", // … or explicit "YYYY-MM-DD" days
+  to: "",
+  archived: false, // include archived items (publishing.js)
+  sort: "relevance",
+  page: 1,
+  pageSize: 12,
+};
+
+// state key -> query param. Array values repeat the param (?topic=A&topic=B)
+// so values containing commas survive the round trip.
+const LIST_PARAMS = {
+  ctype: "type",
+  industries: "industry",
+  personas: "persona",
+  topics: "topic",
+  tags: "tag",
+  stage: "stage",
+  year: "year",
+  source: "source",
+  language: "lang",
+  facetAnd: "and",
+};
+
+export const SORTS = [
+  "relevance",
+  "newest",
+  "updated",
+  "oldest",
+  "shortest",
+  "longest",
+];
+export const PAGE_SIZES = [6, 12, 24, 48];
+
+function positiveInt(raw, fallback) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Range state key -> query param
+const RANGE_PARAMS = {
+  timeMin: "tmin",
+  timeMax: "tmax",
+  released: "released",
+  from: "from",
+  to: "to",
+};
+
+export function parseQuery(search) {
+  const sp = new URLSearchParams(search || "");
+  const state = { ...DEFAULT_STATE, q: sp.get("q") || "" };
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    // dedupe + drop empties so hand-edited links can't produce phantom chips
+    state[key] = [...new Set(sp.getAll(param).filter(Boolean))];
+  }
+  state.timeMin = positiveInt(sp.get("tmin"), null);
+  state.timeMax = positiveInt(sp.get("tmax"), null);
+  if (
+    state.timeMin != null &&
+    state.timeMax != null &&
+    state.timeMin > state.timeMax
+  )
+    state.timeMax = state.timeMin;
+  const released = sp.get("released");
+  if (DATE_PRESETS.includes(released)) state.released = released;
+  else {
+    if (isDay(sp.get("from"))) state.from = sp.get("from");
+    if (isDay(sp.get("to"))) state.to = sp.get("to");
+  }
+  state.archived = sp.get("archived") === "1";
+  const sort = sp.get("sort");
+  if (SORTS.includes(sort)) state.sort = sort;
+  state.page = positiveInt(sp.get("page"), DEFAULT_STATE.page);
+  const size = positiveInt(sp.get("size"), DEFAULT_STATE.pageSize);
+  if (PAGE_SIZES.includes(size)) state.pageSize = size;
+  return state;
+}
+
+// Returns "" for the default state, otherwise "?…" ready to append to a path.
+export function serializeQuery(state) {
+  const sp = new URLSearchParams();
+  if (state.q) sp.set("q", state.q);
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    for (const v of state[key] || []) sp.append(param, v);
+  }
+  for (const [key, param] of Object.entries(RANGE_PARAMS)) {
+    if (state[key] != null && state[key] !== "")
+      sp.set(param, String(state[key]));
+  }
+  if (state.archived) sp.set("archived", "1");
+  if (state.sort && state.sort !== DEFAULT_STATE.sort) sp.set("sort", state.sort);
+  if (state.page > 1) sp.set("page", String(state.page));
+  if (state.pageSize !== DEFAULT_STATE.pageSize)
+    sp.set("size", String(state.pageSize));
+  const s = sp.toString();
+  return s ? `?${s}` : "";
+}
+
+// Typing in the search box should not leave one history entry per keystroke:
+// if only `q` changed since the last write, replace instead of push.
+export function historyMode(prev, next) {
+  if (!prev) return "replace";
+  const keys = Object.keys(DEFAULT_STATE).filter((k) => k !== "q");
+  const same = keys.every(
+    (k) => JSON.stringify(prev[k]) === JSON.stringify(next[k])
+  );
+  return same ? "replace" : "push";
+}
+
+export function writeQuery(state, mode = "push") {
+  const { pathname, hash } = window.location;
+  const search = serializeQuery(state);
+  if (search === window.location.search) return;
+  const fn = mode === "replace" ? "replaceState" : "pushState";
+  window.history[fn](window.history.state, "", pathname + search + hash);
+}
@@ -0,0 +1,46 @@
+// utils.js — small shared helpers (formatting, tallies, item accessors, files)
+
+import { fmtDateIn } from "./i18n";
+
+// In the UI locale; undated items (release_date null after schema
+// normalization) print "Undated"
+export const fmtDate = (iso) => fmtDateIn(iso);
+export const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+
+export function computeYear(iso) {
+  const y = iso ? new Date(iso).getFullYear() : NaN;
+  return Number.isNaN(y) ? "" : String(y);
+}
+
+export function tally(arr) {
+  const m = {};
+  for (const k of arr) m[k] = (m[k] || 0) + 1;
+  return m;
+}
+
+// Whitepapers and slide decks exported as PDF open in the in-app reader
+export function opensInReader(p) {
+  return (
+    (p.content_type === "whitepaper" || p.content_type === "slide") &&
+    !/\.(pptx?|key)([?#]|$)/i.test(p.file_url || "")
+  );
+}
+
+/* ---------- Files ---------- */
+
+// One CSV field: lists joined with "; ", quoted when needed (RFC 4180)
+export const csvCell = (v) => {
+  const s = Array.isArray(v) ? v.join("; ") : String(v ?? "");
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,57 @@
+// visits.js — "what changed since your last visit"
+// Each visit stores when it happened and the version of every asset seen, so
+// the next visit can flag assets released since then ("New") and assets
+// revised since then or whose version went up ("Updated v3"). Reloads and new tabs within VISIT_GAP_MS
+// belong to the same visit and keep comparing against the one before it.
+
+import { t } from "./i18n";
+
+const KEY = "fairway:visits:v1";
+const VISIT_GAP_MS = 30 * 60 * 1000;
+
+function readVisits() {
+  try {
+    return JSON.parse(window.localStorage.getItem(KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// { at, versions: { slug: version } } of the previous visit, or null on a
+// first visit. Worked out once per page load so badges don't vanish mid-visit.
+let baseline;
+export function lastVisit() {
+  if (baseline !== undefined) return baseline;
+  const { prev, last } = readVisits();
+  const ongoing = last && Date.now() - last.at < VISIT_GAP_MS;
+  baseline = (ongoing ? prev : last) || null;
+  return baseline;
+}
+
+// Snapshot the catalogue as seen now; call whenever the items change
+export function recordVisit(items) {
+  const versions = {};
+  for (const p of items) versions[p.slug] = p.version;
+  try {
+    window.localStorage.setItem(
+      KEY,
+      JSON.stringify({ prev: lastVisit(), last: { at: Date.now(), versions } })
+    );
+  } catch {
+    // storage full/disabled: every visit looks like the first
+  }
+}
+
+// { kind: "new" } | { kind: "updated", version } | null
+export function freshness(p, since = lastVisit()) {
+  if (!since) return null;
+  const released = new Date(p.release_date).getTime();
+  if (released > since.at) return { kind: "new" };
+  const seen = since.versions && since.versions[p.slug];
+  if (new Date(p.updated_at).getTime() > since.at || (seen && p.version > seen))
+    return { kind: "updated", version: p.version };
+  return null;
+}
+
+export const freshLabel = (f) =>
+  f.kind === "new" ? t("badge.new") : t("badge.updated", { v: f.version });